@@ -0,0 +1,205 @@
+'use strict';
+
+const db = require.main.require('./src/database');
+const user = require.main.require('./src/user');
+
+const markup = require('./markup');
+
+const MAX_PAGE = 10000;
+const MAX_SVG_LENGTH = 512 * 1024; // characters per page
+const ROTATIONS = [0, 90, 180, 270];
+
+// Elements the viewer's drawing tools produce
+const ALLOWED_TAGS = ['g', 'path', 'rect', 'ellipse', 'circle', 'line', 'polyline', 'polygon', 'text', 'tspan'];
+
+const NUMBER = /^\s*-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?\s*$/i;
+const NUMBER_LIST = /^[\d\s,.e+-]*$/i;
+const COLOR = /^\s*(?:[a-z]+|#[0-9a-f]{3}|#[0-9a-f]{6}|rgba?\(\s*[\d.]+\s*,\s*[\d.]+\s*,\s*[\d.]+\s*(?:,\s*[\d.]+\s*)?\))\s*$/i;
+
+// Attributes kept when markup is stored, with the values they may take -
+// everything else (event handlers, styles, references) is dropped
+const ALLOWED_ATTRIBUTES = {
+	x: NUMBER,
+	y: NUMBER,
+	x1: NUMBER,
+	y1: NUMBER,
+	x2: NUMBER,
+	y2: NUMBER,
+	cx: NUMBER,
+	cy: NUMBER,
+	r: NUMBER,
+	rx: NUMBER,
+	ry: NUMBER,
+	width: NUMBER,
+	height: NUMBER,
+	'stroke-width': NUMBER,
+	'font-size': NUMBER,
+	opacity: NUMBER,
+	'stroke-opacity': NUMBER,
+	'fill-opacity': NUMBER,
+	points: NUMBER_LIST,
+	d: /^[mlhvcsqtaz\d\s,.e+-]*$/i,
+	transform: /^(?:\s*(?:matrix|translate|scale|rotate|skewx|skewy)\s*\([\d\s,.e+-]*\)\s*,?)*\s*$/i,
+	stroke: COLOR,
+	fill: COLOR,
+	'stroke-linecap': /^(?:butt|round|square)$/,
+	'stroke-linejoin': /^(?:miter|round|bevel)$/,
+	'text-anchor': /^(?:start|middle|end)$/,
+	'font-family': /^[\w\s,'"-]*$/,
+	class: /^[\w\s-]*$/,
+};
+
+const Annotations = module.exports;
+
+Annotations.MAX_SVG_LENGTH = MAX_SVG_LENGTH;
+
+// Annotation pages of one user for one file: field = page number,
+// value = JSON { svg, rotation, updatedAt }
+function annotationsKey(uid, filename) {
+	return `pdf-secure:annotations:${uid}:${filename}`;
+}
+
+// Files a user has annotated, scored by last change (for cleanup on account deletion)
+function userFilesKey(uid) {
+	return `pdf-secure:annotations:uid:${uid}`;
+}
+
+// Users who published their layer for a file, scored by publish time
+function sharedKey(filename) {
+	return `pdf-secure:annotations:shared:${filename}`;
+}
+
+Annotations.isValidPage = function (pageNum) {
+	return Number.isInteger(pageNum) && pageNum >= 1 && pageNum <= MAX_PAGE;
+};
+
+// Escaped the way the browser serializes the layer
+function escapeText(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+	return escapeText(value).replace(/"/g, '&quot;');
+}
+
+function serialize(node) {
+	if (node.text !== undefined) {
+		return escapeText(node.text);
+	}
+	if (!ALLOWED_TAGS.includes(node.name)) {
+		return ''; // with its content
+	}
+	const attributes = Object.keys(node.attributes)
+		.filter(name => Object.prototype.hasOwnProperty.call(ALLOWED_ATTRIBUTES, name) &&
+			ALLOWED_ATTRIBUTES[name].test(node.attributes[name]))
+		.map(name => ` ${name}="${escapeAttribute(node.attributes[name])}"`)
+		.join('');
+	return `<${node.name}${attributes}>${node.children.map(serialize).join('')}</${node.name}>`;
+}
+
+// Inner markup of an annotation layer, as serialized by the viewer, rebuilt from
+// the allowed elements and attributes only. Null if it is not markup or too long.
+Annotations.sanitizeSvg = function (svg) {
+	if (typeof svg !== 'string' || svg.length > MAX_SVG_LENGTH) {
+		return null;
+	}
+	return markup.parse(svg).children.map(serialize).join('');
+};
+
+// Whether markup is stored as it is
+Annotations.isSafeSvg = function (svg) {
+	return Annotations.sanitizeSvg(svg) === svg;
+};
+
+Annotations.get = async function (uid, filename) {
+	const stored = await db.getObject(annotationsKey(uid, filename));
+	const pages = {};
+	Object.keys(stored || {}).forEach((field) => {
+		try {
+			const page = JSON.parse(stored[field]);
+			pages[field] = { svg: page.svg, rotation: page.rotation || 0 };
+		} catch (err) {
+			// Skip corrupt entries instead of failing the whole document
+		}
+	});
+	return pages;
+};
+
+Annotations.setPage = async function (uid, filename, pageNum, data) {
+	if (!Annotations.isValidPage(pageNum)) {
+		throw new Error('Invalid page');
+	}
+	const rotation = parseInt(data.rotation, 10) || 0;
+	const svg = Annotations.sanitizeSvg(data.svg);
+	if (!ROTATIONS.includes(rotation) || svg === null) {
+		throw new Error('Invalid annotation data');
+	}
+
+	const now = Date.now();
+	await Promise.all([
+		db.setObjectField(annotationsKey(uid, filename), String(pageNum), JSON.stringify({
+			svg: svg,
+			rotation: rotation,
+			updatedAt: now,
+		})),
+		db.sortedSetAdd(userFilesKey(uid), now, filename),
+	]);
+};
+
+Annotations.deletePage = async function (uid, filename, pageNum) {
+	if (!Annotations.isValidPage(pageNum)) {
+		throw new Error('Invalid page');
+	}
+	await db.deleteObjectField(annotationsKey(uid, filename), String(pageNum));
+};
+
+Annotations.isShared = async function (uid, filename) {
+	return db.isSortedSetMember(sharedKey(filename), uid);
+};
+
+Annotations.setShared = async function (uid, filename, shared) {
+	if (shared) {
+		await db.sortedSetAdd(sharedKey(filename), Date.now(), uid);
+	} else {
+		await db.sortedSetRemove(sharedKey(filename), uid);
+	}
+};
+
+// Published layers of a file that still hold annotations, oldest first.
+// The author's avatar color doubles as the layer color.
+Annotations.getSharedLayers = async function (filename) {
+	const uids = (await db.getSortedSetRange(sharedKey(filename), 0, -1)).map(uid => parseInt(uid, 10));
+	const hasPages = await db.exists(uids.map(uid => annotationsKey(uid, filename)));
+	const authors = uids.filter((uid, index) => hasPages[index]);
+	const users = await user.getUsersFields(authors, ['username', 'userslug', 'icon:bgColor']);
+
+	return users
+		.filter(userData => userData && userData.uid)
+		.map(userData => ({
+			uid: userData.uid,
+			username: userData.username,
+			userslug: userData.userslug,
+			color: userData['icon:bgColor'],
+		}));
+};
+
+// Another user's layer, only while it is published. Sanitized again on the way
+// out, as it is shown to other users (and pages may not have come through setPage).
+Annotations.getSharedLayer = async function (uid, filename) {
+	if (!await Annotations.isShared(uid, filename)) {
+		return null;
+	}
+	const pages = await Annotations.get(uid, filename);
+	Object.keys(pages).forEach((pageNum) => {
+		pages[pageNum].svg = Annotations.sanitizeSvg(pages[pageNum].svg) || '';
+	});
+	return pages;
+};
+
+Annotations.deleteUser = async function (uid) {
+	const files = await db.getSortedSetRange(userFilesKey(uid), 0, -1);
+	await Promise.all([
+		db.sortedSetsRemove(files.map(sharedKey), uid),
+		db.deleteAll(files.map(filename => annotationsKey(uid, filename)).concat(userFilesKey(uid))),
+	]);
+};
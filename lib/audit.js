@@ -0,0 +1,249 @@
+'use strict';
+
+const db = require.main.require('./src/database');
+
+const settings = require('./settings');
+
+const BATCH_SIZE = 500;
+const MAX_SCANNED = 10000; // entries read for one ACP page
+const MAX_EXPORTED = 50000; // entries read for one CSV export
+const MAX_USER_AGENT = 256;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Entry ids scored by time - all entries, and per file and per user
+const LOG_KEY = 'pdf-secure:audit';
+
+// Where an entry was written: the viewer route minting (or refusing) a nonce,
+// or the endpoint that consumed it
+const EVENTS = ['viewer', 'pdf-data', 'pdf-stream', 'pages'];
+
+// 'issued' and 'served' are successful views, everything else was denied
+const OUTCOMES = [
+	'issued', 'served', 'blocked', 'scan-blocked', 'rate-limited', 'expired', 'uid-mismatch', 'delivery-disabled',
+	'not-found', 'error',
+];
+
+// Audit entry: { id, timestamp, event, uid, file, level, outcome, ip, userAgent }
+function entryKey(id) {
+	return `pdf-secure:audit:${id}`;
+}
+
+function fileKey(filename) {
+	return `pdf-secure:audit:file:${filename}`;
+}
+
+function userKey(uid) {
+	return `pdf-secure:audit:uid:${uid}`;
+}
+
+function parseEntry(entry) {
+	return {
+		...entry,
+		id: parseInt(entry.id, 10),
+		timestamp: parseInt(entry.timestamp, 10) || 0,
+		uid: parseInt(entry.uid, 10) || 0,
+	};
+}
+
+const Audit = module.exports;
+
+Audit.EVENTS = EVENTS;
+Audit.OUTCOMES = OUTCOMES;
+
+Audit.isDenied = function (outcome) {
+	return outcome !== 'issued' && outcome !== 'served';
+};
+
+/**
+ * Record an access of `req`'s user: { event, file, level, outcome }.
+ * Never rejects - a failing log must not break the viewer.
+ */
+Audit.log = async function (req, fields) {
+	try {
+		const id = await db.incrObjectField('global', 'nextPdfSecureAuditId');
+		const uid = req.uid || 0;
+		const timestamp = Date.now();
+		const entry = {
+			id: id,
+			timestamp: timestamp,
+			event: fields.event,
+			uid: uid,
+			file: fields.file || '',
+			level: fields.level || '',
+			outcome: fields.outcome,
+			ip: req.ip || '',
+			userAgent: String((req.headers && req.headers['user-agent']) || '').slice(0, MAX_USER_AGENT),
+		};
+
+		const keys = [LOG_KEY, userKey(uid)];
+		if (entry.file) {
+			keys.push(fileKey(entry.file));
+		}
+		await db.setObject(entryKey(id), entry);
+		await db.sortedSetsAdd(keys, timestamp, id);
+	} catch (err) {
+		console.error('[PDF-Secure] Could not write audit log:', err.message);
+	}
+};
+
+function matches(entry, filters) {
+	return (filters.uid === undefined || entry.uid === filters.uid) &&
+		(!filters.file || entry.file === filters.file) &&
+		(!filters.event || entry.event === filters.event) &&
+		(!filters.outcome || entry.outcome === filters.outcome);
+}
+
+/**
+ * Newest entries matching `filters` ({ uid, file, event, outcome, from, to },
+ * times in ms), reading at most `maxScanned` entries. Resolves to
+ * { entries, complete } - complete is false when older entries were not read.
+ */
+async function collect(filters, limit, maxScanned) {
+	let key = LOG_KEY;
+	if (filters.file) {
+		key = fileKey(filters.file);
+	} else if (filters.uid !== undefined) {
+		key = userKey(filters.uid);
+	}
+	const min = filters.from || '-inf';
+	const max = filters.to || '+inf';
+
+	const entries = [];
+	// One batch at a time, as each decides whether the next one is read
+	async function scan(scanned) {
+		if (entries.length >= limit || scanned >= maxScanned) {
+			return { entries: entries, complete: false };
+		}
+		const ids = await db.getSortedSetRevRangeByScore(key, scanned, BATCH_SIZE, max, min);
+		const batch = await db.getObjects(ids.map(entryKey));
+		batch.forEach((entry) => {
+			if (entry && entries.length < limit && matches(parseEntry(entry), filters)) {
+				entries.push(parseEntry(entry));
+			}
+		});
+		if (ids.length < BATCH_SIZE) {
+			return { entries: entries, complete: true };
+		}
+		return scan(scanned + ids.length);
+	}
+	return scan(0);
+}
+
+// One page of the log: { entries, hasMore }
+Audit.query = async function (filters, start, count) {
+	const { entries } = await collect(filters, start + count + 1, MAX_SCANNED);
+	return {
+		entries: entries.slice(start, start + count),
+		hasMore: entries.length > start + count,
+	};
+};
+
+// Every matching entry for a CSV export, newest first
+Audit.export = async function (filters) {
+	const { entries } = await collect(filters, MAX_EXPORTED, MAX_EXPORTED);
+	return entries;
+};
+
+/**
+ * Matching entries grouped by 'file' or 'uid': { groups, complete }, each group
+ * { key, total, issued, served, denied, distinct, lastAccess } with `distinct` counting
+ * the other side (users of a file, files of a user). Most accessed first.
+ */
+Audit.summarize = async function (filters, by) {
+	const { entries, complete } = await collect(filters, MAX_SCANNED, MAX_SCANNED);
+	const other = by === 'file' ? 'uid' : 'file';
+	const groups = new Map();
+	entries.forEach((entry) => {
+		if (by === 'file' && !entry.file) {
+			return; // Nonce was not readable, no file to group by
+		}
+		if (!groups.has(entry[by])) {
+			groups.set(entry[by], {
+				key: entry[by], total: 0, issued: 0, served: 0, denied: 0, others: new Set(), lastAccess: 0,
+			});
+		}
+		const group = groups.get(entry[by]);
+		group.total += 1;
+		if (Audit.isDenied(entry.outcome)) {
+			group.denied += 1;
+		} else {
+			group[entry.outcome] += 1;
+		}
+		if (entry[other] !== '') {
+			group.others.add(entry[other]);
+		}
+		group.lastAccess = Math.max(group.lastAccess, entry.timestamp);
+	});
+
+	return {
+		groups: Array.from(groups.values())
+			.map(({ others, ...group }) => ({ ...group, distinct: others.size }))
+			.sort((a, b) => b.total - a.total),
+		complete: complete,
+	};
+};
+
+const CSV_COLUMNS = ['time', 'event', 'uid', 'username', 'file', 'level', 'outcome', 'ip', 'userAgent'];
+
+function toCsvField(value) {
+	let text = value === undefined || value === null ? '' : String(value);
+	// Spreadsheets evaluate cells starting with these as formulas
+	if (/^[=+\-@\t\r]/.test(text)) {
+		text = `'${text}`;
+	}
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV of entries, `usernames` maps uids to names
+Audit.toCsv = function (entries, usernames) {
+	const rows = entries.map(entry => CSV_COLUMNS.map((column) => {
+		if (column === 'time') {
+			return new Date(entry.timestamp).toISOString();
+		}
+		return column === 'username' ? usernames[entry.uid] : entry[column];
+	}));
+	return [CSV_COLUMNS, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+};
+
+// Delete the oldest entries before `cutoff`, up to one batch
+async function pruneBatch(cutoff) {
+	const ids = await db.getSortedSetRangeByScore(LOG_KEY, 0, BATCH_SIZE, '-inf', cutoff);
+	if (!ids.length) {
+		return 0;
+	}
+	const entries = (await db.getObjects(ids.map(entryKey))).filter(Boolean);
+	const indexKeys = new Set();
+	entries.forEach((entry) => {
+		indexKeys.add(userKey(entry.uid));
+		if (entry.file) {
+			indexKeys.add(fileKey(entry.file));
+		}
+	});
+	await db.sortedSetsRemoveRangeByScore(Array.from(indexKeys), '-inf', cutoff);
+	await db.deleteAll(ids.map(entryKey));
+	await db.sortedSetRemove(LOG_KEY, ids);
+	return ids.length;
+}
+
+// Delete entries older than the retention setting (0 keeps them forever)
+Audit.prune = async function () {
+	const { auditRetentionDays } = await settings.get();
+	const days = parseFloat(auditRetentionDays);
+	if (!(days > 0)) {
+		return 0;
+	}
+
+	const cutoff = Date.now() - (days * DAY);
+	// A batch at a time, until one comes back short
+	async function prune(removed) {
+		const count = await pruneBatch(cutoff);
+		return count === BATCH_SIZE ? prune(removed + count) : removed + count;
+	}
+	return prune(0);
+};
+
+setInterval(() => {
+	Audit.prune().catch((err) => {
+		console.error('[PDF-Secure] Could not prune audit log:', err.message);
+	});
+}, 60 * 60 * 1000).unref(); // prune every hour
@@ -1,36 +1,364 @@
 'use strict';
 
+const path = require('path');
+const nconf = require.main.require('nconf');
+const validator = require.main.require('validator');
+const helpers = require.main.require('./src/controllers/helpers');
+const user = require.main.require('./src/user');
+
 const nonceStore = require('./nonce-store');
 const pdfHandler = require('./pdf-handler');
+const settings = require('./settings');
+const policy = require('./policy');
+const watermark = require('./watermark');
+const transport = require('./transport');
+const streamSessions = require('./stream-sessions');
+const payloadCache = require('./payload-cache');
+const rasterizer = require('./rasterizer');
+const annotations = require('./annotations');
+const flatten = require('./flatten');
+const interchange = require('./interchange');
+const processing = require('./processing');
+const audit = require('./audit');
+const rateLimit = require('./rate-limit');
+
+const CHUNK_SIZE = 256 * 1024; // 256KB - PDF.js range chunk size
+const MAX_RANGE = 64 * CHUNK_SIZE; // bytes per range response - whole chunks, as PDF.js expects
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_FILTERS = ['user', 'file', 'event', 'outcome', 'from', 'to'];
+const DAY = 24 * 60 * 60 * 1000;
 
 const Controllers = module.exports;
 
-// Partial XOR - encrypts first 10KB and every 50th byte after that
-// Now uses dynamic key from nonce data
-function partialXorEncode(buffer, xorKey) {
-	const data = Buffer.from(buffer);
-	const keyLen = xorKey.length;
+Controllers.renderAdminPage = async function (req, res) {
+	const files = await processing.list();
+	res.render('admin/plugins/pdf-secure', {
+		title: 'PDF Secure Viewer',
+		files: files.map(file => ({
+			...file,
+			sizeMb: file.size ? (file.size / (1024 * 1024)).toFixed(1) : '',
+			processedAtISO: file.processedAt ? new Date(file.processedAt).toISOString() : '',
+		})),
+	});
+};
 
-	// Encrypt first 10KB fully
-	const fullEncryptLen = Math.min(10240, data.length);
-	for (let i = 0; i < fullEncryptLen; i++) {
-		data[i] = data[i] ^ xorKey[i % keyLen];
-	}
+// Queue every uploaded PDF for processing - work done for unchanged files is skipped
+Controllers.processFiles = async function (req, res) {
+	await processing.enqueue(await pdfHandler.listFiles());
+	helpers.formatApiResponse(200, res, { queued: processing.getQueueLength() });
+};
 
-	// Encrypt every 50th byte after that
-	for (let i = fullEncryptLen; i < data.length; i += 50) {
-		data[i] = data[i] ^ xorKey[i % keyLen];
+// Access log filters from the query string: ?user=<uid or username>&file=&event=&outcome=&from=&to=
+// (dates as YYYY-MM-DD, both days included)
+async function getAuditFilters(query) {
+	const filters = {};
+	if (query.user) {
+		const uid = /^\d+$/.test(query.user) ? parseInt(query.user, 10) : await user.getUidByUsername(query.user);
+		filters.uid = Number.isInteger(uid) ? uid : -1; // Unknown user - nothing matches
+	}
+	if (query.file) {
+		filters.file = path.basename(String(query.file));
+	}
+	if (audit.EVENTS.includes(query.event)) {
+		filters.event = query.event;
+	}
+	if (audit.OUTCOMES.includes(query.outcome)) {
+		filters.outcome = query.outcome;
+	}
+	const from = Date.parse(query.from);
+	const to = Date.parse(query.to);
+	if (from) {
+		filters.from = from;
+	}
+	if (to) {
+		filters.to = to + DAY - 1;
 	}
+	return filters;
+}
 
-	return data;
+// Access log URL with the given filters, e.g. for links from the per-file view
+function getAuditUrl(params, route = '/admin/plugins/pdf-secure/audit') {
+	const query = new URLSearchParams();
+	Object.keys(params).forEach((name) => {
+		if (params[name] !== undefined && params[name] !== '') {
+			query.set(name, params[name]);
+		}
+	});
+	const search = query.toString();
+	return `${nconf.get('relative_path')}${route}${search ? `?${search}` : ''}`;
 }
 
-Controllers.renderAdminPage = function (req, res) {
-	res.render('admin/plugins/pdf-secure', {
-		title: 'PDF Secure Viewer',
+// uid -> username of everyone in `uids`
+async function getUsernames(uids) {
+	const unique = Array.from(new Set(uids));
+	const users = await user.getUsersFields(unique, ['username']);
+	const usernames = {};
+	unique.forEach((uid, index) => {
+		usernames[uid] = uid > 0 && users[index] ? validator.unescape(String(users[index].username || '')) : 'Guest';
 	});
+	return usernames;
+}
+
+function formatTime(timestamp) {
+	return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Select options with the current value selected
+function getOptions(values, current) {
+	return values.map(value => ({ value: value, selected: value === current }));
+}
+
+// Active rate limit blocks for the ACP, linking to the blocked user's or address's log
+async function getBlocks(params) {
+	const blocks = await rateLimit.listBlocks();
+	const uids = blocks.filter(block => block.actor.startsWith('uid:')).map(block => block.actor.slice(4));
+	const usernames = await getUsernames(uids);
+	return blocks.map((block) => {
+		const [, type, id] = block.actor.match(/^(uid|ip):(.*)$/);
+		return {
+			actor: validator.escape(block.actor),
+			name: validator.escape(type === 'uid' ? usernames[id] : id),
+			uid: type === 'uid' ? id : '',
+			url: type === 'uid' ? getAuditUrl({ ...params, user: id, page: '' }) : '',
+			reason: block.reason,
+			detail: validator.escape(block.detail || ''),
+			since: formatTime(block.createdAt),
+			expires: formatTime(block.expiresAt),
+		};
+	});
+}
+
+// Access log (ACP): the entries themselves, or summarized per file or per user
+Controllers.renderAuditPage = async function (req, res) {
+	const view = ['files', 'users'].includes(req.query.view) ? req.query.view : 'log';
+	const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+	const [filters, config] = await Promise.all([getAuditFilters(req.query), settings.get()]);
+
+	// Filters as submitted, for the form and the links
+	const params = {};
+	AUDIT_FILTERS.forEach((name) => {
+		params[name] = typeof req.query[name] === 'string' ? req.query[name] : '';
+	});
+
+	const data = {
+		title: 'PDF Access Log',
+		params: Object.fromEntries(Object.entries(params).map(([name, value]) => [name, validator.escape(value)])),
+		events: getOptions(audit.EVENTS, filters.event),
+		outcomes: getOptions(audit.OUTCOMES, filters.outcome),
+		views: [
+			{ name: 'Log', url: getAuditUrl(params), active: view === 'log' },
+			{ name: 'Per File', url: getAuditUrl({ ...params, view: 'files' }), active: view === 'files' },
+			{ name: 'Per User', url: getAuditUrl({ ...params, view: 'users' }), active: view === 'users' },
+		],
+		viewParam: view === 'log' ? '' : view,
+		isLog: view === 'log',
+		isFiles: view === 'files',
+		exportUrl: getAuditUrl(params, '/api/v3/plugins/pdf-secure/audit/export'),
+		retentionDays: parseFloat(config.auditRetentionDays) > 0 ? config.auditRetentionDays : '',
+		blocks: await getBlocks(params),
+	};
+
+	if (view === 'log') {
+		const { entries, hasMore } = await audit.query(filters, (page - 1) * AUDIT_PAGE_SIZE, AUDIT_PAGE_SIZE);
+		const usernames = await getUsernames(entries.map(entry => entry.uid));
+		data.entries = entries.map(entry => ({
+			time: formatTime(entry.timestamp),
+			event: entry.event,
+			uid: entry.uid,
+			username: validator.escape(usernames[entry.uid]),
+			userUrl: getAuditUrl({ ...params, user: String(entry.uid), page: '' }),
+			file: validator.escape(entry.file),
+			fileUrl: getAuditUrl({ ...params, file: entry.file, page: '' }),
+			level: entry.level,
+			outcome: entry.outcome,
+			denied: audit.isDenied(entry.outcome),
+			ip: validator.escape(entry.ip || ''),
+			userAgent: validator.escape(entry.userAgent || ''),
+		}));
+		data.prevUrl = page > 1 ? getAuditUrl({ ...params, page: String(page - 1) }) : '';
+		data.nextUrl = hasMore ? getAuditUrl({ ...params, page: String(page + 1) }) : '';
+	} else {
+		const by = view === 'files' ? 'file' : 'uid';
+		const { groups, complete } = await audit.summarize(filters, by);
+		const usernames = by === 'uid' ? await getUsernames(groups.map(group => group.key)) : {};
+		data.groups = groups.map(group => ({
+			name: validator.escape(by === 'uid' ? usernames[group.key] : group.key),
+			uid: by === 'uid' ? String(group.key) : '',
+			url: getAuditUrl({ ...params, [by === 'uid' ? 'user' : 'file']: String(group.key), page: '' }),
+			issued: group.issued,
+			served: group.served,
+			denied: group.denied,
+			distinct: group.distinct,
+			lastAccess: formatTime(group.lastAccess),
+		}));
+		data.incomplete = !complete;
+	}
+
+	res.render('admin/plugins/pdf-secure/audit', data);
+};
+
+// The filtered access log as a CSV download
+Controllers.exportAudit = async function (req, res) {
+	const entries = await audit.export(await getAuditFilters(req.query));
+	const usernames = await getUsernames(entries.map(entry => entry.uid));
+	res.set({
+		'Content-Type': 'text/csv; charset=utf-8',
+		'Content-Disposition': `attachment; filename="pdf-access-log-${new Date().toISOString().slice(0, 10)}.csv"`,
+		'Cache-Control': 'no-store',
+	});
+	res.send(audit.toCsv(entries, usernames));
+};
+
+// Lift a temporary block early (ACP)
+Controllers.removeBlock = async function (req, res) {
+	if (!/^(uid|ip):.+$/.test(req.params.actor)) {
+		return helpers.formatApiResponse(400, res, new Error('[[error:invalid-data]]'));
+	}
+	await rateLimit.unblock(req.params.actor);
+	helpers.formatApiResponse(200, res);
 };
 
+// Processing results for a file's embed: page count, title and thumbnail
+Controllers.getFileInfo = async function (req, res) {
+	const filename = getAnnotationFile(req);
+	if (!filename) {
+		return helpers.formatApiResponse(400, res, new Error('[[error:invalid-data]]'));
+	}
+	const [record, access] = await Promise.all([processing.get(filename), policy.resolve(req.uid, filename)]);
+	if (access.level === 'blocked') {
+		return helpers.formatApiResponse(403, res, new Error('[[error:no-privileges]]'));
+	}
+	if (!record || record.status !== 'ready') {
+		return helpers.formatApiResponse(200, res, { status: record ? record.status : 'unknown' });
+	}
+
+	// The thumbnail shows the first default preview page - only where the user can see it
+	const showThumbnail = policy.allows(access.level, 'full') || access.previewPages === record.previewPages;
+	helpers.formatApiResponse(200, res, {
+		status: record.status,
+		pageCount: record.pageCount,
+		title: record.title || '',
+		thumbnail: showThumbnail ? record.thumbnail : '',
+	});
+};
+
+// Validate the nonce and re-evaluate the policy
+// (a rule tightened after the nonce was minted still applies)
+// `delivery` is the form the caller serves: 'pdf' bytes or page 'image's
+// Failures carry the audit log `outcome` and as much of `file` and `level` as is known
+async function authorize(nonce, uid, delivery) {
+	const { data, reason, file } = await nonceStore.validate(nonce, uid);
+	if (!data) {
+		return { status: 403, error: 'Invalid or expired nonce', outcome: reason, file: file };
+	}
+
+	const [access, config] = await Promise.all([
+		policy.resolve(uid, data.file),
+		settings.get(),
+	]);
+	const level = policy.min(data.level, access.level);
+	const denied = { status: 403, file: data.file, level: level };
+	if (level === 'blocked') {
+		return { ...denied, error: 'Access denied', outcome: 'blocked' };
+	}
+	if (await processing.isRejected(data.file)) {
+		return { ...denied, error: 'Access denied', outcome: 'scan-blocked' };
+	}
+	if (policy.getDeliveryMode(config, level) !== delivery) {
+		const error = delivery === 'pdf' ? 'PDF delivery is disabled' : 'Image delivery is not enabled';
+		return { ...denied, error: error, outcome: 'delivery-disabled' };
+	}
+
+	return { data: data, file: data.file, level: level, previewPages: access.previewPages };
+}
+
+// Audit log entry for a consumed nonce, `auth` is what authorize() resolved to (if it did)
+function logConsumption(req, event, auth, outcome) {
+	return audit.log(req, {
+		event: event,
+		file: auth && auth.file,
+		level: auth && auth.level,
+		outcome: outcome || auth.outcome,
+	});
+}
+
+// Audit log outcome for an error passed to sendError()
+function getErrorOutcome(err) {
+	return err.message === 'File not found' ? 'not-found' : 'error';
+}
+
+// Watermark text is fixed once per view, so every chunk of a stream matches
+async function getWatermarkText(uid) {
+	const config = await settings.get();
+	if (!settings.isEnabled(config.watermarkEnabled)) {
+		return '';
+	}
+	return watermark.buildText(uid, config.watermarkTemplate);
+}
+
+// The bytes a viewer receives: full document or preview, plus the watermark
+async function buildPayload(file, level, previewPages, watermarkText) {
+	let pdfBuffer;
+	if (policy.allows(level, 'full')) {
+		pdfBuffer = await pdfHandler.getFullPdf(file);
+	} else {
+		pdfBuffer = await pdfHandler.getPreviewPdf(file, previewPages);
+	}
+
+	// Burn the per-viewer watermark in before encoding
+	return applyWatermark(pdfBuffer, watermarkText);
+}
+
+async function applyWatermark(pdfBuffer, watermarkText) {
+	if (!watermarkText) {
+		return pdfBuffer;
+	}
+	const config = await settings.get();
+	return watermark.apply(pdfBuffer, {
+		text: watermarkText,
+		opacity: config.watermarkOpacity,
+		angle: config.watermarkAngle,
+		fontSize: config.watermarkFontSize,
+		tiled: settings.isEnabled(config.watermarkTiled),
+	});
+}
+
+// Untouched full documents are streamed straight from disk
+function isRawStream(level, watermarkText) {
+	return policy.allows(level, 'full') && !watermarkText;
+}
+
+// Payload of a session ({ file, level, previewPages, watermarkText }) - sessions
+// of the same file, level and watermark text share one copy
+function getPayload(data) {
+	const key = ['payload', data.file, data.level, String(data.previewPages || ''), data.watermarkText || ''];
+	return payloadCache.get(key, () => buildPayload(data.file, data.level, data.previewPages, data.watermarkText));
+}
+
+function sendEncoded(res, encodedBuffer) {
+	res.set({
+		'Content-Type': 'image/gif',  // Misleading - actual PDF binary
+		'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+		'X-Content-Type-Options': 'nosniff',
+		'Content-Disposition': 'inline',
+	});
+
+	return res.send(encodedBuffer);
+}
+
+// Refuse a request of a blocked user or address (see rate-limit.js)
+function sendRateLimited(res, block) {
+	res.set('Retry-After', String(Math.ceil((block.expiresAt - Date.now()) / 1000)));
+	return res.status(429).json({ error: 'Too many requests' });
+}
+
+function sendError(res, err) {
+	if (err.message === 'File not found') {
+		return res.status(404).json({ error: 'PDF not found' });
+	}
+	return res.status(500).json({ error: 'Internal error' });
+}
+
 Controllers.servePdfBinary = async function (req, res) {
 	const { nonce } = req.query;
 	if (!nonce) {
@@ -39,34 +367,396 @@ Controllers.servePdfBinary = async function (req, res) {
 
 	const uid = req.uid || 0; // Guest uid = 0
 
-	const data = nonceStore.validate(nonce, uid);
-	if (!data) {
-		return res.status(403).json({ error: 'Invalid or expired nonce' });
+	let auth = null;
+	try {
+		const block = await rateLimit.check(req);
+		if (block) {
+			logConsumption(req, 'pdf-data', auth, 'rate-limited');
+			return sendRateLimited(res, block);
+		}
+
+		auth = await authorize(nonce, uid, 'pdf');
+		if (auth.error) {
+			logConsumption(req, 'pdf-data', auth);
+			return res.status(auth.status).json({ error: auth.error });
+		}
+
+		const pdfBuffer = await buildPayload(auth.data.file, auth.level, auth.previewPages, await getWatermarkText(uid));
+
+		// Encrypt with the per-nonce key (AES-GCM, or partial XOR in legacy mode)
+		const encoded = transport.encode(pdfBuffer, auth.data, nonce);
+		const quotaBlock = await rateLimit.countBytes(req, encoded.length);
+		if (quotaBlock) {
+			logConsumption(req, 'pdf-data', auth, 'rate-limited');
+			return sendRateLimited(res, quotaBlock);
+		}
+		logConsumption(req, 'pdf-data', auth, 'served');
+		return sendEncoded(res, encoded);
+	} catch (err) {
+		logConsumption(req, 'pdf-data', auth, getErrorOutcome(err));
+		return sendError(res, err);
+	}
+};
+
+// Exchange a viewer nonce for a range streaming session (AES-GCM only)
+Controllers.openPdfStream = async function (req, res) {
+	const { nonce } = req.query;
+	if (!nonce) {
+		return res.status(400).json({ error: 'Missing nonce' });
+	}
+
+	const uid = req.uid || 0;
+
+	let auth = null;
+	try {
+		const block = await rateLimit.check(req);
+		if (block) {
+			logConsumption(req, 'pdf-stream', auth, 'rate-limited');
+			return sendRateLimited(res, block);
+		}
+
+		auth = await authorize(nonce, uid, 'pdf');
+		if (auth.error) {
+			logConsumption(req, 'pdf-stream', auth);
+			return res.status(auth.status).json({ error: auth.error });
+		}
+		if (auth.data.encryption !== 'aes-gcm') {
+			logConsumption(req, 'pdf-stream', auth, 'delivery-disabled');
+			return res.status(400).json({ error: 'Streaming requires AES-GCM transport encryption' });
+		}
+
+		const watermarkText = await getWatermarkText(uid);
+		const sessionData = {
+			uid: uid,
+			file: auth.data.file,
+			level: auth.level,
+			key: auth.data.key,
+			previewPages: auth.previewPages,
+			watermarkText: watermarkText,
+		};
+
+		if (isRawStream(auth.level, watermarkText)) {
+			sessionData.length = await pdfHandler.getFileSize(auth.data.file);
+		} else {
+			sessionData.length = (await getPayload(sessionData)).length;
+		}
+
+		// Bytes count as the ranges are served, see servePdfRange
+		const session = await streamSessions.create(sessionData);
+
+		logConsumption(req, 'pdf-stream', auth, 'served');
+		res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+		return res.json({
+			session: session,
+			length: sessionData.length,
+			chunkSize: CHUNK_SIZE,
+		});
+	} catch (err) {
+		logConsumption(req, 'pdf-stream', auth, getErrorOutcome(err));
+		return sendError(res, err);
 	}
+};
+
+// Serve one encrypted byte range [start, end) of a stream session
+Controllers.servePdfRange = async function (req, res) {
+	const { session } = req.params;
+	const start = parseInt(req.query.start, 10);
+	const end = parseInt(req.query.end, 10);
+
+	const uid = req.uid || 0;
 
 	try {
-		let pdfBuffer;
-		if (data.isPremium) {
-			pdfBuffer = await pdfHandler.getFullPdf(data.file);
+		const data = await streamSessions.get(session, uid);
+		if (!data) {
+			return res.status(403).json({ error: 'Invalid or expired session' });
+		}
+		if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 ||
+			end <= start || end > data.length) {
+			return res.status(416).json({ error: 'Invalid range' });
+		}
+
+		// PDF.js may merge adjacent chunks into one request (e.g. all of them when
+		// recovering a broken file) - answer the first part, the viewer asks for the rest
+		const rangeEnd = Math.min(end, start + MAX_RANGE);
+
+		// Every range counts against the daily quota, so a session cannot be
+		// used to fetch the document over and over
+		const block = await rateLimit.check(req) || await rateLimit.countBytes(req, rangeEnd - start);
+		if (block) {
+			return sendRateLimited(res, block);
+		}
+		let chunk;
+		if (isRawStream(data.level, data.watermarkText)) {
+			chunk = await pdfHandler.readRange(data.file, start, rangeEnd);
 		} else {
-			pdfBuffer = await pdfHandler.getSinglePagePdf(data.file);
+			chunk = (await getPayload(data)).subarray(start, rangeEnd);
 		}
 
-		// Apply partial XOR encryption with dynamic key from nonce
-		const encodedBuffer = partialXorEncode(pdfBuffer, data.xorKey);
+		// Each chunk is authenticated with its session and offset, so chunks
+		// cannot be swapped between sessions or positions
+		res.status(206).set('Content-Range', `bytes ${start}-${rangeEnd - 1}/${data.length}`);
+		return sendEncoded(res, transport.aesGcmEncrypt(chunk, data.key, `${session}:${start}`));
+	} catch (err) {
+		return sendError(res, err);
+	}
+};
 
-		res.set({
-			'Content-Type': 'image/gif',  // Misleading - actual PDF binary
-			'Cache-Control': 'no-store, no-cache, must-revalidate, private',
-			'X-Content-Type-Options': 'nosniff',
-			'Content-Disposition': 'inline',
+// Exchange a viewer nonce for an image session - the document is rendered on
+// the server and the viewer only receives page bitmaps, never PDF bytes
+Controllers.openImageSession = async function (req, res) {
+	const { nonce } = req.query;
+	if (!nonce) {
+		return res.status(400).json({ error: 'Missing nonce' });
+	}
+
+	const uid = req.uid || 0;
+
+	let auth = null;
+	try {
+		const block = await rateLimit.check(req);
+		if (block) {
+			logConsumption(req, 'pages', auth, 'rate-limited');
+			return sendRateLimited(res, block);
+		}
+
+		auth = await authorize(nonce, uid, 'image');
+		if (auth.error) {
+			logConsumption(req, 'pages', auth);
+			return res.status(auth.status).json({ error: auth.error });
+		}
+
+		// Watermark is burnt into the document, so it shows up in every bitmap
+		const sessionData = {
+			uid: uid,
+			file: auth.data.file,
+			level: auth.level,
+			encryption: auth.data.encryption,
+			key: auth.data.key,
+			previewPages: auth.previewPages,
+			watermarkText: await getWatermarkText(uid),
+		};
+		const payload = await getPayload(sessionData);
+		sessionData.length = payload.length;
+		const session = await streamSessions.create(sessionData);
+
+		const doc = await rasterizer.open(session, payload);
+		const pages = await rasterizer.getPageSizes(doc);
+
+		logConsumption(req, 'pages', auth, 'served');
+		res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+		return res.json({
+			session: session,
+			pages: pages,
+			maxWidth: rasterizer.MAX_WIDTH,
 		});
+	} catch (err) {
+		logConsumption(req, 'pages', auth, getErrorOutcome(err));
+		return sendError(res, err);
+	}
+};
+
+// Render one page of an image session, `width` device pixels wide
+Controllers.servePageImage = async function (req, res) {
+	const { session } = req.params;
+	const pageNum = parseInt(req.params.page, 10);
+
+	const uid = req.uid || 0;
+
+	try {
+		const data = await streamSessions.get(session, uid);
+		if (!data) {
+			return res.status(403).json({ error: 'Invalid or expired session' });
+		}
+
+		// Another process (or an evicted document) re-parses the same payload
+		let doc = rasterizer.get(session);
+		if (!doc) {
+			doc = rasterizer.open(session, await getPayload(data));
+		}
+		doc = await doc;
+		if (!Number.isInteger(pageNum) || pageNum < 1 || pageNum > doc.numPages) {
+			return res.status(404).json({ error: 'Invalid page' });
+		}
+
+		const image = await rasterizer.renderPage(doc, pageNum, req.query.width);
 
-		return res.send(encodedBuffer);
+		// Bound to its session and page, so bitmaps cannot be swapped around
+		return sendEncoded(res, transport.encode(image, data, `${session}:page:${pageNum}`));
+	} catch (err) {
+		return sendError(res, err);
+	}
+};
+
+// Uploaded PDF named in the route, or null
+function getAnnotationFile(req) {
+	const filename = path.basename(String(req.params.filename || ''));
+	return filename.toLowerCase().endsWith('.pdf') ? filename : null;
+}
+
+// Own annotations are only available while the user may still view the file
+async function checkAnnotationAccess(req, res, filename) {
+	if (!filename) {
+		helpers.formatApiResponse(400, res, new Error('[[error:invalid-data]]'));
+		return false;
+	}
+	const access = await policy.resolve(req.uid, filename);
+	if (access.level === 'blocked') {
+		helpers.formatApiResponse(403, res, new Error('[[error:no-privileges]]'));
+		return false;
+	}
+	return true;
+}
+
+Controllers.getAnnotations = async function (req, res) {
+	const filename = getAnnotationFile(req);
+	if (!await checkAnnotationAccess(req, res, filename)) {
+		return;
+	}
+	const [pages, shared] = await Promise.all([
+		annotations.get(req.uid, filename),
+		annotations.isShared(req.uid, filename),
+	]);
+	helpers.formatApiResponse(200, res, { pages: pages, shared: shared });
+};
+
+Controllers.saveAnnotationPage = async function (req, res) {
+	const filename = getAnnotationFile(req);
+	const pageNum = parseInt(req.params.page, 10);
+	const { svg, rotation } = req.body || {};
+	if (!annotations.isValidPage(pageNum) || annotations.sanitizeSvg(svg) === null) {
+		return helpers.formatApiResponse(400, res, new Error('[[error:invalid-data]]'));
+	}
+	if (!await checkAnnotationAccess(req, res, filename)) {
+		return;
+	}
+	await annotations.setPage(req.uid, filename, pageNum, { svg: svg, rotation: rotation });
+	helpers.formatApiResponse(200, res);
+};
+
+Controllers.deleteAnnotationPage = async function (req, res) {
+	const filename = getAnnotationFile(req);
+	const pageNum = parseInt(req.params.page, 10);
+	if (!filename || !annotations.isValidPage(pageNum)) {
+		return helpers.formatApiResponse(400, res, new Error('[[error:invalid-data]]'));
+	}
+	await annotations.deletePage(req.uid, filename, pageNum);
+	helpers.formatApiResponse(200, res);
+};
+
+Controllers.setAnnotationsShared = async function (req, res) {
+	const filename = getAnnotationFile(req);
+	if (!await checkAnnotationAccess(req, res, filename)) {
+		return;
+	}
+	await annotations.setShared(req.uid, filename, req.method === 'PUT');
+	helpers.formatApiResponse(200, res);
+};
+
+// Shared layers are visible to everyone who may read the posts with the file
+Controllers.getSharedLayers = async function (req, res) {
+	const filename = getAnnotationFile(req);
+	if (!await checkAnnotationAccess(req, res, filename)) {
+		return;
+	}
+	const layers = await annotations.getSharedLayers(filename);
+	helpers.formatApiResponse(200, res, { layers: layers.filter(layer => layer.uid !== req.uid) });
+};
+
+Controllers.getSharedLayer = async function (req, res) {
+	const filename = getAnnotationFile(req);
+	if (!await checkAnnotationAccess(req, res, filename)) {
+		return;
+	}
+	const pages = await annotations.getSharedLayer(parseInt(req.params.uid, 10), filename);
+	if (!pages) {
+		return helpers.formatApiResponse(404, res, new Error('[[error:no-privileges]]'));
+	}
+	helpers.formatApiResponse(200, res, { pages: pages });
+};
+
+// Copies of the caller's notes: burned into the original ('flattened') or as native
+// annotations of it ('pdf-annotations') for users who may download the file,
+// or on their own as XFDF for everyone who may view it
+const EXPORT_FORMATS = ['flattened', 'pdf-annotations', 'xfdf'];
+
+Controllers.exportAnnotations = async function (req, res) {
+	const filename = getAnnotationFile(req);
+	const body = req.body || {};
+	const format = EXPORT_FORMATS.includes(body.format) ? body.format : 'flattened';
+	if (!filename) {
+		return helpers.formatApiResponse(400, res, new Error('[[error:invalid-data]]'));
+	}
+	const access = await policy.resolve(req.uid, filename);
+	if (access.level === 'blocked' || (format !== 'xfdf' && access.level !== 'download')) {
+		return helpers.formatApiResponse(403, res, new Error('[[error:no-privileges]]'));
+	}
+
+	const baseName = filename.replace(/\.pdf$/i, '');
+	let payload;
+	try {
+		const [original, pages, username] = await Promise.all([
+			pdfHandler.getFullPdf(filename),
+			annotations.get(req.uid, filename),
+			user.getUserField(req.uid, 'username'),
+		]);
+		const notes = { pages: pages, highlights: flatten.parseHighlights(body.highlights) };
+		if (format === 'xfdf') {
+			payload = Buffer.from(await interchange.toXfdf(original, notes, { filename: filename, author: username }));
+		} else {
+			payload = format === 'flattened' ?
+				await flatten.apply(original, notes) :
+				await interchange.toPdf(original, notes, { author: username });
+			payload = await applyWatermark(payload, await getWatermarkText(req.uid));
+		}
 	} catch (err) {
 		if (err.message === 'File not found') {
-			return res.status(404).json({ error: 'PDF not found' });
+			return helpers.formatApiResponse(404, res, new Error('PDF not found'));
 		}
-		return res.status(500).json({ error: 'Internal error' });
+		throw err;
 	}
+
+	const downloadName = format === 'xfdf' ? `${baseName}.xfdf` : `${baseName} (notes).pdf`;
+	res.set({
+		'Content-Type': format === 'xfdf' ? 'application/vnd.adobe.xfdf' : 'application/pdf',
+		'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(downloadName)}`,
+		'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+		'X-Content-Type-Options': 'nosniff',
+	});
+	res.send(payload);
+};
+
+// Notes from an XFDF file or an annotated copy of the PDF, appended to the caller's layers
+Controllers.importAnnotations = async function (req, res) {
+	const filename = getAnnotationFile(req);
+	if (!await checkAnnotationAccess(req, res, filename)) {
+		return;
+	}
+	if (!Buffer.isBuffer(req.body) || !req.body.length) {
+		return helpers.formatApiResponse(400, res, new Error('[[error:invalid-data]]'));
+	}
+
+	let result;
+	try {
+		const [original, existing] = await Promise.all([
+			pdfHandler.getFullPdf(filename),
+			annotations.get(req.uid, filename),
+		]);
+		result = await interchange.importNotes(original, req.body, existing);
+	} catch (err) {
+		if (err.message === 'File not found') {
+			return helpers.formatApiResponse(404, res, new Error('PDF not found'));
+		}
+		// Unreadable upload
+		return helpers.formatApiResponse(400, res, new Error('[[error:invalid-data]]'));
+	}
+
+	await Promise.all(Object.keys(result.pages).map(
+		pageNum => annotations.setPage(req.uid, filename, parseInt(pageNum, 10), result.pages[pageNum])
+	));
+	helpers.formatApiResponse(200, res, {
+		pages: result.pages,
+		highlights: result.highlights,
+		imported: result.imported,
+		skipped: result.skipped,
+	});
 };
@@ -0,0 +1,47 @@
+'use strict';
+
+const crypto = require('crypto');
+const db = require.main.require('./src/database');
+const posts = require.main.require('./src/posts');
+const privileges = require.main.require('./src/privileges');
+
+const FilePosts = module.exports;
+
+// NodeBB tracks post uploads in `upload:<md5(relative path)>:pids`, scored by time
+function uploadKey(filename) {
+	const hash = crypto.createHash('md5').update(`files/${filename}`).digest('hex');
+	return `upload:${hash}:pids`;
+}
+
+// All posts referencing the uploaded file, oldest first
+FilePosts.getPids = async function (filename) {
+	const pids = await db.getSortedSetRange(uploadKey(filename), 0, -1);
+	return pids.map(pid => parseInt(pid, 10)).filter(Boolean);
+};
+
+// Category of the post the file was originally uploaded in (null if unreferenced)
+FilePosts.getCid = async function (filename) {
+	const pids = await FilePosts.getPids(filename);
+	if (!pids.length) {
+		return null;
+	}
+	const cid = await posts.getCidByPid(pids[0]);
+	return cid ? parseInt(cid, 10) : null;
+};
+
+// A user may open a PDF they uploaded, or one attached to any post they can read
+FilePosts.canRead = async function (uid, filename) {
+	const [pids, isUploader] = await Promise.all([
+		FilePosts.getPids(filename),
+		uid ? db.isSortedSetMember(`uid:${uid}:uploads`, `files/${filename}`) : false,
+	]);
+	if (isUploader) {
+		return true;
+	}
+	if (!pids.length) {
+		return false;
+	}
+
+	const readable = await privileges.posts.filter('topics:read', pids, uid);
+	return readable.length > 0;
+};
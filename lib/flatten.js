@@ -0,0 +1,488 @@
+'use strict';
+
+const {
+	PDFDocument,
+	StandardFonts,
+	LineCapStyle,
+	LineJoinStyle,
+	pushGraphicsState,
+	popGraphicsState,
+	concatTransformationMatrix,
+	moveTo,
+	lineTo,
+	appendBezierCurve,
+	closePath,
+	stroke,
+	fill,
+	fillAndStroke,
+	setLineWidth,
+	setLineCap,
+	setLineJoin,
+	setStrokingRgbColor,
+	setFillingRgbColor,
+	setGraphicsState,
+	beginText,
+	endText,
+	setFontAndSize,
+	showText,
+} = require('pdf-lib');
+
+const markup = require('./markup');
+const watermark = require('./watermark');
+
+const KAPPA = 0.5522847498; // bezier control distance for quarter ellipses
+const HIGHLIGHT_OPACITY = 0.35; // matches the viewer's text highlights
+const MAX_HIGHLIGHTS_PER_PAGE = 2000;
+
+// Burns the annotation layers the viewer saves (see lib/annotations.js) into a
+// copy of the document as plain page content, so every PDF reader shows them
+const Flatten = module.exports;
+
+// CSS color -> { r, g, b } in 0..1, or null for 'none' and anything unknown
+Flatten.parseColor = function (value) {
+	const color = String(value || '').trim().toLowerCase();
+	let match = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+	if (match) {
+		const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+		return {
+			r: parseInt(hex.slice(0, 2), 16) / 255,
+			g: parseInt(hex.slice(2, 4), 16) / 255,
+			b: parseInt(hex.slice(4, 6), 16) / 255,
+		};
+	}
+	match = color.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)/);
+	if (match) {
+		return { r: Math.min(255, match[1]) / 255, g: Math.min(255, match[2]) / 255, b: Math.min(255, match[3]) / 255 };
+	}
+	return null;
+};
+
+function toNumber(value, fallback) {
+	const num = parseFloat(value);
+	return Number.isFinite(num) ? num : fallback;
+}
+
+function toNumbers(value) {
+	return (String(value || '').match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+}
+
+// SVG transform list -> matrices in the order they are applied as `cm`
+function parseTransform(value) {
+	const matrices = [];
+	String(value || '').replace(/(matrix|translate|scale|rotate)\s*\(([^)]*)\)/gi, (match, type, args) => {
+		const n = toNumbers(args);
+		switch (type.toLowerCase()) {
+			case 'matrix':
+				if (n.length === 6) matrices.push(n);
+				break;
+			case 'translate':
+				matrices.push([1, 0, 0, 1, n[0] || 0, n[1] || 0]);
+				break;
+			case 'scale':
+				matrices.push([n[0] || 1, 0, 0, n.length > 1 ? n[1] : (n[0] || 1), 0, 0]);
+				break;
+			case 'rotate': {
+				const rad = (n[0] || 0) * Math.PI / 180;
+				const [cx, cy] = [n[1] || 0, n[2] || 0];
+				matrices.push([1, 0, 0, 1, cx, cy]);
+				matrices.push([Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), 0, 0]);
+				matrices.push([1, 0, 0, 1, -cx, -cy]);
+				break;
+			}
+		}
+		return match;
+	});
+	return matrices;
+}
+
+// Arguments each path command takes
+const PATH_ARGUMENTS = { M: 2, L: 2, H: 1, V: 1, C: 6, Q: 4, Z: 0 };
+
+// Walks path data (M, L, H, V, C, Q and Z, absolute or relative) with absolute
+// coordinates; quadratic curves are passed on as cubic ones. Arcs and smooth
+// curves are never produced by the viewer; walking stops there.
+function walkPath(d, visitor) {
+	const tokens = String(d || '').match(/[a-z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+	let index = 0;
+	let command = null;
+	let [x, y, startX, startY] = [0, 0, 0, 0];
+
+	const next = () => {
+		index += 1;
+		return Number(tokens[index - 1]);
+	};
+	while (index < tokens.length) {
+		if (/[a-z]/i.test(tokens[index])) {
+			command = tokens[index];
+			index += 1;
+		}
+		const type = command && command.toUpperCase();
+		const count = PATH_ARGUMENTS[type];
+		const args = tokens.slice(index, index + count);
+		if (count === undefined || args.length < count || args.some(arg => /[a-z]/i.test(arg))) {
+			break;
+		}
+		const relative = command !== type;
+		const dx = relative ? x : 0;
+		const dy = relative ? y : 0;
+
+		switch (type) {
+			case 'M':
+				x = next() + dx;
+				y = next() + dy;
+				[startX, startY] = [x, y];
+				visitor.moveTo(x, y);
+				// Further pairs after a moveto are linetos
+				command = relative ? 'l' : 'L';
+				break;
+			case 'L':
+				x = next() + dx;
+				y = next() + dy;
+				visitor.lineTo(x, y);
+				break;
+			case 'H':
+				x = next() + dx;
+				visitor.lineTo(x, y);
+				break;
+			case 'V':
+				y = next() + dy;
+				visitor.lineTo(x, y);
+				break;
+			case 'C': {
+				const [x1, y1, x2, y2] = [next() + dx, next() + dy, next() + dx, next() + dy];
+				x = next() + dx;
+				y = next() + dy;
+				visitor.curveTo(x1, y1, x2, y2, x, y);
+				break;
+			}
+			case 'Q': {
+				// Quadratic -> cubic with control points 2/3 of the way to the quadratic one
+				const [qx, qy] = [next() + dx, next() + dy];
+				const [endX, endY] = [next() + dx, next() + dy];
+				visitor.curveTo(
+					x + ((2 / 3) * (qx - x)), y + ((2 / 3) * (qy - y)),
+					endX + ((2 / 3) * (qx - endX)), endY + ((2 / 3) * (qy - endY)),
+					endX, endY
+				);
+				[x, y] = [endX, endY];
+				break;
+			}
+			default:
+				visitor.closePath(startX, startY);
+				[x, y] = [startX, startY];
+				// Z takes no arguments - a number after it would loop forever
+				if (index < tokens.length && !/[a-z]/i.test(tokens[index])) {
+					return;
+				}
+		}
+	}
+}
+
+function pathOperators(d) {
+	const ops = [];
+	walkPath(d, {
+		moveTo: (x, y) => ops.push(moveTo(x, y)),
+		lineTo: (x, y) => ops.push(lineTo(x, y)),
+		curveTo: (...args) => ops.push(appendBezierCurve(...args)),
+		closePath: () => ops.push(closePath()),
+	});
+	return ops;
+}
+
+function ellipseOperators(cx, cy, rx, ry) {
+	const ox = rx * KAPPA;
+	const oy = ry * KAPPA;
+	return [
+		moveTo(cx - rx, cy),
+		appendBezierCurve(cx - rx, cy - oy, cx - ox, cy - ry, cx, cy - ry),
+		appendBezierCurve(cx + ox, cy - ry, cx + rx, cy - oy, cx + rx, cy),
+		appendBezierCurve(cx + rx, cy + oy, cx + ox, cy + ry, cx, cy + ry),
+		appendBezierCurve(cx - ox, cy + ry, cx - rx, cy + oy, cx - rx, cy),
+		closePath(),
+	];
+}
+
+function polyOperators(points, close) {
+	const n = toNumbers(points);
+	const ops = [];
+	for (let i = 0; i + 1 < n.length; i += 2) {
+		ops.push(i ? lineTo(n[i], n[i + 1]) : moveTo(n[i], n[i + 1]));
+	}
+	if (close && ops.length) {
+		ops.push(closePath());
+	}
+	return ops;
+}
+
+function shapeOperators(element) {
+	const a = element.attributes;
+	switch (element.name) {
+		case 'path':
+			return pathOperators(a.d);
+		case 'line':
+			return [moveTo(toNumber(a.x1, 0), toNumber(a.y1, 0)), lineTo(toNumber(a.x2, 0), toNumber(a.y2, 0))];
+		case 'rect': {
+			const [x, y] = [toNumber(a.x, 0), toNumber(a.y, 0)];
+			const [w, h] = [toNumber(a.width, 0), toNumber(a.height, 0)];
+			return [moveTo(x, y), lineTo(x + w, y), lineTo(x + w, y + h), lineTo(x, y + h), closePath()];
+		}
+		case 'ellipse':
+			return ellipseOperators(toNumber(a.cx, 0), toNumber(a.cy, 0), toNumber(a.rx, 0), toNumber(a.ry, 0));
+		case 'circle':
+			return ellipseOperators(toNumber(a.cx, 0), toNumber(a.cy, 0), toNumber(a.r, 0), toNumber(a.r, 0));
+		case 'polyline':
+		case 'polygon':
+			return polyOperators(a.points, element.name === 'polygon');
+		default:
+			return [];
+	}
+}
+
+// Opacities multiply down the tree; unset means opaque
+function opacityOf(style, name) {
+	return style[name] === undefined ? 1 : style[name];
+}
+
+function textContent(element) {
+	return element.children.map(child => (child.text !== undefined ? child.text : textContent(child))).join('');
+}
+
+// Presentation attributes inherited down the tree
+function getStyle(element, parentStyle) {
+	const a = element.attributes;
+	const style = { ...parentStyle };
+	['stroke', 'fill', 'stroke-width', 'font-size'].forEach((name) => {
+		if (a[name] !== undefined) style[name] = a[name];
+	});
+	['opacity', 'stroke-opacity', 'fill-opacity'].forEach((name) => {
+		if (a[name] !== undefined) {
+			style[name] = opacityOf(parentStyle, name) * Math.min(1, Math.max(0, toNumber(a[name], 1)));
+		}
+	});
+	return style;
+}
+
+function createPainter(pdfDoc, page, font) {
+	const graphicsStates = new Map();
+	let fontKey = null;
+
+	function opacityOperator(strokeOpacity, fillOpacity) {
+		const key = `${strokeOpacity}:${fillOpacity}`;
+		if (!graphicsStates.has(key)) {
+			const ref = pdfDoc.context.register(pdfDoc.context.obj({ Type: 'ExtGState', CA: strokeOpacity, ca: fillOpacity }));
+			graphicsStates.set(key, page.node.newExtGState('GS', ref));
+		}
+		return setGraphicsState(graphicsStates.get(key));
+	}
+
+	function paintElement(element, parentStyle) {
+		const style = getStyle(element, parentStyle);
+		const opacity = opacityOf(style, 'opacity');
+		const ops = [pushGraphicsState()];
+		parseTransform(element.attributes.transform).forEach(m => ops.push(concatTransformationMatrix(...m)));
+
+		if (element.name === 'g') {
+			element.children.forEach((child) => {
+				if (child.name) ops.push(...paintElement(child, style));
+			});
+		} else if (element.name === 'text') {
+			const color = Flatten.parseColor(style.fill === undefined ? '#000000' : style.fill);
+			const text = watermark.toDrawableText(font, textContent(element).replace(/\s+/g, ' ').trim());
+			if (color && text) {
+				if (!fontKey) {
+					fontKey = page.node.newFontDictionary(font.name, font.ref);
+				}
+				const x = toNumber(element.attributes.x, 0);
+				const y = toNumber(element.attributes.y, 0);
+				ops.push(
+					opacityOperator(1, opacity * opacityOf(style, 'fill-opacity')),
+					setFillingRgbColor(color.r, color.g, color.b),
+					// Text is drawn upright at its baseline in the y-down layer space
+					concatTransformationMatrix(1, 0, 0, -1, x, y),
+					beginText(),
+					setFontAndSize(fontKey, toNumber(style['font-size'], 16)),
+					showText(font.encodeText(text)),
+					endText()
+				);
+			}
+		} else {
+			const shape = shapeOperators(element);
+			const strokeColor = Flatten.parseColor(style.stroke);
+			// The viewer's drawings are never filled unless they say so
+			const fillColor = Flatten.parseColor(style.fill);
+			if (shape.length && (strokeColor || fillColor)) {
+				ops.push(opacityOperator(opacity * opacityOf(style, 'stroke-opacity'), opacity * opacityOf(style, 'fill-opacity')));
+				if (strokeColor) {
+					ops.push(
+						setStrokingRgbColor(strokeColor.r, strokeColor.g, strokeColor.b),
+						setLineWidth(toNumber(style['stroke-width'], 1)),
+						setLineCap(LineCapStyle.Round),
+						setLineJoin(LineJoinStyle.Round)
+					);
+				}
+				if (fillColor) {
+					ops.push(setFillingRgbColor(fillColor.r, fillColor.g, fillColor.b));
+				}
+				let paint = stroke();
+				if (fillColor) {
+					paint = strokeColor ? fillAndStroke() : fill();
+				}
+				ops.push(...shape, paint);
+			}
+		}
+
+		ops.push(popGraphicsState());
+		return ops;
+	}
+
+	return { paintElement, opacityOperator };
+}
+
+// Same mapping as a PDF.js viewport at scale 1: page space -> y-down layer space
+function viewportMatrix(box, rotation) {
+	const { x, y, width, height } = box;
+	switch (rotation) {
+		case 90: return { matrix: [0, 1, 1, 0, -y, -x], width: height, height: width };
+		case 180: return { matrix: [-1, 0, 0, 1, x + width, -y], width: width, height: height };
+		case 270: return { matrix: [0, -1, -1, 0, y + height, x + width], width: height, height: width };
+		default: return { matrix: [1, 0, 0, -1, -x, y + height], width: width, height: height };
+	}
+}
+
+// Shared with lib/interchange.js
+Flatten.toNumber = toNumber;
+Flatten.walkPath = walkPath;
+Flatten.parseTransform = parseTransform;
+Flatten.getStyle = getStyle;
+Flatten.opacityOf = opacityOf;
+Flatten.textContent = textContent;
+
+Flatten.invert = function ([a, b, c, d, e, f]) {
+	const det = (a * d) - (b * c);
+	return [d / det, -b / det, -c / det, a / det, ((c * f) - (d * e)) / det, ((b * e) - (a * f)) / det];
+};
+
+// Matrix that applies `m` first, then `n`
+Flatten.multiply = function (m, n) {
+	return [
+		(m[0] * n[0]) + (m[1] * n[2]),
+		(m[0] * n[1]) + (m[1] * n[3]),
+		(m[2] * n[0]) + (m[3] * n[2]),
+		(m[2] * n[1]) + (m[3] * n[3]),
+		(m[4] * n[0]) + (m[5] * n[2]) + n[4],
+		(m[4] * n[1]) + (m[5] * n[3]) + n[5],
+	];
+};
+
+Flatten.transformPoint = function (m, x, y) {
+	return [(m[0] * x) + (m[2] * y) + m[4], (m[1] * x) + (m[3] * y) + m[5]];
+};
+
+// Crop box and own /Rotate of a pdf-lib page
+Flatten.getPageGeometry = function (page) {
+	return {
+		box: page.getCropBox(),
+		rotation: ((page.getRotation().angle % 360) + 360) % 360,
+	};
+};
+
+// Annotation layer (y-down viewBox at the rotation it was drawn) -> PDF user space.
+// Layers are stretched over the displayed page like the viewer does,
+// so pages with their own /Rotate come out as they were drawn.
+Flatten.getLayerMatrix = function (geometry, rotation) {
+	const drawn = viewportMatrix(geometry.box, rotation);
+	const shown = viewportMatrix(geometry.box, (geometry.rotation + rotation) % 360);
+	return Flatten.multiply(
+		[shown.width / drawn.width, 0, 0, shown.height / drawn.height, 0, 0],
+		Flatten.invert(shown.matrix)
+	);
+};
+
+// Fractions of the displayed, unrotated page (text highlights) -> PDF user space
+Flatten.getFractionMatrix = function (geometry) {
+	const shown = viewportMatrix(geometry.box, geometry.rotation);
+	return Flatten.multiply([shown.width, 0, 0, shown.height, 0, 0], Flatten.invert(shown.matrix));
+};
+
+/**
+ * Burn annotation layers and text highlights into a PDF.
+ * options: {
+ *   pages: { [pageNum]: { svg, rotation } } as stored by lib/annotations.js,
+ *   highlights: { [pageNum]: [{ x, y, w, h, c }] } as fractions of the displayed page
+ * }
+ */
+Flatten.apply = async function (pdfBuffer, options) {
+	const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+	const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+	const pages = pdfDoc.getPages();
+	const annotationPages = options.pages || {};
+	const highlightPages = options.highlights || {};
+
+	pages.forEach((page, index) => {
+		const pageNum = index + 1;
+		const layer = annotationPages[pageNum];
+		const highlights = highlightPages[pageNum] || [];
+		if (!layer && !highlights.length) {
+			return;
+		}
+
+		const geometry = Flatten.getPageGeometry(page);
+		const painter = createPainter(pdfDoc, page, font);
+		const ops = [];
+
+		// Highlights sit under the drawings, like in the viewer
+		if (highlights.length) {
+			ops.push(
+				pushGraphicsState(),
+				concatTransformationMatrix(...Flatten.getFractionMatrix(geometry)),
+				painter.opacityOperator(1, HIGHLIGHT_OPACITY)
+			);
+			highlights.forEach(({ x, y, w, h, c }) => {
+				const color = Flatten.parseColor(c);
+				if (!color) return;
+				ops.push(
+					setFillingRgbColor(color.r, color.g, color.b),
+					moveTo(x, y), lineTo(x + w, y), lineTo(x + w, y + h), lineTo(x, y + h), closePath(),
+					fill()
+				);
+			});
+			ops.push(popGraphicsState());
+		}
+
+		if (layer && layer.svg) {
+			ops.push(
+				pushGraphicsState(),
+				concatTransformationMatrix(...Flatten.getLayerMatrix(geometry, parseInt(layer.rotation, 10) || 0)),
+				...painter.paintElement(markup.parse(layer.svg), {}),
+				popGraphicsState()
+			);
+		}
+
+		page.pushOperators(...ops);
+	});
+
+	return Buffer.from(await pdfDoc.save());
+};
+
+// Text highlights sent by the viewer (they live in the browser's storage)
+Flatten.parseHighlights = function (input) {
+	const highlights = {};
+	if (!input || typeof input !== 'object') {
+		return highlights;
+	}
+	const isFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+	const isValid = r => r && [r.x, r.y, r.w, r.h].every(isFraction) && Flatten.parseColor(r.c);
+	Object.keys(input).forEach((page) => {
+		const pageNum = parseInt(page, 10);
+		if (!(pageNum >= 1) || !Array.isArray(input[page])) {
+			return;
+		}
+		const rects = input[page]
+			.slice(0, MAX_HIGHLIGHTS_PER_PAGE)
+			.filter(isValid);
+		if (rects.length) {
+			highlights[pageNum] = rects.map(r => ({ x: r.x, y: r.y, w: r.w, h: r.h, c: String(r.c) }));
+		}
+	});
+	return highlights;
+};
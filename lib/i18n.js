@@ -0,0 +1,58 @@
+'use strict';
+
+const meta = require.main.require('./src/meta');
+const user = require.main.require('./src/user');
+const languages = require.main.require('./src/languages');
+const translator = require.main.require('./src/translator');
+
+const NAMESPACE = 'pdf-secure';
+const FALLBACK_LANGUAGE = 'en-GB';
+
+// Built language files do not change while the forum runs
+const bundles = new Map(); // language -> { key: text }
+const pages = new Map(); // language -> translated viewer markup
+
+const I18n = module.exports;
+
+// Interface language of a user; guests get the forum default
+I18n.getLanguage = async function (uid) {
+	const userSettings = await user.getSettings(uid || 0);
+	return (userSettings && userSettings.userLang) || meta.config.defaultLang || FALLBACK_LANGUAGE;
+};
+
+I18n.translate = async function (text, language) {
+	return await translator.translate(text, language);
+};
+
+// Token for a translated message, e.g. in errors shown by the forum
+I18n.compile = function (key, ...args) {
+	return `[[${[`${NAMESPACE}:${key}`, ...args].join(', ')}]]`;
+};
+
+async function load(language) {
+	try {
+		return await languages.get(language, NAMESPACE);
+	} catch (err) {
+		return {}; // Not shipped for this language
+	}
+}
+
+/**
+ * Every string of the plugin in one language, for the viewer script.
+ * Keys missing from that language are taken from the default language.
+ */
+I18n.getBundle = async function (language) {
+	if (!bundles.has(language)) {
+		const [fallback, translations] = await Promise.all([load(FALLBACK_LANGUAGE), load(language)]);
+		bundles.set(language, { ...fallback, ...translations });
+	}
+	return bundles.get(language);
+};
+
+// Viewer markup with its [[pdf-secure:...]] tokens translated
+I18n.translatePage = async function (html, language) {
+	if (!pages.has(language)) {
+		pages.set(language, await I18n.translate(html, language));
+	}
+	return pages.get(language);
+};
@@ -0,0 +1,765 @@
+'use strict';
+
+const crypto = require('crypto');
+const {
+	PDFDocument,
+	PDFName,
+	PDFArray,
+	PDFDict,
+	PDFNumber,
+	PDFString,
+	PDFHexString,
+} = require('pdf-lib');
+
+const flatten = require('./flatten');
+const markup = require('./markup');
+const annotations = require('./annotations');
+
+const MAX_RECORDS = 5000;
+const ARROW_ENDINGS = ['OpenArrow', 'ClosedArrow'];
+const FONT_FAMILY = 'Segoe UI, Arial, sans-serif'; // the viewer's text tool
+const FONT_WIDTH = 0.55; // average glyph width per font size, for FreeText boxes
+const CURVE_STEPS = 4; // ink points sampled per curve
+
+// PDF annotation subtype <-> XFDF element
+const SUBTYPES = {
+	Ink: 'ink',
+	Square: 'square',
+	Circle: 'circle',
+	Line: 'line',
+	FreeText: 'freetext',
+	Highlight: 'highlight',
+};
+const TYPES = Object.values(SUBTYPES);
+
+// Annotations that are not notes and are never counted as skipped
+const IGNORED_SUBTYPES = ['Link', 'Widget', 'Popup'];
+
+// The viewer's notes as standard annotations: XFDF files and native PDF /Annot
+// dictionaries (Ink, Square, Circle, Line, FreeText and Highlight), both ways.
+// In between, every note is a record in PDF user space:
+// { type, page, rect, color, opacity, width, ink, line, endings, contents, fontSize, rotate, quads }
+const Interchange = module.exports;
+
+function round(value) {
+	return Math.round(value * 100) / 100;
+}
+
+function scaleOf(m) {
+	return Math.sqrt(Math.abs((m[0] * m[3]) - (m[1] * m[2])));
+}
+
+// Bounding box [x1, y1, x2, y2] of points [x, y, x, y, ...], grown by `pad`
+function boundsOf(points, pad) {
+	const xs = points.filter((value, index) => index % 2 === 0);
+	const ys = points.filter((value, index) => index % 2 === 1);
+	return [Math.min(...xs) - pad, Math.min(...ys) - pad, Math.max(...xs) + pad, Math.max(...ys) + pad];
+}
+
+function transformPoints(m, points) {
+	const result = [];
+	for (let i = 0; i + 1 < points.length; i += 2) {
+		result.push(...flatten.transformPoint(m, points[i], points[i + 1]));
+	}
+	return result;
+}
+
+function toHex(color) {
+	return '#' + [color.r, color.g, color.b]
+		.map(value => Math.round(Math.min(1, Math.max(0, value)) * 255).toString(16).padStart(2, '0'))
+		.join('');
+}
+
+function escapeXml(text) {
+	return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+// PDF date string (D:YYYYMMDDHHmmSSZ)
+function pdfDate(date) {
+	return 'D:' + date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+}
+
+// Subpaths of path data as flat point lists
+function pathPoints(d) {
+	const subpaths = [];
+	let current = null;
+	let [x, y] = [0, 0];
+	const add = (px, py) => {
+		current.push(px, py);
+		[x, y] = [px, py];
+	};
+	flatten.walkPath(d, {
+		moveTo: (px, py) => {
+			current = [];
+			subpaths.push(current);
+			add(px, py);
+		},
+		lineTo: add,
+		curveTo: (x1, y1, x2, y2, x3, y3) => {
+			const [x0, y0] = [x, y];
+			for (let step = 1; step <= CURVE_STEPS; step += 1) {
+				const t = step / CURVE_STEPS;
+				const u = 1 - t;
+				add(
+					(u * u * u * x0) + (3 * u * u * t * x1) + (3 * u * t * t * x2) + (t * t * t * x3),
+					(u * u * u * y0) + (3 * u * u * t * y1) + (3 * u * t * t * y2) + (t * t * t * y3)
+				);
+			}
+		},
+		closePath: add,
+	});
+	return subpaths;
+}
+
+// The two strokes the shape tool adds after a line to make it an arrow
+function isArrowHead(points, line) {
+	const [x2, y2] = [flatten.toNumber(line.x2, NaN), flatten.toNumber(line.y2, NaN)];
+	return points.length === 2 && points.every(stroke => stroke.length === 4 &&
+		Math.abs(stroke[0] - x2) < 0.01 && Math.abs(stroke[1] - y2) < 0.01);
+}
+
+function shapeRecord(element, ctm, style) {
+	const a = element.attributes;
+	const color = flatten.parseColor(style.stroke);
+	if (!color) {
+		return null;
+	}
+	const scale = scaleOf(ctm);
+	const width = flatten.toNumber(style['stroke-width'], 1) * scale;
+	const record = {
+		color: color,
+		width: width,
+		opacity: flatten.opacityOf(style, 'opacity') * flatten.opacityOf(style, 'stroke-opacity'),
+	};
+	const num = name => flatten.toNumber(a[name], 0);
+
+	switch (element.name) {
+		case 'rect':
+		case 'ellipse':
+		case 'circle': {
+			const rx = element.name === 'circle' ? num('r') : num('rx');
+			const ry = element.name === 'circle' ? num('r') : num('ry');
+			const corners = element.name === 'rect' ?
+				[num('x'), num('y'), num('x') + num('width'), num('y') + num('height')] :
+				[num('cx') - rx, num('cy') - ry, num('cx') + rx, num('cy') + ry];
+			const [x1, y1, x2, y2] = corners;
+			const points = transformPoints(ctm, [x1, y1, x2, y2, x1, y2, x2, y1]);
+			return { ...record, type: element.name === 'rect' ? 'square' : 'circle', rect: boundsOf(points, width / 2) };
+		}
+		case 'line': {
+			const line = transformPoints(ctm, [num('x1'), num('y1'), num('x2'), num('y2')]);
+			return { ...record, type: 'line', line: line, endings: ['None', 'None'], rect: boundsOf(line, width * 4) };
+		}
+		case 'polyline':
+		case 'polygon': {
+			const points = (String(a.points || '').match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+			if (element.name === 'polygon') {
+				points.push(points[0], points[1]);
+			}
+			const ink = transformPoints(ctm, points.slice(0, points.length - (points.length % 2)));
+			return ink.length ? { ...record, type: 'ink', ink: [ink], rect: boundsOf(ink, width / 2) } : null;
+		}
+		default:
+			return null;
+	}
+}
+
+function textRecord(element, ctm, style, rotate) {
+	const color = flatten.parseColor(style.fill === undefined ? '#000000' : style.fill);
+	const contents = flatten.textContent(element).replace(/\s+/g, ' ').trim();
+	if (!color || !contents) {
+		return null;
+	}
+	const fontSize = flatten.toNumber(style['font-size'], 16);
+	const x = flatten.toNumber(element.attributes.x, 0);
+	const y = flatten.toNumber(element.attributes.y, 0);
+	const width = contents.length * fontSize * FONT_WIDTH;
+	const points = transformPoints(ctm, [x, y - fontSize, x + width, y + (fontSize / 4)]);
+	return {
+		type: 'freetext',
+		color: color,
+		opacity: flatten.opacityOf(style, 'opacity') * flatten.opacityOf(style, 'fill-opacity'),
+		width: 0,
+		contents: contents,
+		fontSize: fontSize * scaleOf(ctm),
+		rotate: rotate,
+		rect: boundsOf(points, 0),
+	};
+}
+
+function collectRecords(element, ctm, style, rotate, records) {
+	let previous = null;
+	element.children.forEach((child) => {
+		if (!child.name) {
+			return;
+		}
+		const childStyle = flatten.getStyle(child, style);
+		const childCtm = flatten.parseTransform(child.attributes.transform)
+			.reduce((m, transform) => flatten.multiply(transform, m), ctm);
+		const count = records.length;
+
+		if (child.name === 'g') {
+			collectRecords(child, childCtm, childStyle, rotate, records);
+		} else if (child.name === 'text') {
+			records.push(textRecord(child, childCtm, childStyle, rotate));
+		} else if (child.name === 'path') {
+			const color = flatten.parseColor(childStyle.stroke);
+			const layerPoints = pathPoints(child.attributes.d);
+			if (previous && previous.record && previous.element.name === 'line' &&
+				isArrowHead(layerPoints, previous.element.attributes)) {
+				previous.record.endings = ['None', 'OpenArrow'];
+			} else if (color && layerPoints.length) {
+				const width = flatten.toNumber(childStyle['stroke-width'], 1) * scaleOf(childCtm);
+				const ink = layerPoints.map(points => transformPoints(childCtm, points));
+				records.push({
+					type: 'ink',
+					color: color,
+					width: width,
+					opacity: flatten.opacityOf(childStyle, 'opacity') * flatten.opacityOf(childStyle, 'stroke-opacity'),
+					ink: ink,
+					rect: boundsOf([].concat(...ink), width / 2),
+				});
+			}
+		} else {
+			records.push(shapeRecord(child, childCtm, childStyle));
+		}
+		previous = { element: child, record: records.length > count ? records[records.length - 1] : null };
+	});
+}
+
+/**
+ * The viewer's notes of a document as records.
+ * notes: { pages, highlights } as taken by Flatten.apply
+ */
+Interchange.getRecords = function (pdfDoc, notes) {
+	const records = [];
+	pdfDoc.getPages().forEach((page, index) => {
+		const pageNum = index + 1;
+		const layer = (notes.pages || {})[pageNum];
+		const highlights = (notes.highlights || {})[pageNum] || [];
+		const geometry = flatten.getPageGeometry(page);
+		const pageRecords = [];
+
+		highlights.forEach(({ x, y, w, h, c }) => {
+			const quad = transformPoints(flatten.getFractionMatrix(geometry), [x, y, x + w, y, x, y + h, x + w, y + h]);
+			pageRecords.push({ type: 'highlight', color: flatten.parseColor(c), opacity: 1, quads: [quad], rect: boundsOf(quad, 0) });
+		});
+		if (layer && layer.svg) {
+			const rotation = parseInt(layer.rotation, 10) || 0;
+			const ctm = flatten.getLayerMatrix(geometry, rotation);
+			collectRecords(markup.parse(layer.svg), ctm, {}, (geometry.rotation + rotation) % 360, pageRecords);
+		}
+		pageRecords.forEach((record) => {
+			if (record && record.color) {
+				records.push({ ...record, page: pageNum });
+			}
+		});
+	});
+	return records;
+};
+
+function xfdfElement(record, meta, index) {
+	const attributes = {
+		page: record.page - 1,
+		rect: record.rect.map(round).join(','),
+		name: `${meta.id}-${index}`,
+		title: meta.author,
+		date: meta.date,
+		creationdate: meta.date,
+		flags: 'print',
+	};
+	const children = [];
+	if (record.type !== 'freetext') {
+		attributes.color = toHex(record.color).toUpperCase();
+	}
+	if (record.opacity < 1) {
+		attributes.opacity = round(record.opacity);
+	}
+	if (['ink', 'square', 'circle', 'line'].includes(record.type)) {
+		attributes.width = round(record.width);
+	}
+
+	switch (record.type) {
+		case 'ink':
+			children.push('<inklist>' + record.ink.map(points => '<gesture>' + points.map(round)
+				.reduce((pairs, value, i) => pairs + (i % 2 ? ',' : (i ? ';' : '')) + value, '') + '</gesture>').join('') + '</inklist>');
+			break;
+		case 'line':
+			attributes.start = record.line.slice(0, 2).map(round).join(',');
+			attributes.end = record.line.slice(2).map(round).join(',');
+			[attributes.head, attributes.tail] = record.endings;
+			break;
+		case 'freetext':
+			attributes.width = 0;
+			if (record.rotate) {
+				attributes.rotation = record.rotate;
+			}
+			children.push(`<contents>${escapeXml(record.contents)}</contents>`);
+			children.push(`<defaultappearance>/Helv ${round(record.fontSize)} Tf ${[record.color.r, record.color.g, record.color.b].map(round).join(' ')} rg</defaultappearance>`);
+			break;
+		case 'highlight':
+			attributes.coords = [].concat(...record.quads).map(round).join(',');
+			break;
+		default:
+	}
+
+	const attributeText = Object.keys(attributes)
+		.filter(name => attributes[name] !== undefined && attributes[name] !== '')
+		.map(name => `${name}="${escapeXml(attributes[name])}"`)
+		.join(' ');
+	return `<${record.type} ${attributeText}>${children.join('')}</${record.type}>`;
+}
+
+Interchange.writeXfdf = function (records, meta) {
+	const options = { id: crypto.randomUUID(), date: pdfDate(new Date()), author: '', ...meta };
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<xfdf xmlns="http://ns.adobe.com/xfdf/" xml:space="preserve">',
+		`<f href="${escapeXml(options.filename || '')}"/>`,
+		'<annots>',
+		...records.map((record, index) => xfdfElement(record, options, index)),
+		'</annots>',
+		'</xfdf>',
+	].join('\n');
+};
+
+// Adds records as /Annot dictionaries. Readers build the appearance themselves.
+Interchange.addAnnotations = function (pdfDoc, records, meta) {
+	const { context } = pdfDoc;
+	const pages = pdfDoc.getPages();
+	const date = PDFString.of(pdfDate(new Date()));
+	const id = crypto.randomUUID();
+
+	records.forEach((record, index) => {
+		const subtype = Object.keys(SUBTYPES).find(key => SUBTYPES[key] === record.type);
+		const color = [record.color.r, record.color.g, record.color.b];
+		const annot = {
+			Type: 'Annot',
+			Subtype: subtype,
+			Rect: record.rect,
+			F: 4, // print
+			M: date,
+			CreationDate: date,
+			NM: PDFHexString.fromText(`${id}-${index}`),
+			T: PDFHexString.fromText(meta.author || ''),
+			CA: record.opacity,
+		};
+		switch (record.type) {
+			case 'ink':
+				annot.InkList = record.ink;
+				break;
+			case 'line':
+				annot.L = record.line;
+				annot.LE = record.endings;
+				break;
+			case 'freetext':
+				annot.Contents = PDFHexString.fromText(record.contents);
+				annot.DA = PDFString.of(`/Helv ${round(record.fontSize)} Tf ${color.map(round).join(' ')} rg`);
+				if (record.rotate) {
+					annot.Rotate = record.rotate;
+				}
+				break;
+			case 'highlight':
+				annot.QuadPoints = [].concat(...record.quads);
+				break;
+			default:
+		}
+		if (record.type === 'freetext') {
+			annot.BS = { W: 0 };
+		} else {
+			annot.C = color;
+			if (record.type !== 'highlight') {
+				annot.BS = { W: record.width };
+			}
+		}
+		pages[record.page - 1].node.addAnnot(context.register(context.obj(annot)));
+	});
+};
+
+/**
+ * The original document with the notes as native annotations.
+ * notes: { pages, highlights } as taken by Flatten.apply; meta: { author }
+ */
+Interchange.toPdf = async function (pdfBuffer, notes, meta) {
+	const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+	Interchange.addAnnotations(pdfDoc, Interchange.getRecords(pdfDoc, notes), meta);
+	return Buffer.from(await pdfDoc.save());
+};
+
+// The notes alone, for the document at `meta.filename`
+Interchange.toXfdf = async function (pdfBuffer, notes, meta) {
+	const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+	return Interchange.writeXfdf(Interchange.getRecords(pdfDoc, notes), meta);
+};
+
+function numberList(value) {
+	return (String(value || '').match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+}
+
+// Text color and size of a default appearance string ("/Helv 12 Tf 1 0 0 rg")
+function parseAppearance(da, style) {
+	const size = String(da || '').match(/([\d.]+)\s+Tf/);
+	const rgb = String(da || '').match(/([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+rg/);
+	const gray = String(da || '').match(/([\d.]+)\s+g(?:\s|$)/);
+	const styleColor = flatten.parseColor((String(style || '').match(/color\s*:\s*([^;]+)/i) || [])[1]);
+	const styleSize = String(style || '').match(/font\s*:[^;]*?([\d.]+)pt/i);
+
+	let color = styleColor || { r: 0, g: 0, b: 0 };
+	if (rgb) {
+		color = { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]) };
+	} else if (gray) {
+		color = { r: Number(gray[1]), g: Number(gray[1]), b: Number(gray[1]) };
+	}
+	return { color: color, fontSize: Number((size || styleSize || [])[1]) || 12 };
+}
+
+function findElements(element, found) {
+	element.children.forEach((child) => {
+		if (!child.name) {
+			return;
+		}
+		if (TYPES.includes(child.name) && child.attributes.page !== undefined) {
+			found.push(child);
+		} else {
+			findElements(child, found);
+		}
+	});
+	return found;
+}
+
+function childText(element, name) {
+	const child = element.children.find(node => node.name === name);
+	return child ? flatten.textContent(child) : undefined;
+}
+
+Interchange.readXfdf = function (xml) {
+	if (!/<xfdf[\s>]/i.test(xml)) {
+		throw new Error('Not an XFDF document');
+	}
+	return findElements(markup.parse(xml), []).map((element) => {
+		const a = element.attributes;
+		const record = {
+			type: element.name,
+			page: parseInt(a.page, 10) + 1,
+			rect: numberList(a.rect),
+			color: flatten.parseColor(a.color),
+			opacity: a.opacity === undefined ? 1 : flatten.toNumber(a.opacity, 1),
+			width: flatten.toNumber(a.width, 1),
+		};
+		switch (element.name) {
+			case 'ink': {
+				const inklist = element.children.find(node => node.name === 'inklist');
+				record.ink = (inklist ? inklist.children : [])
+					.filter(node => node.name === 'gesture')
+					.map(gesture => numberList(flatten.textContent(gesture)));
+				break;
+			}
+			case 'line':
+				record.line = numberList(a.start).concat(numberList(a.end));
+				record.endings = [a.head || 'None', a.tail || 'None'];
+				break;
+			case 'freetext': {
+				const appearance = parseAppearance(childText(element, 'defaultappearance') || a.defaultappearance,
+					childText(element, 'defaultstyle') || a.defaultstyle);
+				record.contents = childText(element, 'contents') || '';
+				record.color = appearance.color;
+				record.fontSize = appearance.fontSize;
+				break;
+			}
+			case 'highlight': {
+				const coords = numberList(a.coords);
+				record.quads = [];
+				for (let i = 0; i + 7 < coords.length; i += 8) {
+					record.quads.push(coords.slice(i, i + 8));
+				}
+				break;
+			}
+			default:
+		}
+		return record;
+	});
+};
+
+// Numbers of a PDF array entry; nested arrays come back as arrays
+function pdfNumbers(context, object) {
+	const value = context.lookup(object);
+	if (value instanceof PDFNumber) {
+		return value.asNumber();
+	}
+	if (value instanceof PDFArray) {
+		return value.asArray().map(item => pdfNumbers(context, item));
+	}
+	return null;
+}
+
+function pdfText(context, object) {
+	const value = context.lookup(object);
+	return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : '';
+}
+
+function pdfColor(values) {
+	if (!Array.isArray(values)) {
+		return null;
+	}
+	switch (values.length) {
+		case 1:
+			return { r: values[0], g: values[0], b: values[0] };
+		case 3:
+			return { r: values[0], g: values[1], b: values[2] };
+		case 4:
+			return {
+				r: (1 - values[0]) * (1 - values[3]),
+				g: (1 - values[1]) * (1 - values[3]),
+				b: (1 - values[2]) * (1 - values[3]),
+			};
+		default:
+			return null;
+	}
+}
+
+// Supported records of every page, plus the number of other notes
+Interchange.readPdf = async function (pdfBuffer) {
+	const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+	const { context } = pdfDoc;
+	const records = [];
+	let unsupported = 0;
+
+	pdfDoc.getPages().forEach((page, index) => {
+		const annots = page.node.Annots();
+		(annots ? annots.asArray() : []).forEach((ref) => {
+			const dict = context.lookup(ref);
+			if (!(dict instanceof PDFDict)) {
+				return;
+			}
+			const get = key => dict.get(PDFName.of(key));
+			const subtype = get('Subtype') instanceof PDFName ? get('Subtype').decodeText() : '';
+			if (!SUBTYPES[subtype]) {
+				unsupported += IGNORED_SUBTYPES.includes(subtype) ? 0 : 1;
+				return;
+			}
+			const border = context.lookup(get('BS'));
+			const borderWidth = border instanceof PDFDict ? pdfNumbers(context, border.get(PDFName.of('W'))) : null;
+			const legacyBorder = pdfNumbers(context, get('Border'));
+			const opacity = pdfNumbers(context, get('CA'));
+			const record = {
+				type: SUBTYPES[subtype],
+				page: index + 1,
+				rect: pdfNumbers(context, get('Rect')) || [],
+				color: pdfColor(pdfNumbers(context, get('C'))),
+				opacity: typeof opacity === 'number' ? opacity : 1,
+				width: typeof borderWidth === 'number' ? borderWidth : ((Array.isArray(legacyBorder) && legacyBorder[2]) || 1),
+			};
+			switch (record.type) {
+				case 'ink':
+					record.ink = (pdfNumbers(context, get('InkList')) || []).filter(Array.isArray);
+					break;
+				case 'line': {
+					const endings = context.lookup(get('LE'));
+					record.line = pdfNumbers(context, get('L')) || [];
+					record.endings = endings instanceof PDFArray ?
+						endings.asArray().map(name => (name instanceof PDFName ? name.decodeText() : 'None')) :
+						['None', 'None'];
+					break;
+				}
+				case 'freetext': {
+					const appearance = parseAppearance(pdfText(context, get('DA')), pdfText(context, get('DS')));
+					record.contents = pdfText(context, get('Contents'));
+					record.color = appearance.color;
+					record.fontSize = appearance.fontSize;
+					break;
+				}
+				case 'highlight': {
+					const coords = pdfNumbers(context, get('QuadPoints')) || [];
+					record.quads = [];
+					for (let i = 0; i + 7 < coords.length; i += 8) {
+						record.quads.push(coords.slice(i, i + 8));
+					}
+					break;
+				}
+				default:
+			}
+			records.push(record);
+		});
+	});
+	return { records: records, unsupported: unsupported };
+};
+
+function svgAttributes(attributes) {
+	return Object.keys(attributes).map(name => `${name}="${escapeXml(attributes[name])}"`).join(' ');
+}
+
+function strokeAttributes(record, scale) {
+	const attributes = {
+		stroke: toHex(record.color),
+		'stroke-width': round(Math.max(record.width, 0.5) * scale),
+		fill: 'none',
+	};
+	if (record.opacity < 1) {
+		attributes['stroke-opacity'] = round(record.opacity);
+	}
+	return attributes;
+}
+
+function pointsPath(points) {
+	return points.reduce((d, value, i) => {
+		if (i % 2) {
+			return `${d},${round(value)}`;
+		}
+		return `${d}${i ? ' L' : 'M'}${round(value)}`;
+	}, '');
+}
+
+// Markup the viewer's tools would have drawn for a record, in layer space (`m` maps from PDF)
+function recordMarkup(record, m) {
+	const scale = scaleOf(m);
+	const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+	const rect = record.rect.length === 4 && record.rect.every(isNumber) ?
+		boundsOf(transformPoints(m, [record.rect[0], record.rect[1], record.rect[2], record.rect[3],
+			record.rect[0], record.rect[3], record.rect[2], record.rect[1]]), 0) :
+		null;
+
+	switch (record.type) {
+		case 'ink': {
+			const strokes = (record.ink || []).filter(points => points.length >= 2 && points.every(isNumber));
+			return strokes.map((points) => {
+				const layerPoints = transformPoints(m, points.length === 2 ? points.concat(points) : points);
+				return `<path ${svgAttributes({ d: pointsPath(layerPoints), ...strokeAttributes(record, scale) })}></path>`;
+			}).join('') || null;
+		}
+		case 'square':
+		case 'circle': {
+			if (!rect) {
+				return null;
+			}
+			const inset = (record.width * scale) / 2;
+			const [x1, y1, x2, y2] = [rect[0] + inset, rect[1] + inset, rect[2] - inset, rect[3] - inset];
+			if (record.type === 'square') {
+				return `<rect ${svgAttributes({ x: round(x1), y: round(y1), width: round(Math.max(0, x2 - x1)), height: round(Math.max(0, y2 - y1)), ...strokeAttributes(record, scale) })}></rect>`;
+			}
+			return `<ellipse ${svgAttributes({
+				cx: round((x1 + x2) / 2),
+				cy: round((y1 + y2) / 2),
+				rx: round(Math.max(0, (x2 - x1) / 2)),
+				ry: round(Math.max(0, (y2 - y1) / 2)),
+				...strokeAttributes(record, scale),
+			})}></ellipse>`;
+		}
+		case 'line': {
+			if (!record.line || record.line.length !== 4 || !record.line.every(isNumber)) {
+				return null;
+			}
+			const [x1, y1, x2, y2] = transformPoints(m, record.line);
+			const attributes = strokeAttributes(record, scale);
+			const headLength = Math.max(10, record.width * scale * 4);
+			// Arrow heads like the shape tool draws them, at either end
+			const heads = [[x1, y1, x2, y2], [x2, y2, x1, y1]]
+				.filter((points, index) => ARROW_ENDINGS.includes((record.endings || [])[1 - index]))
+				.map(([fromX, fromY, toX, toY]) => {
+					const angle = Math.atan2(toY - fromY, toX - fromX);
+					const [p1, p2] = [angle - (Math.PI / 6), angle + (Math.PI / 6)]
+						.map(side => [toX - (headLength * Math.cos(side)), toY - (headLength * Math.sin(side))]);
+					return `<path ${svgAttributes({ d: `${pointsPath([toX, toY, ...p1])} ${pointsPath([toX, toY, ...p2])}`, ...attributes })}></path>`;
+				});
+			return `<line ${svgAttributes({ x1: round(x1), y1: round(y1), x2: round(x2), y2: round(y2), ...attributes })}></line>${heads.join('')}`;
+		}
+		case 'freetext': {
+			const lines = String(record.contents || '').split(/\r\n|\r|\n/).map(line => line.trim()).filter(Boolean);
+			if (!rect || !lines.length) {
+				return null;
+			}
+			const fontSize = record.fontSize * scale;
+			return lines.map(line => line.replace(/\s+/g, ' ')).map((line, index) => `<text ${svgAttributes({
+				x: round(rect[0]),
+				y: round(rect[1] + fontSize + (fontSize * index * 1.2)),
+				fill: toHex(record.color),
+				'font-size': round(fontSize),
+				'font-family': FONT_FAMILY,
+			})}>${escapeXml(line)}</text>`).join('');
+		}
+		default:
+			return null;
+	}
+}
+
+// Highlight quads -> the viewer's text highlight rects (fractions of the displayed page)
+function highlightRects(record, m) {
+	const color = toHex(record.color);
+	return (record.quads || [])
+		.filter(quad => quad.length === 8 && quad.every(Number.isFinite))
+		.map((quad) => {
+			const [x1, y1, x2, y2] = boundsOf(transformPoints(m, quad), 0)
+				.map(value => Math.min(1, Math.max(0, value)));
+			return { x: x1, y: y1, w: x2 - x1, h: y2 - y1, c: color };
+		})
+		.filter(rect => rect.w > 0 && rect.h > 0);
+}
+
+/**
+ * Records as annotation layers of a document, appended to the user's `existing` pages
+ * (at the rotation those were drawn at). Highlights come back separately, because text
+ * highlights live in the browser.
+ * Returns { pages: { [pageNum]: { svg, rotation } }, highlights, imported, skipped }
+ */
+Interchange.toLayers = async function (pdfBuffer, records, existing) {
+	const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+	const pages = pdfDoc.getPages();
+	const pageMarkup = {};
+	const highlights = {};
+	let imported = 0;
+	let skipped = Math.max(0, records.length - MAX_RECORDS);
+
+	records.slice(0, MAX_RECORDS).forEach((record) => {
+		const page = Number.isInteger(record.page) && pages[record.page - 1];
+		if (!page || !record.color) {
+			skipped += 1;
+			return;
+		}
+		const geometry = flatten.getPageGeometry(page);
+		if (record.type === 'highlight') {
+			const rects = highlightRects(record, flatten.invert(flatten.getFractionMatrix(geometry)));
+			highlights[record.page] = (highlights[record.page] || []).concat(rects);
+			imported += rects.length ? 1 : 0;
+			skipped += rects.length ? 0 : 1;
+			return;
+		}
+
+		const rotation = existing[record.page] ? existing[record.page].rotation : 0;
+		const svg = recordMarkup(record, flatten.invert(flatten.getLayerMatrix(geometry, rotation)));
+		if (!svg) {
+			skipped += 1;
+			return;
+		}
+		pageMarkup[record.page] = pageMarkup[record.page] || [];
+		pageMarkup[record.page].push(svg);
+	});
+
+	const result = {};
+	Object.keys(pageMarkup).forEach((pageNum) => {
+		const layer = existing[pageNum] || { svg: '', rotation: 0 };
+		const svg = annotations.sanitizeSvg(layer.svg + pageMarkup[pageNum].join(''));
+		if (svg === null) {
+			skipped += pageMarkup[pageNum].length;
+			return;
+		}
+		result[pageNum] = { svg: svg, rotation: layer.rotation };
+		imported += pageMarkup[pageNum].length;
+	});
+
+	return { pages: result, highlights: highlights, imported: imported, skipped: skipped };
+};
+
+/**
+ * Notes from an uploaded XFDF or annotated PDF, as layers of the document in `pdfBuffer`.
+ * See toLayers() for the result.
+ */
+Interchange.importNotes = async function (pdfBuffer, upload, existing) {
+	let parsed;
+	if (upload.slice(0, 1024).includes('%PDF-')) {
+		parsed = await Interchange.readPdf(upload);
+	} else {
+		parsed = { records: Interchange.readXfdf(upload.toString('utf8')), unsupported: 0 };
+	}
+	const result = await Interchange.toLayers(pdfBuffer, parsed.records, existing);
+	result.skipped += parsed.unsupported;
+	return result;
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+const path = require('path');
+
+const user = require.main.require('./src/user');
+const SocketIO = require.main.require('./src/socket.io');
+
+const policy = require('./policy');
+const annotations = require('./annotations');
+
+const EVENT = 'event:pdf-secure.live';
+const ROOM_PREFIX = 'pdf-secure:live:';
+const ROTATIONS = [0, 90, 180, 270];
+const MAX_STROKE_ID_LENGTH = 64;
+
+// Live co-annotation sessions: everyone who joined a file's room sees the others'
+// strokes while they are drawn, their saved pages, cursors and the page they are on.
+// The viewer iframe has no socket of its own - the embedding page relays for it.
+const Live = module.exports;
+
+function roomName(filename) {
+	return ROOM_PREFIX + filename;
+}
+
+function getFilename(data) {
+	const filename = path.basename(String((data && data.filename) || ''));
+	return filename.toLowerCase().endsWith('.pdf') ? filename : null;
+}
+
+function toFraction(value) {
+	const num = parseFloat(value);
+	return Number.isFinite(num) ? Math.min(1, Math.max(0, num)) : null;
+}
+
+async function getParticipants(uids) {
+	const users = await user.getUsersFields(uids, ['username', 'userslug', 'icon:bgColor']);
+	return users
+		.filter(userData => userData && userData.uid)
+		.map(userData => ({
+			uid: userData.uid,
+			username: userData.username,
+			userslug: userData.userslug,
+			color: userData['icon:bgColor'],
+		}));
+}
+
+// Only members of the room may broadcast into it; joining checks the viewing policy
+// (preview viewers are kept out, as strokes and navigation cover every page)
+function getJoinedRoom(socket, data) {
+	const filename = getFilename(data);
+	if (!filename || !socket.uid || !socket.rooms.has(roomName(filename))) {
+		throw new Error('[[error:no-privileges]]');
+	}
+	return filename;
+}
+
+function broadcast(socket, filename, payload) {
+	socket.to(roomName(filename)).emit(EVENT, { ...payload, filename: filename, uid: socket.uid });
+}
+
+Live.join = async function (socket, data) {
+	const filename = getFilename(data);
+	if (!filename) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	if (!socket.uid) {
+		throw new Error('[[error:not-logged-in]]');
+	}
+	const access = await policy.resolve(socket.uid, filename);
+	if (!policy.allows(access.level, 'full')) {
+		throw new Error('[[error:no-privileges]]');
+	}
+
+	const room = roomName(filename);
+	// fetchSockets() only carries socket.data across processes
+	if (!socket.data.pdfSecureUid) {
+		socket.data.pdfSecureUid = socket.uid;
+		socket.on('disconnecting', () => {
+			socket.rooms.forEach((joined) => {
+				if (joined.startsWith(ROOM_PREFIX)) {
+					broadcast(socket, joined.slice(ROOM_PREFIX.length), { type: 'leave' });
+				}
+			});
+		});
+	}
+	socket.join(room);
+
+	const sockets = await SocketIO.server.in(room).fetchSockets();
+	const uids = [...new Set(sockets.map(member => member.data.pdfSecureUid))]
+		.filter(uid => uid && uid !== socket.uid);
+	const [self, participants] = await Promise.all([
+		getParticipants([socket.uid]),
+		getParticipants(uids),
+	]);
+
+	broadcast(socket, filename, { type: 'join', user: self[0] });
+	return { participants: participants };
+};
+
+Live.leave = async function (socket, data) {
+	const filename = getFilename(data);
+	if (!filename || !socket.rooms.has(roomName(filename))) {
+		return;
+	}
+	broadcast(socket, filename, { type: 'leave' });
+	socket.leave(roomName(filename));
+};
+
+// An element while it is being drawn (svg), or its end (no svg).
+// Markup is relayed as sanitized, never as it was sent.
+Live.stroke = async function (socket, data) {
+	const filename = getJoinedRoom(socket, data);
+	const pageNum = parseInt(data.page, 10);
+	const rotation = parseInt(data.rotation, 10) || 0;
+	const id = String(data.id || '');
+	const svg = data.svg === undefined ? undefined : annotations.sanitizeSvg(data.svg);
+	if (!annotations.isValidPage(pageNum) || !ROTATIONS.includes(rotation) ||
+		!id || id.length > MAX_STROKE_ID_LENGTH || svg === null) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	broadcast(socket, filename, { type: 'stroke', page: pageNum, rotation: rotation, id: id, svg: svg });
+};
+
+// The full layer of one page after a change (also sent for pages nobody saves, e.g. guests)
+Live.page = async function (socket, data) {
+	const filename = getJoinedRoom(socket, data);
+	const pageNum = parseInt(data.page, 10);
+	const rotation = parseInt(data.rotation, 10) || 0;
+	const svg = annotations.sanitizeSvg(data.svg);
+	if (!annotations.isValidPage(pageNum) || !ROTATIONS.includes(rotation) || svg === null) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	broadcast(socket, filename, { type: 'page', page: pageNum, rotation: rotation, svg: svg });
+};
+
+// Pointer position as fractions of the unrotated page; null hides the cursor
+Live.cursor = async function (socket, data) {
+	const filename = getJoinedRoom(socket, data);
+	const pageNum = parseInt(data.page, 10);
+	const x = toFraction(data.x);
+	const y = toFraction(data.y);
+	if (!annotations.isValidPage(pageNum)) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	const hidden = x === null || y === null;
+	broadcast(socket, filename, { type: 'cursor', page: pageNum, x: hidden ? null : x, y: hidden ? null : y });
+};
+
+// The page a participant is reading, for "follow the presenter"
+Live.navigate = async function (socket, data) {
+	const filename = getJoinedRoom(socket, data);
+	const pageNum = parseInt(data.page, 10);
+	if (!annotations.isValidPage(pageNum)) {
+		throw new Error('[[error:invalid-data]]');
+	}
+	broadcast(socket, filename, { type: 'navigate', page: pageNum });
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+const Markup = module.exports;
+
+function decodeEntities(text) {
+	return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+		if (entity[0] !== '#') {
+			return ENTITIES[entity.toLowerCase()] || match;
+		}
+		const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+		return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+	});
+}
+
+// Element tree of annotation markup (or XFDF). Only handles plain elements
+// with quoted attributes and entity-escaped text, which is all
+// lib/annotations.js stores; declarations and comments are skipped, and
+// a '>' inside a quoted attribute value does not end its tag.
+Markup.parse = function (markup) {
+	const root = { name: 'g', attributes: {}, children: [] };
+	const stack = [root];
+	const tokens = String(markup || '').match(/<(?:[^>"']|"[^"]*"|'[^']*')*>|[^<]+/g) || [];
+
+	tokens.forEach((token) => {
+		const parent = stack[stack.length - 1];
+		if (token[0] !== '<') {
+			parent.children.push({ text: decodeEntities(token) });
+			return;
+		}
+		const tag = token.match(/^<\s*(\/?)\s*([a-z][a-z0-9:-]*)([\s\S]*?)(\/?)\s*>$/i);
+		if (!tag) {
+			return;
+		}
+		const [, closing, name, rest, selfClosing] = tag;
+		if (closing) {
+			if (stack.length > 1 && parent.name === name.toLowerCase()) {
+				stack.pop();
+			}
+			return;
+		}
+
+		const element = { name: name.toLowerCase(), attributes: {}, children: [] };
+		rest.replace(/([a-z][a-z0-9:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi, (match, attr, doubleQuoted, singleQuoted) => {
+			element.attributes[attr.toLowerCase()] = decodeEntities(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+		});
+		parent.children.push(element);
+		if (!selfClosing) {
+			stack.push(element);
+		}
+	});
+	return root;
+};
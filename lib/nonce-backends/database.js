@@ -0,0 +1,40 @@
+'use strict';
+
+// NodeBB database backend (Redis, MongoDB or PostgreSQL) - shared by every
+// process in a cluster, with expiring keys instead of a cleanup timer
+const db = require.main.require('./src/database');
+
+const KEY_PREFIX = 'pdf-secure:';
+
+const DatabaseBackend = module.exports;
+
+DatabaseBackend.set = async function (key, data, ttl) {
+	const dbKey = KEY_PREFIX + key;
+	await db.setObject(dbKey, data);
+	await db.pexpire(dbKey, ttl);
+};
+
+DatabaseBackend.get = async function (key) {
+	const data = await db.getObject(KEY_PREFIX + key);
+	return data && data.file ? data : null;
+};
+
+// Single-use: the atomic increment decides which request wins a race,
+// every other caller (and any replay) sees a count above 1
+DatabaseBackend.consume = async function (key) {
+	const dbKey = KEY_PREFIX + key;
+	const uses = await db.incrObjectField(dbKey, 'uses');
+	const data = await db.getObject(dbKey);
+
+	if (uses !== 1 || !data || !data.file) {
+		// Unknown/expired nonces were just re-created by the increment - drop them
+		if (!data || !data.file) {
+			await db.delete(dbKey);
+		}
+		return null;
+	}
+
+	await db.delete(dbKey);
+	delete data.uses;
+	return data;
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+// Process-local backend - fine for single-process installs
+const store = new Map();
+const CLEANUP_INTERVAL = 60 * 1000; // 60 seconds
+
+// Periodic cleanup of expired entries
+setInterval(() => {
+	const now = Date.now();
+	for (const [key, entry] of store.entries()) {
+		if (now > entry.expiresAt) {
+			store.delete(key);
+		}
+	}
+}, CLEANUP_INTERVAL).unref();
+
+const MemoryBackend = module.exports;
+
+MemoryBackend.set = async function (key, data, ttl) {
+	store.set(key, { data: data, expiresAt: Date.now() + ttl });
+};
+
+MemoryBackend.get = async function (key) {
+	const entry = store.get(key);
+	return entry && Date.now() <= entry.expiresAt ? entry.data : null;
+};
+
+// Get + delete in one synchronous step, so only one caller ever gets the data
+MemoryBackend.consume = async function (key) {
+	const entry = store.get(key);
+	if (!entry) {
+		return null;
+	}
+	store.delete(key);
+	return Date.now() <= entry.expiresAt ? entry.data : null;
+};
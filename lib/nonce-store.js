@@ -1,74 +1,125 @@
 'use strict';
 
-const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const nconf = require.main.require('nconf');
+
+const settings = require('./settings');
+const transport = require('./transport');
 
-const store = new Map();
 const NONCE_TTL = 30 * 1000; // 30 seconds
-const CLEANUP_INTERVAL = 60 * 1000; // 60 seconds
-
-// Periodic cleanup of expired nonces
-setInterval(() => {
-	const now = Date.now();
-	for (const [nonce, data] of store.entries()) {
-		if (now - data.createdAt > NONCE_TTL) {
-			store.delete(nonce);
-		}
+
+// Storage backends: { set(key, data, ttl), get(key), consume(key) }
+// consume() must be atomic - a nonce is handed out to one caller only
+const backends = {
+	memory: require('./nonce-backends/memory'),
+	database: require('./nonce-backends/database'),
+};
+
+// Clustered NodeBB (multiple ports/processes) needs a shared store
+function isCluster() {
+	const port = nconf.get('port');
+	return nconf.get('isCluster') === 'true' || nconf.get('isCluster') === true || Array.isArray(port);
+}
+
+function getBackend(config) {
+	if (backends[config.nonceBackend]) {
+		return backends[config.nonceBackend];
 	}
-}, CLEANUP_INTERVAL).unref();
+	return isCluster() ? backends.database : backends.memory;
+}
 
-// Generate a random XOR key (8 bytes)
-function generateXorKey() {
-	return crypto.randomBytes(8);
+// Backends store flat string fields - convert on the way in and out
+function serialize(data) {
+	return {
+		uid: String(data.uid),
+		file: data.file,
+		level: data.level,
+		encryption: data.encryption,
+		key: data.key.toString('base64'),
+		createdAt: String(data.createdAt),
+	};
+}
+
+function deserialize(stored) {
+	return {
+		uid: parseInt(stored.uid, 10) || 0,
+		file: stored.file,
+		level: stored.level,
+		encryption: stored.encryption,
+		key: Buffer.from(stored.key, 'base64'),
+		createdAt: parseInt(stored.createdAt, 10),
+	};
 }
 
 const NonceStore = module.exports;
 
-NonceStore.generate = function (uid, file, isPremium) {
+NonceStore.TTL = NONCE_TTL;
+
+// Allow other plugins to provide their own storage
+NonceStore.registerBackend = function (name, backend) {
+	backends[name] = backend;
+};
+
+// Shared with other short-lived, cluster-wide state (e.g. stream sessions)
+NonceStore.getBackend = async function () {
+	return getBackend(await settings.get());
+};
+
+NonceStore.generate = async function (uid, file, level) {
+	const config = await settings.get();
 	const nonce = uuidv4();
-	const xorKey = generateXorKey();
+	const encryption = transport.isValidMode(config.transportEncryption) ?
+		config.transportEncryption : transport.DEFAULT_MODE;
+	const key = transport.generateKey(encryption);
 
-	store.set(nonce, {
+	await getBackend(config).set(`nonce:${nonce}`, serialize({
 		uid: uid,
 		file: file,
-		isPremium: isPremium,
-		xorKey: xorKey,  // Store unique key for this nonce
+		level: level,
+		encryption: encryption,
+		key: key, // Store unique key for this nonce
 		createdAt: Date.now(),
-	});
+	}), NONCE_TTL);
 
 	return {
 		nonce: nonce,
-		xorKey: xorKey.toString('base64')  // Return key for viewer injection
+		encryption: encryption,
+		key: key.toString('base64'), // Return key for viewer injection
 	};
 };
 
 // Get key without consuming nonce (for viewer injection)
-NonceStore.getKey = function (nonce) {
-	const data = store.get(nonce);
-	if (!data) {
+NonceStore.getKey = async function (nonce) {
+	const stored = await getBackend(await settings.get()).get(`nonce:${nonce}`);
+	if (!stored) {
 		return null;
 	}
-	return data.xorKey.toString('base64');
+	return stored.key;
 };
 
-NonceStore.validate = function (nonce, uid) {
-	const data = store.get(nonce);
-	if (!data) {
-		return null;
+/**
+ * Consume a nonce for `uid`. Resolves to { data } with the stored data (including
+ * the transport key), or to { reason } - 'expired' (unknown, already used or too old)
+ * or 'uid-mismatch', where `file` names the document the nonce was minted for.
+ */
+NonceStore.validate = async function (nonce, uid) {
+	// Consumed immediately (single-use), whether or not the checks below pass
+	const stored = await getBackend(await settings.get()).consume(`nonce:${nonce}`);
+	if (!stored) {
+		return { reason: 'expired' };
 	}
 
-	// Delete immediately (single-use)
-	store.delete(nonce);
+	const data = deserialize(stored);
 
 	// Check UID match
 	if (data.uid !== uid) {
-		return null;
+		return { reason: 'uid-mismatch', file: data.file };
 	}
 
 	// Check TTL
 	if (Date.now() - data.createdAt > NONCE_TTL) {
-		return null;
+		return { reason: 'expired', file: data.file };
 	}
 
-	return data;  // Now includes xorKey
+	return { data: data };
 };
@@ -0,0 +1,65 @@
+'use strict';
+
+const MAX_BYTES = 256 * 1024 * 1024;
+const IDLE_TTL = 30 * 60 * 1000; // matches the stream session lifetime
+
+// Documents derived from uploads (previews, watermarked copies), least recently used first.
+// Requests for the same key share one build; the cache is kept within MAX_BYTES -
+// a single larger document is still kept. Another process (or an evicted entry)
+// rebuilds the same bytes.
+const entries = new Map(); // key -> { promise, size, lastUsed }
+let totalBytes = 0;
+
+function evict(key) {
+	const entry = entries.get(key);
+	entries.delete(key);
+	if (entry) {
+		totalBytes -= entry.size;
+	}
+}
+
+setInterval(() => {
+	const now = Date.now();
+	for (const [key, entry] of entries.entries()) {
+		if (now - entry.lastUsed > IDLE_TTL) {
+			evict(key);
+		}
+	}
+}, 10 * 60 * 1000).unref(); // cleanup every 10 minutes
+
+const PayloadCache = module.exports;
+
+// Buffer cached under `key` (an array, e.g. ['preview', filename, spec]), built with `build()` if missing
+PayloadCache.get = function (key, build) {
+	const cacheKey = JSON.stringify(key);
+	const cached = entries.get(cacheKey);
+	if (cached) {
+		// Re-insert to mark as most recently used
+		entries.delete(cacheKey);
+		entries.set(cacheKey, cached);
+		cached.lastUsed = Date.now();
+		return cached.promise;
+	}
+
+	const entry = {
+		promise: build(),
+		size: 0,
+		lastUsed: Date.now(),
+	};
+	entries.set(cacheKey, entry);
+	entry.promise.then((buffer) => {
+		if (entries.get(cacheKey) !== entry) {
+			return;
+		}
+		entry.size = buffer.length;
+		totalBytes += buffer.length;
+		while (totalBytes > MAX_BYTES && entries.size > 1) {
+			evict(entries.keys().next().value);
+		}
+	}, () => {
+		if (entries.get(cacheKey) === entry) {
+			entries.delete(cacheKey);
+		}
+	});
+	return entry.promise;
+};
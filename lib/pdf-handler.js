@@ -2,24 +2,22 @@
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { PDFDocument } = require('pdf-lib');
 const nconf = require.main.require('nconf');
 
-const singlePageCache = new Map();
-const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const payloadCache = require('./payload-cache');
 
-// Periodic cleanup of expired cache entries
-setInterval(() => {
-	const now = Date.now();
-	for (const [key, entry] of singlePageCache.entries()) {
-		if (now - entry.createdAt > CACHE_TTL) {
-			singlePageCache.delete(key);
-		}
-	}
-}, 10 * 60 * 1000).unref(); // cleanup every 10 minutes
+const hashCache = new Map(); // filename -> { hash, size, mtimeMs }
 
 const PdfHandler = module.exports;
 
+// Post attachments live in <upload path>/files
+function getFilesDir() {
+	const uploadPath = nconf.get('upload_path') || path.join(nconf.get('base_dir'), 'public', 'uploads');
+	return path.join(uploadPath, 'files');
+}
+
 PdfHandler.resolveFilePath = function (filename) {
 	// Sanitize: only allow basename (prevent directory traversal)
 	const safeName = path.basename(filename);
@@ -27,12 +25,11 @@ PdfHandler.resolveFilePath = function (filename) {
 		return null;
 	}
 
-	const uploadPath = nconf.get('upload_path') || path.join(nconf.get('base_dir'), 'public', 'uploads');
-	const filePath = path.join(uploadPath, 'files', safeName);
+	const filePath = path.join(getFilesDir(), safeName);
 
 	// Verify the resolved path is still within the upload directory
 	const resolvedPath = path.resolve(filePath);
-	const resolvedUploadDir = path.resolve(path.join(uploadPath, 'files'));
+	const resolvedUploadDir = path.resolve(getFilesDir());
 	if (!resolvedPath.startsWith(resolvedUploadDir)) {
 		return null;
 	}
@@ -53,13 +50,59 @@ PdfHandler.getFullPdf = async function (filename) {
 	return fs.promises.readFile(filePath);
 };
 
-PdfHandler.getSinglePagePdf = async function (filename) {
-	// Check cache first
-	const cached = singlePageCache.get(filename);
-	if (cached && (Date.now() - cached.createdAt < CACHE_TTL)) {
-		return cached.buffer;
+// Parse a preview spec into a canonical list of 1-based page ranges.
+// A bare number "N" means the first N pages, otherwise "1-3,10" style ranges.
+PdfHandler.parsePageSpec = function (spec) {
+	const value = String(spec || '').replace(/\s+/g, '');
+	if (/^\d+$/.test(value)) {
+		const count = parseInt(value, 10);
+		return count > 0 ? [[1, count]] : [[1, 1]];
+	}
+
+	const ranges = [];
+	value.split(',').forEach((part) => {
+		const match = /^(\d+)(?:-(\d+))?$/.exec(part);
+		if (!match) {
+			return;
+		}
+		const start = parseInt(match[1], 10);
+		const end = match[2] ? parseInt(match[2], 10) : start;
+		if (start > 0 && end >= start) {
+			ranges.push([start, end]);
+		}
+	});
+
+	return ranges.length ? ranges : [[1, 1]];
+};
+
+// Always emit explicit ranges so a lone page "5" is not re-read as "first 5 pages"
+PdfHandler.normalizePageSpec = function (spec) {
+	return PdfHandler.parsePageSpec(spec)
+		.map(([start, end]) => `${start}-${end}`)
+		.join(',');
+};
+
+// Resolve a spec against a document into sorted, unique 0-based page indices
+PdfHandler.getPageIndices = function (spec, pageCount) {
+	const indices = new Set();
+	PdfHandler.parsePageSpec(spec).forEach(([start, end]) => {
+		for (let page = start; page <= Math.min(end, pageCount); page++) {
+			indices.add(page - 1);
+		}
+	});
+	if (!indices.size && pageCount > 0) {
+		indices.add(0);
 	}
+	return Array.from(indices).sort((a, b) => a - b);
+};
 
+// Preview documents share the size-capped cache of session payloads
+PdfHandler.getPreviewPdf = async function (filename, pageSpec) {
+	const spec = PdfHandler.normalizePageSpec(pageSpec);
+	return payloadCache.get(['preview', filename, spec], () => buildPreviewPdf(filename, spec));
+};
+
+async function buildPreviewPdf(filename, spec) {
 	const filePath = PdfHandler.resolveFilePath(filename);
 	if (!filePath) {
 		throw new Error('Invalid filename');
@@ -72,18 +115,84 @@ PdfHandler.getSinglePagePdf = async function (filename) {
 	const existingPdfBytes = await fs.promises.readFile(filePath);
 	const srcDoc = await PDFDocument.load(existingPdfBytes);
 
-	const newDoc = await PDFDocument.create();
-	const [copiedPage] = await newDoc.copyPages(srcDoc, [0]);
-	newDoc.addPage(copiedPage);
+	// No timestamps in the metadata - every process must produce identical bytes
+	const newDoc = await PDFDocument.create({ updateMetadata: false });
+	const indices = PdfHandler.getPageIndices(spec, srcDoc.getPageCount());
+	const copiedPages = await newDoc.copyPages(srcDoc, indices);
+	copiedPages.forEach(page => newDoc.addPage(page));
 
-	const pdfBytes = await newDoc.save();
-	const buffer = Buffer.from(pdfBytes);
+	return Buffer.from(await newDoc.save());
+}
+
+PdfHandler.getFileSize = async function (filename) {
+	const filePath = PdfHandler.resolveFilePath(filename);
+	if (!filePath) {
+		throw new Error('Invalid filename');
+	}
+
+	if (!fs.existsSync(filePath)) {
+		throw new Error('File not found');
+	}
 
-	// Cache the result
-	singlePageCache.set(filename, {
-		buffer: buffer,
-		createdAt: Date.now(),
+	const stat = await fs.promises.stat(filePath);
+	return stat.size;
+};
+
+// Read bytes [start, end) of the original file without loading all of it
+PdfHandler.readRange = async function (filename, start, end) {
+	const filePath = PdfHandler.resolveFilePath(filename);
+	if (!filePath) {
+		throw new Error('Invalid filename');
+	}
+
+	if (!fs.existsSync(filePath)) {
+		throw new Error('File not found');
+	}
+
+	const handle = await fs.promises.open(filePath, 'r');
+	try {
+		const buffer = Buffer.alloc(end - start);
+		const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+		return buffer.subarray(0, bytesRead);
+	} finally {
+		await handle.close();
+	}
+};
+
+// SHA-256 of the file contents - identifies a document across renames and re-uploads
+PdfHandler.getFileHash = async function (filename) {
+	const filePath = PdfHandler.resolveFilePath(filename);
+	if (!filePath) {
+		throw new Error('Invalid filename');
+	}
+
+	if (!fs.existsSync(filePath)) {
+		throw new Error('File not found');
+	}
+
+	const stat = await fs.promises.stat(filePath);
+	const cached = hashCache.get(filename);
+	if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+		return cached.hash;
+	}
+
+	const hash = await new Promise((resolve, reject) => {
+		const digest = crypto.createHash('sha256');
+		fs.createReadStream(filePath)
+			.on('data', chunk => digest.update(chunk))
+			.on('end', () => resolve(digest.digest('hex')))
+			.on('error', reject);
 	});
+	hashCache.set(filename, { hash: hash, size: stat.size, mtimeMs: stat.mtimeMs });
+	return hash;
+};
+
+PdfHandler.getSinglePagePdf = async function (filename) {
+	return PdfHandler.getPreviewPdf(filename, '1');
+};
 
-	return buffer;
+// Names of all uploaded PDFs
+PdfHandler.listFiles = async function () {
+	const names = await fs.promises.readdir(getFilesDir()).catch(() => []);
+	return names.filter(name => name.toLowerCase().endsWith('.pdf'));
 };
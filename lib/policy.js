@@ -0,0 +1,122 @@
+'use strict';
+
+const groups = require.main.require('./src/groups');
+
+const settings = require('./settings');
+const filePosts = require('./file-posts');
+
+// Ordered from most to least restrictive
+const LEVELS = ['blocked', 'preview', 'full', 'download'];
+
+const Policy = module.exports;
+
+Policy.LEVELS = LEVELS;
+
+Policy.rank = function (level) {
+	return LEVELS.indexOf(level);
+};
+
+Policy.isValidLevel = function (level) {
+	return LEVELS.includes(level);
+};
+
+Policy.allows = function (level, required) {
+	return Policy.rank(level) >= Policy.rank(required);
+};
+
+// Most restrictive of the given levels
+Policy.min = function (...levels) {
+	return levels.reduce((lowest, level) => (Policy.rank(level) < Policy.rank(lowest) ? level : lowest));
+};
+
+// 'image' viewers only ever receive server-rendered page bitmaps.
+// Users allowed to download the file get the PDF itself regardless.
+Policy.getDeliveryMode = function (config, level) {
+	if (config.deliveryMode === 'image' && !Policy.allows(level, 'download')) {
+		return 'image';
+	}
+	return 'pdf';
+};
+
+Policy.isPrivileged = async function (uid) {
+	if (!uid) {
+		return false;
+	}
+	const [isAdmin, isGlobalMod] = await Promise.all([
+		groups.isMember(uid, 'administrators'),
+		groups.isMember(uid, 'Global Moderators'),
+	]);
+	return isAdmin || isGlobalMod;
+};
+
+// Rules from the ACP table: { cid, group, level } - blank cid/group match everything
+function getRules(config) {
+	const rules = Array.isArray(config.policies) ? config.policies : [];
+	return rules
+		.filter(rule => rule && Policy.isValidLevel(rule.level))
+		.map(rule => ({
+			cid: parseInt(rule.cid, 10) || null,
+			group: String(rule.group || '').trim(),
+			level: rule.level,
+		}));
+}
+
+// Most permissive level among the rules the user's groups match, or null
+async function matchRules(uid, rules) {
+	if (!rules.length) {
+		return null;
+	}
+
+	const groupNames = rules.filter(rule => rule.group).map(rule => rule.group);
+	const memberships = groupNames.length ? await groups.isMemberOfGroups(uid, groupNames) : [];
+	const isMember = {};
+	groupNames.forEach((name, index) => {
+		isMember[name] = memberships[index];
+	});
+
+	const levels = rules
+		.filter(rule => !rule.group || isMember[rule.group])
+		.map(rule => rule.level);
+	if (!levels.length) {
+		return null;
+	}
+	return levels.reduce((best, level) => (Policy.rank(level) > Policy.rank(best) ? level : best));
+}
+
+/**
+ * Resolve the access level of a user for an uploaded PDF.
+ * Users who cannot read any post referencing the file are blocked outright.
+ * Category-specific rules take precedence over global ones; with no matching
+ * rule, premium group members get the full document and everyone else a preview.
+ */
+Policy.resolve = async function (uid, filename) {
+	const [config, cid, isPrivileged] = await Promise.all([
+		settings.get(),
+		filePosts.getCid(filename),
+		Policy.isPrivileged(uid),
+	]);
+	const previewPages = settings.getPreviewPages(config, cid);
+
+	if (isPrivileged) {
+		return { level: 'download', cid: cid, previewPages: previewPages };
+	}
+
+	if (!await filePosts.canRead(uid, filename)) {
+		return { level: 'blocked', cid: cid, previewPages: previewPages };
+	}
+
+	const rules = getRules(config);
+	let level = null;
+	if (cid) {
+		level = await matchRules(uid, rules.filter(rule => rule.cid === cid));
+	}
+	if (!level) {
+		level = await matchRules(uid, rules.filter(rule => !rule.cid));
+	}
+	if (!level) {
+		const isPremium = uid ? await groups.isMember(uid, config.premiumGroup) : false;
+		level = isPremium ? 'full' : 'preview';
+	}
+
+	return { level: level, cid: cid, previewPages: previewPages };
+};
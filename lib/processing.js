@@ -0,0 +1,228 @@
+'use strict';
+
+const fs = require('fs');
+const db = require.main.require('./src/database');
+
+const pdfHandler = require('./pdf-handler');
+const filePosts = require('./file-posts');
+const rasterizer = require('./rasterizer');
+const settings = require('./settings');
+const search = require('./search');
+const scanner = require('./scanner');
+
+const THUMBNAIL_WIDTH = 240; // device pixels
+const MAX_LISTED = 100; // files shown in the ACP
+const METADATA_FIELDS = ['Title', 'Author', 'Subject', 'Keywords', 'Creator', 'Producer'];
+
+// Processed files, scored by the time they were first queued
+const FILES_KEY = 'pdf-secure:files';
+
+// Processing record of a file:
+// { status, hash, size, pageCount, title, ..., previewPages, thumbnail, reasons, error, queuedAt, processedAt }
+// status is 'pending', 'ready', 'invalid' (not a readable PDF), 'rejected' (failed the
+// upload scan, see `reasons`) or 'failed' (e.g. missing file)
+function fileKey(filename) {
+	return `pdf-secure:file:${filename}`;
+}
+
+const Processing = module.exports;
+
+Processing.isRejected = async function (filename) {
+	return await db.getObjectField(fileKey(filename), 'status') === 'rejected';
+};
+
+Processing.get = async function (filename) {
+	const record = await db.getObject(fileKey(filename));
+	if (!record) {
+		return null;
+	}
+	['size', 'pageCount', 'queuedAt', 'processedAt'].forEach((field) => {
+		if (record[field] !== undefined) {
+			record[field] = parseInt(record[field], 10) || 0;
+		}
+	});
+	return record;
+};
+
+// Most recently uploaded files, without their thumbnails
+Processing.list = async function () {
+	const filenames = await db.getSortedSetRevRange(FILES_KEY, 0, MAX_LISTED - 1);
+	const records = await Promise.all(filenames.map(Processing.get));
+	return records.map((record, index) => {
+		const { thumbnail, ...fields } = record || { status: 'pending' };
+		return { filename: filenames[index], hasThumbnail: !!thumbnail, ...fields };
+	});
+};
+
+// Replace a record, keeping when the file was first queued
+async function saveRecord(filename, previous, fields) {
+	const key = fileKey(filename);
+	await db.delete(key);
+	await db.setObject(key, {
+		queuedAt: (previous && previous.queuedAt) || Date.now(),
+		processedAt: Date.now(),
+		...fields,
+	});
+}
+
+// Document information dictionary as plain strings, e.g. { title, author }
+function getMetadata(info) {
+	const metadata = {};
+	METADATA_FIELDS.forEach((field) => {
+		if (typeof info[field] === 'string' && info[field].trim()) {
+			metadata[field.toLowerCase()] = info[field].trim().slice(0, 500);
+		}
+	});
+	return metadata;
+}
+
+// Parse the file once: page count, metadata and a thumbnail of the first preview page
+async function inspect(pdfBuffer, previewPages) {
+	const doc = await rasterizer.parse(pdfBuffer);
+	try {
+		const { info } = await doc.getMetadata();
+		const [firstPage] = pdfHandler.getPageIndices(previewPages, doc.numPages);
+		const image = await rasterizer.renderPage(doc, firstPage + 1, THUMBNAIL_WIDTH);
+		return {
+			pageCount: doc.numPages,
+			thumbnail: `data:image/jpeg;base64,${Buffer.from(image).toString('base64')}`,
+			...getMetadata(info || {}),
+		};
+	} finally {
+		doc.destroy();
+	}
+}
+
+/**
+ * Scan a file that was just uploaded. Resolves to { reasons, stripped }:
+ * with the 'strip' setting, active content is removed from the stored file
+ * and `stripped` lists what was removed; any other `reasons` reject the file.
+ */
+Processing.checkUpload = async function (filename) {
+	const config = await settings.get();
+	if (config.uploadScan === 'off') {
+		return { reasons: [], stripped: [] };
+	}
+
+	const result = await scanner.scan(await pdfHandler.getFullPdf(filename), { maxObjects: config.uploadScanMaxObjects });
+	if (!result.reasons.length || config.uploadScan !== 'strip' || !scanner.isStrippable(result)) {
+		return { reasons: result.reasons, stripped: [] };
+	}
+	await fs.promises.writeFile(pdfHandler.resolveFilePath(filename), await scanner.strip(result.pdfDoc));
+	return { reasons: [], stripped: result.reasons };
+};
+
+/**
+ * Validate a file, record its hash, page count and metadata, render its
+ * thumbnail, pre-generate the default preview and index its text. Work
+ * already done for the same contents is skipped.
+ */
+Processing.processFile = async function (filename) {
+	const [record, config, cid] = await Promise.all([
+		Processing.get(filename),
+		settings.get(),
+		filePosts.getCid(filename),
+	]);
+	// Preview pages as served to viewers of this file, with the override of its category
+	const previewPages = settings.getPreviewPages(config, cid);
+	let hash;
+	let size;
+	try {
+		[hash, size] = await Promise.all([pdfHandler.getFileHash(filename), pdfHandler.getFileSize(filename)]);
+	} catch (err) {
+		await saveRecord(filename, record, { status: 'failed', error: err.message });
+		return;
+	}
+
+	// Rejections are re-evaluated once scanning is switched off
+	const isCurrent = record && record.hash === hash && record.previewPages === previewPages &&
+		(record.status === 'ready' || (record.status === 'rejected' && config.uploadScan !== 'off'));
+	if (!isCurrent) {
+		try {
+			const pdfBuffer = await pdfHandler.getFullPdf(filename);
+
+			// Files that did not come through the upload hook are scanned here;
+			// they are only flagged (and no longer served), never rewritten
+			if (config.uploadScan !== 'off') {
+				const { reasons } = await scanner.scan(pdfBuffer, { maxObjects: config.uploadScanMaxObjects });
+				if (reasons.length) {
+					await saveRecord(filename, record, {
+						status: 'rejected',
+						hash: hash,
+						size: size,
+						previewPages: previewPages,
+						reasons: reasons.join(','),
+						error: scanner.describe(reasons),
+					});
+					return;
+				}
+			}
+
+			const details = await inspect(pdfBuffer, previewPages);
+
+			// The preview is cut with pdf-lib - warm its cache and make sure it can be cut at all
+			await pdfHandler.getPreviewPdf(filename, previewPages);
+
+			await saveRecord(filename, record, {
+				status: 'ready',
+				hash: hash,
+				size: size,
+				previewPages: previewPages,
+				...details,
+			});
+		} catch (err) {
+			await saveRecord(filename, record, { status: 'invalid', hash: hash, size: size, error: err.message });
+			return;
+		}
+	} else if (record.status === 'rejected') {
+		return;
+	}
+
+	if (settings.isEnabled(config.searchIndex)) {
+		await search.indexFile(filename);
+	}
+};
+
+// Files are processed one at a time in the background
+const queue = [];
+let draining = false;
+
+// Runs the queue down, starting each job once the previous one has settled
+function drain() {
+	const filename = queue.shift();
+	if (filename === undefined) {
+		draining = false;
+		return;
+	}
+	Processing.processFile(filename)
+		.catch((err) => {
+			console.error(`[PDF-Secure] Could not process ${filename}:`, err.message);
+		})
+		.then(drain);
+}
+
+Processing.enqueue = async function (filenames) {
+	const added = filenames.filter(filename => pdfHandler.resolveFilePath(filename) && !queue.includes(filename));
+	if (!added.length) {
+		return;
+	}
+
+	// New files show up as pending until their job has run
+	const now = Date.now();
+	const known = await db.isSortedSetMembers(FILES_KEY, added);
+	const fresh = added.filter((filename, index) => !known[index]);
+	if (fresh.length) {
+		await db.sortedSetAdd(FILES_KEY, fresh.map(() => now), fresh);
+		await db.setObjectBulk(fresh.map(filename => [fileKey(filename), { status: 'pending', queuedAt: now }]));
+	}
+
+	queue.push(...added);
+	if (!draining) {
+		draining = true;
+		drain();
+	}
+};
+
+Processing.getQueueLength = function () {
+	return queue.length;
+};
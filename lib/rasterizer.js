@@ -0,0 +1,143 @@
+'use strict';
+
+const path = require('path');
+
+const MAX_DOCUMENTS = 4; // parsed documents kept per process
+const DOCUMENT_TTL = 30 * 60 * 1000; // matches the stream session lifetime
+const MIN_WIDTH = 64; // device pixels
+const MAX_WIDTH = 3000;
+const JPEG_QUALITY = 85;
+
+const pdfjsRoot = path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+// Parsed documents of open image sessions, least recently used first
+const documents = new Map();
+
+setInterval(() => {
+	const now = Date.now();
+	for (const [key, entry] of documents.entries()) {
+		if (now - entry.lastUsed > DOCUMENT_TTL) {
+			evict(key);
+		}
+	}
+}, 10 * 60 * 1000).unref(); // cleanup every 10 minutes
+
+// pdfjs-dist only ships ES modules - load the Node (legacy) build once
+let pdfjsPromise = null;
+function loadPdfjs() {
+	if (!pdfjsPromise) {
+		pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+	}
+	return pdfjsPromise;
+}
+
+// pdf.js draws into @napi-rs/canvas in Node; without it every render fails
+// with an error from inside pdf.js, so check it once up front
+let canvasError;
+function checkCanvas() {
+	if (canvasError === undefined) {
+		try {
+			require('@napi-rs/canvas');
+			canvasError = null;
+		} catch (err) {
+			canvasError = new Error(`Rendering pages needs the @napi-rs/canvas package (${err.message}) - reinstall the plugin with its dependencies`);
+		}
+	}
+	if (canvasError) {
+		throw canvasError;
+	}
+}
+
+function evict(key) {
+	const entry = documents.get(key);
+	documents.delete(key);
+	if (entry) {
+		entry.promise.then(doc => doc.destroy()).catch(() => {});
+	}
+}
+
+const Rasterizer = module.exports;
+
+Rasterizer.MAX_WIDTH = MAX_WIDTH;
+
+// Parse a PDF payload - the caller destroys the document when done
+Rasterizer.parse = function (pdfBuffer) {
+	return loadPdfjs().then(pdfjs => pdfjs.getDocument({
+		data: new Uint8Array(pdfBuffer),
+		standardFontDataUrl: path.join(pdfjsRoot, 'standard_fonts') + path.sep,
+		cMapUrl: path.join(pdfjsRoot, 'cmaps') + path.sep,
+		cMapPacked: true,
+		isEvalSupported: false,
+		verbosity: 0,
+	}).promise);
+};
+
+// Parse a PDF payload and keep it under `key` (the image session)
+Rasterizer.open = function (key, pdfBuffer) {
+	const existing = Rasterizer.get(key);
+	if (existing) {
+		return existing;
+	}
+
+	const promise = Rasterizer.parse(pdfBuffer);
+	promise.catch(() => documents.delete(key));
+
+	documents.set(key, { promise: promise, lastUsed: Date.now() });
+	while (documents.size > MAX_DOCUMENTS) {
+		evict(documents.keys().next().value);
+	}
+	return promise;
+};
+
+Rasterizer.get = function (key) {
+	const entry = documents.get(key);
+	if (!entry) {
+		return null;
+	}
+	// Re-insert to mark as most recently used
+	documents.delete(key);
+	entry.lastUsed = Date.now();
+	documents.set(key, entry);
+	return entry.promise;
+};
+
+// Page sizes in PDF points at scale 1, with each page's own /Rotate applied
+Rasterizer.getPageSizes = async function (doc) {
+	const pageNums = Array.from({ length: doc.numPages }, (value, index) => index + 1);
+	return Promise.all(pageNums.map(async (pageNum) => {
+		const page = await doc.getPage(pageNum);
+		const viewport = page.getViewport({ scale: 1 });
+		page.cleanup();
+		return { width: Math.round(viewport.width * 100) / 100, height: Math.round(viewport.height * 100) / 100 };
+	}));
+};
+
+Rasterizer.clampWidth = function (width) {
+	const num = parseInt(width, 10);
+	if (!Number.isFinite(num)) {
+		return 1200;
+	}
+	return Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, num));
+};
+
+// Render one page to a JPEG that is `width` device pixels wide
+Rasterizer.renderPage = async function (doc, pageNum, width) {
+	checkCanvas();
+	const page = await doc.getPage(pageNum);
+	try {
+		const base = page.getViewport({ scale: 1 });
+		const viewport = page.getViewport({ scale: Rasterizer.clampWidth(width) / base.width });
+		const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+		// JPEG has no alpha - paint the paper white first
+		context.fillStyle = '#ffffff';
+		context.fillRect(0, 0, canvas.width, canvas.height);
+		await page.render({ canvasContext: context, viewport: viewport }).promise;
+
+		const image = await canvas.encode('jpeg', JPEG_QUALITY);
+		doc.canvasFactory.destroy({ canvas, context });
+		return image;
+	} finally {
+		page.cleanup();
+	}
+};
@@ -0,0 +1,246 @@
+'use strict';
+
+const winston = require.main.require('winston');
+const db = require.main.require('./src/database');
+
+const settings = require('./settings');
+const policy = require('./policy');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const MB = 1024 * 1024;
+
+// Scraping detection looks at the documents an actor opened in the last few minutes
+const RECENT_WINDOW = 10 * 60 * 1000;
+const SEQUENCE_LENGTH = 5; // names differing only in a number, counting up or down
+const SEQUENCE_MAX_STEP = 100;
+const MISSING_FILES = 10; // viewers opened for files that do not exist
+
+// Active blocks: actor ('uid:<uid>' or 'ip:<address>') scored by expiry
+const BLOCKS_KEY = 'pdf-secure:blocks';
+
+// Block of an actor: { actor, reason, detail, createdAt, expiresAt }
+// reason is 'documents' or 'bytes' (quota exceeded), 'sequential' or 'missing-files' (enumeration)
+function blockKey(actor) {
+	return `pdf-secure:block:${actor}`;
+}
+
+// Fixed-window counters, one hash per window with a field per actor
+function counterKey(type, window) {
+	return `pdf-secure:rate:${type}:${window}`;
+}
+
+function recentKey(type, actor) {
+	return `pdf-secure:rate:${type}:${actor}`;
+}
+
+const RateLimit = module.exports;
+
+RateLimit.REASONS = ['documents', 'bytes', 'sequential', 'missing-files'];
+
+// Who a request is counted against: the account (if logged in) and the IP address
+function getActors(req) {
+	const actors = [];
+	if (req.uid > 0) {
+		actors.push(`uid:${req.uid}`);
+	}
+	if (req.ip) {
+		actors.push(`ip:${req.ip}`);
+	}
+	return actors;
+}
+
+// Quota of an actor from the settings, 0 for none
+function getLimit(config, actor, type) {
+	const field = {
+		uid: { documents: 'rateLimitDocumentsPerHour', bytes: 'rateLimitMegabytesPerDay' },
+		ip: { documents: 'rateLimitIpDocumentsPerHour', bytes: 'rateLimitIpMegabytesPerDay' },
+	}[actor.split(':')[0]][type];
+	const limit = parseFloat(config[field]);
+	if (!(limit > 0)) {
+		return 0;
+	}
+	return type === 'bytes' ? limit * MB : limit;
+}
+
+async function isExempt(req) {
+	return await policy.isPrivileged(req.uid);
+}
+
+RateLimit.getBlock = async function (actor) {
+	const block = await db.getObject(blockKey(actor));
+	if (!block || parseInt(block.expiresAt, 10) <= Date.now()) {
+		return null;
+	}
+	return {
+		...block,
+		createdAt: parseInt(block.createdAt, 10),
+		expiresAt: parseInt(block.expiresAt, 10),
+	};
+};
+
+RateLimit.block = async function (actor, reason, detail) {
+	const { rateLimitBlockMinutes } = await settings.get();
+	const now = Date.now();
+	const block = {
+		actor: actor,
+		reason: reason,
+		detail: detail || '',
+		createdAt: now,
+		expiresAt: now + ((parseFloat(rateLimitBlockMinutes) || 60) * 60 * 1000),
+	};
+	await db.setObject(blockKey(actor), block);
+	await db.pexpireAt(blockKey(actor), block.expiresAt);
+	await db.sortedSetAdd(BLOCKS_KEY, block.expiresAt, actor);
+	winston.warn(`[PDF-Secure] Blocked ${actor} (${reason}${block.detail ? `: ${block.detail}` : ''})`);
+	return block;
+};
+
+// Lift a block and start its quotas over
+RateLimit.unblock = async function (actor) {
+	const now = Date.now();
+	await Promise.all([
+		db.delete(blockKey(actor)),
+		db.sortedSetRemove(BLOCKS_KEY, actor),
+		db.deleteObjectField(counterKey('documents', Math.floor(now / HOUR)), actor),
+		db.deleteObjectField(counterKey('bytes', Math.floor(now / DAY)), actor),
+		db.deleteAll([recentKey('recent', actor), recentKey('missing', actor)]),
+	]);
+};
+
+// Active blocks, the ones expiring last first
+RateLimit.listBlocks = async function () {
+	await db.sortedSetsRemoveRangeByScore([BLOCKS_KEY], '-inf', Date.now());
+	const actors = await db.getSortedSetRevRange(BLOCKS_KEY, 0, -1);
+	const blocks = await Promise.all(actors.map(RateLimit.getBlock));
+	return blocks.filter(Boolean);
+};
+
+// First active block of the request's actors, or null
+RateLimit.check = async function (req) {
+	const actors = getActors(req);
+	if (!actors.length || await isExempt(req)) {
+		return null;
+	}
+	const blocks = await Promise.all(actors.map(RateLimit.getBlock));
+	return blocks.find(Boolean) || null;
+};
+
+// Add `amount` to a quota of every actor, blocking those that went over it
+async function count(req, type, amount) {
+	const config = await settings.get();
+	const windowLength = type === 'bytes' ? DAY : HOUR;
+	const window = Math.floor(Date.now() / windowLength);
+	const key = counterKey(type, window);
+
+	const blocks = await Promise.all(getActors(req).map(async (actor) => {
+		const limit = getLimit(config, actor, type);
+		if (!limit) {
+			return null;
+		}
+		const total = await db.incrObjectFieldBy(key, actor, amount);
+		await db.pexpireAt(key, (window + 1) * windowLength);
+		return total > limit ? RateLimit.block(actor, type) : null;
+	}));
+	return blocks.find(Boolean) || null;
+}
+
+// Group name of a file for enumeration checks: digit runs replaced, e.g. '#-handout.pdf'
+function getPattern(filename) {
+	return filename.toLowerCase().replace(/\d+/g, '#');
+}
+
+/**
+ * Whether `filenames` (recently opened, any order) contain a run of
+ * SEQUENCE_LENGTH names that only differ in one number, in small steps -
+ * someone counting through upload names instead of following links.
+ */
+RateLimit.isSequential = function (filenames) {
+	const groups = new Map();
+	Array.from(new Set(filenames)).forEach((filename) => {
+		const numbers = filename.match(/\d+/g);
+		if (!numbers) {
+			return;
+		}
+		// One group per pattern and per number position, keyed by the other numbers
+		numbers.forEach((number, index) => {
+			const others = numbers.filter((other, i) => i !== index).join(',');
+			const key = `${getPattern(filename)}|${index}|${others}`;
+			if (!groups.has(key)) {
+				groups.set(key, []);
+			}
+			groups.get(key).push(parseInt(number, 10));
+		});
+	});
+
+	return Array.from(groups.values()).some((values) => {
+		const sorted = Array.from(new Set(values)).sort((a, b) => a - b);
+		let run = 1;
+		for (let i = 1; i < sorted.length; i += 1) {
+			run = sorted[i] - sorted[i - 1] <= SEQUENCE_MAX_STEP ? run + 1 : 1;
+			if (run >= SEQUENCE_LENGTH) {
+				return true;
+			}
+		}
+		return false;
+	});
+};
+
+// Filenames an actor opened recently (`type` 'recent') or that did not exist ('missing')
+async function getRecent(type, actor) {
+	const key = recentKey(type, actor);
+	await db.sortedSetsRemoveRangeByScore([key], '-inf', Date.now() - RECENT_WINDOW);
+	return await db.getSortedSetRange(key, 0, -1);
+}
+
+async function remember(type, actor, filename) {
+	const key = recentKey(type, actor);
+	await db.sortedSetAdd(key, Date.now(), filename);
+	await db.pexpire(key, RECENT_WINDOW);
+	return await getRecent(type, actor);
+}
+
+// Enumeration checks for one actor: the block they triggered, or null
+async function detectEnumeration(actor, filename, exists) {
+	const recent = await remember('recent', actor, filename);
+	const missing = exists ? await getRecent('missing', actor) : await remember('missing', actor, filename);
+
+	// Following links never leads to missing files - counting through upload names does
+	if (missing.length && RateLimit.isSequential(recent)) {
+		return await RateLimit.block(actor, 'sequential', recent.slice(-SEQUENCE_LENGTH).join(', '));
+	}
+	if (missing.length >= MISSING_FILES) {
+		return await RateLimit.block(actor, 'missing-files', missing.slice(-SEQUENCE_LENGTH).join(', '));
+	}
+	return null;
+}
+
+/**
+ * Count a viewer opened for `filename` (`exists` false if there is no such upload)
+ * against the documents per hour and check for enumeration. Resolves to the block
+ * the request triggered, or null.
+ */
+RateLimit.countDocument = async function (req, filename, exists) {
+	if (await isExempt(req)) {
+		return null;
+	}
+	const quotaBlock = await count(req, 'documents', 1);
+	if (quotaBlock) {
+		return quotaBlock;
+	}
+
+	const config = await settings.get();
+	if (!settings.isEnabled(config.enumerationDetection)) {
+		return null;
+	}
+	const blocks = await Promise.all(getActors(req).map(actor => detectEnumeration(actor, filename, exists)));
+	return blocks.find(Boolean) || null;
+};
+
+// Count bytes about to be sent against the daily quota, resolves to a block or null
+RateLimit.countBytes = async function (req, bytes) {
+	if (await isExempt(req)) {
+		return null;
+	}
+	return await count(req, 'bytes', bytes);
+};
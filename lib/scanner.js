@@ -0,0 +1,228 @@
+'use strict';
+
+const {
+	PDFDocument,
+	PDFName,
+	PDFArray,
+	PDFDict,
+	PDFString,
+	PDFHexString,
+	PDFRawStream,
+	decodePDFRawStream,
+} = require('pdf-lib');
+
+const rasterizer = require('./rasterizer');
+
+// Actions that run code or open other programs
+const DANGEROUS_ACTIONS = ['JavaScript', 'Launch'];
+
+// Keys that trigger actions automatically (document open, page, field and annotation events)
+const TRIGGER_KEYS = ['OpenAction', 'AA'];
+
+const EXECUTABLE_EXTENSIONS = [
+	'exe', 'com', 'scr', 'pif', 'bat', 'cmd', 'msi', 'dll', 'cpl', 'jar', 'js', 'jse',
+	'vbs', 'vbe', 'wsf', 'wsh', 'ps1', 'hta', 'lnk', 'sh', 'app', 'dmg', 'elf', 'bin',
+];
+
+// Leading bytes of Windows, Linux and macOS executables and Java classes
+const EXECUTABLE_SIGNATURES = [
+	Buffer.from('MZ'),
+	Buffer.from([0x7f, 0x45, 0x4c, 0x46]),
+	Buffer.from([0xcf, 0xfa, 0xed, 0xfe]),
+	Buffer.from([0xce, 0xfa, 0xed, 0xfe]),
+	Buffer.from([0xca, 0xfe, 0xba, 0xbe]),
+];
+
+// Findings that can be removed without breaking the document
+const STRIPPABLE = ['javascript', 'launch-action', 'executable'];
+
+const REASONS = {
+	malformed: 'it is not a valid PDF file',
+	encrypted: 'it is protected with a password',
+	'too-many-objects': 'it contains too many objects',
+	javascript: 'it contains embedded JavaScript',
+	'launch-action': 'it tries to launch other programs',
+	executable: 'it contains an embedded executable file',
+};
+
+/**
+ * Upload-time checks for PDFs: files that cannot be parsed, need a password,
+ * are unreasonably large object graphs or carry active content (JavaScript,
+ * launch actions, embedded executables). Active content can be stripped.
+ */
+const Scanner = module.exports;
+
+Scanner.REASONS = Object.keys(REASONS);
+
+Scanner.describe = function (reasons) {
+	return reasons.map(reason => REASONS[reason] || reason).join(', ');
+};
+
+// Encrypted documents cannot be rewritten without their keys
+Scanner.isStrippable = function ({ reasons, pdfDoc }) {
+	return !!pdfDoc && !pdfDoc.isEncrypted && reasons.every(reason => STRIPPABLE.includes(reason));
+};
+
+function nameOf(object) {
+	return object instanceof PDFName ? object.decodeText() : '';
+}
+
+function textOf(object) {
+	return object instanceof PDFString || object instanceof PDFHexString ? object.decodeText() : '';
+}
+
+function isDangerousAction(dict) {
+	return dict instanceof PDFDict &&
+		(dict.has(PDFName.of('JS')) || DANGEROUS_ACTIONS.includes(nameOf(dict.get(PDFName.of('S')))));
+}
+
+function isExecutableName(name) {
+	const extension = String(name || '').split('.').pop().toLowerCase();
+	return String(name || '').includes('.') && EXECUTABLE_EXTENSIONS.includes(extension);
+}
+
+function isExecutableStream(stream) {
+	let bytes = stream.contents;
+	try {
+		bytes = decodePDFRawStream(stream).decode();
+	} catch (err) {
+		// Unsupported filter - check the raw bytes
+	}
+	const head = Buffer.from(bytes.subarray(0, 4));
+	return EXECUTABLE_SIGNATURES.some(signature => head.subarray(0, signature.length).equals(signature));
+}
+
+// Call `visit(dict, stream, ref)` for every dictionary in the document, including
+// direct ones nested in arrays and dictionaries and the dictionaries of streams
+function walk(context, visit) {
+	const seen = new Set();
+	function visitObject(object, ref) {
+		if (!object || seen.has(object)) {
+			return;
+		}
+		seen.add(object);
+		if (object instanceof PDFRawStream) {
+			visit(object.dict, object, ref);
+			visitObject(object.dict);
+		} else if (object instanceof PDFDict) {
+			visit(object, null, ref);
+			object.values().forEach(value => visitObject(value));
+		} else if (object instanceof PDFArray) {
+			object.asArray().forEach(value => visitObject(value));
+		}
+	}
+	context.enumerateIndirectObjects().forEach(([ref, object]) => visitObject(object, ref));
+}
+
+// Problems in the object graph of a parsed document
+function findActiveContent(context) {
+	const reasons = new Set();
+	walk(context, (dict, stream) => {
+		if (isDangerousAction(dict)) {
+			reasons.add(nameOf(dict.get(PDFName.of('S'))) === 'Launch' ? 'launch-action' : 'javascript');
+		}
+		if (dict.has(PDFName.of('EF')) && ['F', 'UF'].some(key => isExecutableName(textOf(dict.get(PDFName.of(key)))))) {
+			reasons.add('executable');
+		}
+		if (stream && nameOf(dict.get(PDFName.of('Type'))) === 'EmbeddedFile' && isExecutableStream(stream)) {
+			reasons.add('executable');
+		}
+	});
+	return Array.from(reasons);
+}
+
+// Upper bound of the objects in a file, counted before anything is parsed
+function countObjects(pdfBuffer) {
+	const matches = pdfBuffer.toString('latin1').match(/\d+\s+\d+\s+obj\b/g);
+	return matches ? matches.length : 0;
+}
+
+async function needsPassword(pdfBuffer) {
+	try {
+		const doc = await rasterizer.parse(pdfBuffer);
+		doc.destroy();
+		return false;
+	} catch (err) {
+		if (err.name === 'PasswordException') {
+			return true;
+		}
+		throw err;
+	}
+}
+
+/**
+ * Check a PDF. Resolves to { reasons, pdfDoc }: an empty list for clean files,
+ * otherwise codes from Scanner.REASONS. `pdfDoc` is the parsed document, or
+ * null when the file could not be parsed.
+ */
+Scanner.scan = async function (pdfBuffer, { maxObjects } = {}) {
+	const limit = parseInt(maxObjects, 10) || 0;
+	if (!Buffer.isBuffer(pdfBuffer) || pdfBuffer.subarray(0, 1024).indexOf('%PDF-') === -1) {
+		return { reasons: ['malformed'], pdfDoc: null };
+	}
+	if (limit && countObjects(pdfBuffer) > limit) {
+		return { reasons: ['too-many-objects'], pdfDoc: null };
+	}
+
+	let pdfDoc;
+	try {
+		if (await needsPassword(pdfBuffer)) {
+			return { reasons: ['encrypted'], pdfDoc: null };
+		}
+		pdfDoc = await PDFDocument.load(pdfBuffer, {
+			ignoreEncryption: true,
+			updateMetadata: false,
+			throwOnInvalidObject: true,
+		});
+	} catch (err) {
+		return { reasons: ['malformed'], pdfDoc: null };
+	}
+
+	// Object streams are only unpacked by the parser
+	if (limit && pdfDoc.context.enumerateIndirectObjects().length > limit) {
+		return { reasons: ['too-many-objects'], pdfDoc: null };
+	}
+	return { reasons: findActiveContent(pdfDoc.context), pdfDoc: pdfDoc };
+};
+
+// Remove scripts, launch actions and executable attachments from a scanned document
+Scanner.strip = async function (pdfDoc) {
+	const { context } = pdfDoc;
+	const executables = new Set(); // refs of executable attachment streams
+	walk(context, (dict, stream, ref) => {
+		if (stream && ref && nameOf(dict.get(PDFName.of('Type'))) === 'EmbeddedFile' && isExecutableStream(stream)) {
+			executables.add(ref);
+		}
+	});
+
+	walk(context, (dict) => {
+		// Additional actions (page, field and annotation events) all go,
+		// other triggers and links only when they lead to a dangerous action
+		[...TRIGGER_KEYS, 'A', 'Next'].forEach((key) => {
+			const value = dict.get(PDFName.of(key));
+			if (key === 'AA' || isDangerousAction(context.lookup(value))) {
+				dict.delete(PDFName.of(key));
+			}
+		});
+
+		// Document-level scripts (the name tree) and the actions themselves
+		dict.delete(PDFName.of('JavaScript'));
+		if (isDangerousAction(dict)) {
+			dict.keys().forEach(key => dict.delete(key));
+		}
+
+		// Attachments that are, or claim to be, executables
+		const embedded = dict.get(PDFName.of('EF'));
+		if (embedded) {
+			const files = context.lookup(embedded);
+			const isExecutable = ['F', 'UF'].some(key => isExecutableName(textOf(dict.get(PDFName.of(key))))) ||
+				(files instanceof PDFDict && files.values().some(value => executables.has(value)));
+			if (isExecutable) {
+				dict.delete(PDFName.of('EF'));
+			}
+		}
+	});
+
+	executables.forEach(ref => context.delete(ref));
+	return Buffer.from(await pdfDoc.save({ updateFieldAppearances: false }));
+};
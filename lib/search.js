@@ -0,0 +1,207 @@
+'use strict';
+
+const db = require.main.require('./src/database');
+
+const pdfHandler = require('./pdf-handler');
+const rasterizer = require('./rasterizer');
+const policy = require('./policy');
+
+const MIN_WORD_LENGTH = 2;
+const MAX_WORD_LENGTH = 40;
+const MAX_WORDS = 20000; // distinct words indexed per file
+const MAX_PAGE_TEXT = 20000; // characters kept per page for matching and snippets
+const MAX_FILES = 200; // best-scoring files checked per query
+const SNIPPET_CONTEXT = 80; // characters shown on each side of a match
+
+// Files with extracted text, scored by indexing time
+const FILES_KEY = 'pdf-secure:search:files';
+
+// Files containing a word, scored by its number of occurrences
+function wordKey(word) {
+	return `pdf-secure:search:word:${word}`;
+}
+
+// Words indexed for a file (to remove them again)
+function fileWordsKey(filename) {
+	return `pdf-secure:search:words:${filename}`;
+}
+
+// Extracted text of a file: field = page number
+function pagesKey(filename) {
+	return `pdf-secure:search:pages:${filename}`;
+}
+
+// { hash, pageCount } of the indexed version of a file
+function fileKey(filename) {
+	return `pdf-secure:search:file:${filename}`;
+}
+
+const Search = module.exports;
+
+// Lower case without diacritics, one character for one so offsets into the
+// folded text are offsets into the original ("Işık" and "isik" match)
+function foldChar(ch) {
+	const base = ch.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+	return base.length === 1 ? base.replace('ı', 'i') : ch;
+}
+
+Search.fold = function (text) {
+	return String(text || '').replace(/[^a-z0-9\s]/g, foldChar);
+};
+
+// Searchable words of a text, folded
+function tokenize(text) {
+	const words = Search.fold(text).match(/[\p{L}\p{N}]+/gu) || [];
+	return words.filter(word => word.length >= MIN_WORD_LENGTH && word.length <= MAX_WORD_LENGTH);
+}
+
+Search.getWords = function (text) {
+	return Array.from(new Set(tokenize(text)));
+};
+
+// Uploaded PDFs referenced in a post: links such as /assets/uploads/files/notes.pdf
+// in the raw markup, or the secure placeholders of the parsed content
+Search.getFilenames = function (content) {
+	const text = String(content || '');
+	const filenames = new Set();
+	const pattern = /(?:\/files\/|data-filename=")([^/\s"'()<>?#]+\.pdf)/gi;
+	let match = pattern.exec(text);
+	while (match) {
+		try {
+			filenames.add(decodeURIComponent(match[1]));
+		} catch (err) {
+			filenames.add(match[1]);
+		}
+		match = pattern.exec(text);
+	}
+	return Array.from(filenames);
+};
+
+// Text of every page, in reading order with whitespace collapsed
+Search.extractPages = async function (pdfBuffer) {
+	const doc = await rasterizer.parse(pdfBuffer);
+	try {
+		const pageNums = Array.from({ length: doc.numPages }, (value, index) => index + 1);
+		return await Promise.all(pageNums.map(async (pageNum) => {
+			const page = await doc.getPage(pageNum);
+			const content = await page.getTextContent();
+			const text = content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('');
+			page.cleanup();
+			return text.replace(/\s+/g, ' ').trim().slice(0, MAX_PAGE_TEXT);
+		}));
+	} finally {
+		doc.destroy();
+	}
+};
+
+// Extract and index a file's text; unchanged files are skipped
+// (called by the upload processing queue)
+Search.indexFile = async function (filename) {
+	const hash = await pdfHandler.getFileHash(filename);
+	if (await db.getObjectField(fileKey(filename), 'hash') === hash) {
+		return false;
+	}
+
+	const pages = await Search.extractPages(await pdfHandler.getFullPdf(filename));
+	await Search.removeFile(filename);
+
+	const counts = new Map();
+	pages.forEach((text) => {
+		tokenize(text).forEach((word) => {
+			counts.set(word, (counts.get(word) || 0) + 1);
+		});
+	});
+	const words = Array.from(counts.keys()).slice(0, MAX_WORDS);
+
+	// Scanned documents have no text - they are still recorded so they are not extracted again
+	if (words.length) {
+		await db.sortedSetAddBulk(words.map(word => [wordKey(word), counts.get(word), filename]));
+		await db.setAdd(fileWordsKey(filename), words);
+	}
+	const pageFields = {};
+	pages.forEach((text, index) => {
+		if (text) {
+			pageFields[index + 1] = text;
+		}
+	});
+	if (Object.keys(pageFields).length) {
+		await db.setObject(pagesKey(filename), pageFields);
+	}
+	await db.setObject(fileKey(filename), { hash: hash, pageCount: pages.length });
+	await db.sortedSetAdd(FILES_KEY, Date.now(), filename);
+	return true;
+};
+
+Search.removeFile = async function (filename) {
+	const words = await db.getSetMembers(fileWordsKey(filename));
+	if (words.length) {
+		await db.sortedSetRemoveBulk(words.map(word => [wordKey(word), filename]));
+	}
+	await db.deleteAll([fileWordsKey(filename), pagesKey(filename), fileKey(filename)]);
+	await db.sortedSetRemove(FILES_KEY, filename);
+};
+
+// Indexed files containing the query words, best matches first
+Search.findFiles = async function (query, matchWords) {
+	const words = Search.getWords(query);
+	if (!words.length) {
+		return [];
+	}
+	const params = { sets: words.map(wordKey), start: 0, stop: MAX_FILES - 1 };
+	return matchWords === 'any' ? db.getSortedSetRevUnion(params) : db.getSortedSetRevIntersect(params);
+};
+
+function createSnippet(text, index, length) {
+	const start = Math.max(0, index - SNIPPET_CONTEXT);
+	const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+	return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+/**
+ * First page of a file the user may view that contains the query words,
+ * as { filename, page, snippet }, or null. Preview viewers only match their
+ * preview pages, so search never reveals text they cannot open; `page` is
+ * the page number in the document the user's viewer shows.
+ */
+Search.findMatch = async function (uid, filename, query, matchWords) {
+	const words = Search.getWords(query);
+	if (!words.length) {
+		return null;
+	}
+
+	const [access, pages] = await Promise.all([
+		policy.resolve(uid, filename),
+		db.getObject(pagesKey(filename)),
+	]);
+	if (access.level === 'blocked' || !pages) {
+		return null;
+	}
+
+	// Preview documents only contain the preview pages, renumbered from 1
+	let pageNums = Object.keys(pages).map(page => parseInt(page, 10)).sort((a, b) => a - b);
+	let toViewerPage = page => page;
+	if (!policy.allows(access.level, 'full')) {
+		const pageCount = parseInt(await db.getObjectField(fileKey(filename), 'pageCount'), 10) || 0;
+		const allowed = pdfHandler.getPageIndices(access.previewPages, pageCount).map(index => index + 1);
+		pageNums = pageNums.filter(page => allowed.includes(page));
+		toViewerPage = page => allowed.indexOf(page) + 1;
+	}
+
+	for (const page of pageNums) {
+		const text = pages[page];
+		const folded = Search.fold(text);
+		const found = words.map(word => folded.indexOf(word)).filter(index => index !== -1);
+		if (found.length === words.length || (matchWords === 'any' && found.length)) {
+			const index = Math.min(...found);
+			return { filename: filename, page: toViewerPage(page), snippet: createSnippet(text, index, words[0].length) };
+		}
+	}
+	return null;
+};
+
+// Matches in every file the query could concern, for one user
+Search.search = async function (uid, query, matchWords) {
+	const filenames = await Search.findFiles(query, matchWords);
+	const matches = await Promise.all(filenames.map(filename => Search.findMatch(uid, filename, query, matchWords)));
+	return matches.filter(Boolean);
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+const meta = require.main.require('./src/meta');
+
+const SETTINGS_KEY = 'pdf-secure';
+
+// Fallbacks for fields the admin has not saved yet
+const defaults = {
+	premiumGroup: 'Premium',
+	previewPages: '1',
+	previewOverrides: [],
+	policies: [],
+	nonceBackend: 'auto',
+	transportEncryption: 'aes-gcm',
+	streamThreshold: '10',
+	deliveryMode: 'pdf',
+	embedMode: 'full',
+	watermarkEnabled: 'off',
+	watermarkTemplate: '{username} (uid {uid}) - {timestamp} - {forum}',
+	watermarkOpacity: '0.15',
+	watermarkAngle: '45',
+	watermarkFontSize: '18',
+	watermarkTiled: 'on',
+	searchIndex: 'on',
+	uploadScan: 'reject',
+	uploadScanMaxObjects: '200000',
+	auditRetentionDays: '90',
+	rateLimitDocumentsPerHour: '120',
+	rateLimitMegabytesPerDay: '1000',
+	rateLimitIpDocumentsPerHour: '600',
+	rateLimitIpMegabytesPerDay: '5000',
+	rateLimitBlockMinutes: '60',
+	enumerationDetection: 'on',
+};
+
+const Settings = module.exports;
+
+Settings.key = SETTINGS_KEY;
+Settings.defaults = defaults;
+
+Settings.get = async function () {
+	const saved = await meta.settings.get(SETTINGS_KEY);
+	const settings = { ...defaults };
+
+	// Empty form fields are saved as '' - keep the default in that case
+	Object.keys(saved || {}).forEach((field) => {
+		if (saved[field] !== '' && saved[field] !== undefined && saved[field] !== null) {
+			settings[field] = saved[field];
+		}
+	});
+
+	return settings;
+};
+
+Settings.isEnabled = function (value) {
+	return value === true || value === 'on' || value === 'true';
+};
+
+// Preview pages for non-premium viewers, honouring per-category overrides
+Settings.getPreviewPages = function (config, cid) {
+	const overrides = Array.isArray(config.previewOverrides) ? config.previewOverrides : [];
+	const override = cid && overrides.find(item => parseInt(item.cid, 10) === cid && item.pages);
+	return override ? override.pages : config.previewPages;
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+
+const nonceStore = require('./nonce-store');
+
+const SESSION_TTL = 30 * 60 * 1000; // 30 minutes
+
+// Range streaming and image sessions - created by consuming a viewer nonce,
+// then reused for every chunk or page request of that document. Stored in the nonce
+// backend so any process in a cluster can serve the chunks.
+const StreamSessions = module.exports;
+
+StreamSessions.TTL = SESSION_TTL;
+
+StreamSessions.create = async function (data) {
+	const session = uuidv4();
+	const backend = await nonceStore.getBackend();
+	await backend.set(`session:${session}`, {
+		uid: String(data.uid),
+		file: data.file,
+		level: data.level,
+		encryption: data.encryption || 'aes-gcm',
+		key: data.key.toString('base64'),
+		previewPages: data.previewPages || '',
+		watermarkText: data.watermarkText || '',
+		length: String(data.length),
+		createdAt: String(Date.now()),
+	}, SESSION_TTL);
+	return session;
+};
+
+StreamSessions.get = async function (session, uid) {
+	const backend = await nonceStore.getBackend();
+	const stored = await backend.get(`session:${session}`);
+	if (!stored || parseInt(stored.uid, 10) !== uid) {
+		return null;
+	}
+	if (Date.now() - parseInt(stored.createdAt, 10) > SESSION_TTL) {
+		return null;
+	}
+
+	return {
+		uid: uid,
+		file: stored.file,
+		level: stored.level,
+		encryption: stored.encryption || 'aes-gcm',
+		key: Buffer.from(stored.key, 'base64'),
+		previewPages: stored.previewPages,
+		watermarkText: stored.watermarkText,
+		length: parseInt(stored.length, 10),
+	};
+};
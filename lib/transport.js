@@ -0,0 +1,63 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const IV_LENGTH = 12; // 96-bit IV, as recommended for GCM
+
+// Transport encodings for the pdf-data response
+// 'aes-gcm' - default, full payload encryption (decrypted with WebCrypto in the viewer)
+// 'xor'     - legacy partial XOR, kept for viewers cached before AES-GCM
+const MODES = {
+	'aes-gcm': { keyLength: 32 },
+	xor: { keyLength: 8 },
+};
+
+const Transport = module.exports;
+
+Transport.DEFAULT_MODE = 'aes-gcm';
+
+Transport.isValidMode = function (mode) {
+	return Object.prototype.hasOwnProperty.call(MODES, mode);
+};
+
+Transport.generateKey = function (mode) {
+	return crypto.randomBytes(MODES[mode].keyLength);
+};
+
+// Partial XOR - encrypts first 10KB and every 50th byte after that
+// Now uses dynamic key from nonce data
+Transport.partialXorEncode = function (buffer, xorKey) {
+	const data = Buffer.from(buffer);
+	const keyLen = xorKey.length;
+
+	// Encrypt first 10KB fully
+	const fullEncryptLen = Math.min(10240, data.length);
+	for (let i = 0; i < fullEncryptLen; i++) {
+		data[i] = data[i] ^ xorKey[i % keyLen];
+	}
+
+	// Encrypt every 50th byte after that
+	for (let i = fullEncryptLen; i < data.length; i += 50) {
+		data[i] = data[i] ^ xorKey[i % keyLen];
+	}
+
+	return data;
+};
+
+// AES-256-GCM with the nonce as additional data, so a payload cannot be
+// replayed under another nonce. Output: IV (12) | ciphertext | auth tag (16),
+// which is the layout WebCrypto's decrypt() expects after the IV.
+Transport.aesGcmEncrypt = function (buffer, key, aad) {
+	const iv = crypto.randomBytes(IV_LENGTH);
+	const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+	cipher.setAAD(Buffer.from(aad, 'utf8'));
+	const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+	return Buffer.concat([iv, encrypted, cipher.getAuthTag()]);
+};
+
+Transport.encode = function (buffer, nonceData, nonce) {
+	if (nonceData.encryption === 'xor') {
+		return Transport.partialXorEncode(buffer, nonceData.key);
+	}
+	return Transport.aesGcmEncrypt(buffer, nonceData.key, nonce);
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const meta = require.main.require('./src/meta');
+const user = require.main.require('./src/user');
+
+const DEFAULT_TEMPLATE = '{username} (uid {uid}) - {timestamp} - {forum}';
+const TILE_GAP = 60; // points between tiled watermark strings
+
+const Watermark = module.exports;
+
+Watermark.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+
+// Build the per-viewer watermark text from the admin template
+Watermark.buildText = async function (uid, template) {
+	let username = 'Guest';
+	if (uid) {
+		username = await user.getUserField(uid, 'username') || `uid ${uid}`;
+	}
+
+	const values = {
+		username: username,
+		uid: String(uid || 0),
+		timestamp: `${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`,
+		forum: meta.config.title || 'NodeBB',
+	};
+
+	return (template || DEFAULT_TEMPLATE).replace(/\{(username|uid|timestamp|forum)\}/g, (match, field) => values[field]);
+};
+
+// Standard fonts are WinAnsi encoded - replace anything they cannot draw
+function toDrawableText(font, text) {
+	const charset = new Set(font.getCharacterSet());
+	return Array.from(text.normalize('NFC'))
+		.map(char => (charset.has(char.codePointAt(0)) ? char : '?'))
+		.join('');
+}
+
+Watermark.toDrawableText = toDrawableText;
+
+function clamp(value, min, max, fallback) {
+	const num = parseFloat(value);
+	if (!Number.isFinite(num)) {
+		return fallback;
+	}
+	return Math.min(max, Math.max(min, num));
+}
+
+// Draw text rotated around its own center at (cx, cy)
+function drawCentered(page, text, cx, cy, opts) {
+	const { font, size, angle, opacity, textWidth } = opts;
+	const rad = angle * Math.PI / 180;
+	const textHeight = font.heightAtSize(size);
+	const x = cx - ((textWidth / 2) * Math.cos(rad)) + ((textHeight / 2) * Math.sin(rad));
+	const y = cy - ((textWidth / 2) * Math.sin(rad)) - ((textHeight / 2) * Math.cos(rad));
+
+	page.drawText(text, {
+		x: x,
+		y: y,
+		size: size,
+		font: font,
+		color: rgb(0.5, 0.5, 0.5),
+		opacity: opacity,
+		rotate: degrees(angle),
+	});
+}
+
+/**
+ * Stamp every page of a PDF with the watermark text.
+ * options: { text, opacity, angle, fontSize, tiled }
+ */
+Watermark.apply = async function (pdfBuffer, options) {
+	// Same input + text must give identical bytes (range streaming across processes)
+	const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+	const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+	const text = toDrawableText(font, options.text);
+	const size = clamp(options.fontSize, 6, 96, 18);
+	const drawOpts = {
+		font: font,
+		size: size,
+		angle: clamp(options.angle, -180, 180, 45),
+		opacity: clamp(options.opacity, 0.01, 1, 0.15),
+		textWidth: font.widthOfTextAtSize(text, size),
+	};
+
+	pdfDoc.getPages().forEach((page) => {
+		const { width, height } = page.getSize();
+
+		if (!options.tiled) {
+			drawCentered(page, text, width / 2, height / 2, drawOpts);
+			return;
+		}
+
+		// Tile along the text direction so rotated rows never overlap,
+		// covering the page diagonal and skipping tiles that fall off the page
+		const rad = drawOpts.angle * Math.PI / 180;
+		const stepU = drawOpts.textWidth + TILE_GAP;
+		const stepV = (size * 2) + TILE_GAP;
+		const half = Math.sqrt((width * width) + (height * height)) / 2;
+		const margin = drawOpts.textWidth / 2;
+		let row = 0;
+		for (let v = -half; v <= half; v += stepV, row += 1) {
+			const offset = (row % 2) * (stepU / 2);
+			for (let u = -half - offset; u <= half; u += stepU) {
+				const cx = (width / 2) + (u * Math.cos(rad)) - (v * Math.sin(rad));
+				const cy = (height / 2) + (u * Math.sin(rad)) + (v * Math.cos(rad));
+				if (cx >= -margin && cx <= width + margin && cy >= -margin && cy <= height + margin) {
+					drawCentered(page, text, cx, cy, drawOpts);
+				}
+			}
+		}
+	});
+
+	const pdfBytes = await pdfDoc.save();
+	return Buffer.from(pdfBytes);
+};
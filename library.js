@@ -2,18 +2,87 @@
 
 const path = require('path');
 const fs = require('fs');
+const express = require.main.require('express');
+const nconf = require.main.require('nconf');
+const winston = require.main.require('winston');
+const validator = require.main.require('validator');
 const meta = require.main.require('./src/meta');
 const groups = require.main.require('./src/groups');
+const user = require.main.require('./src/user');
+const posts = require.main.require('./src/posts');
 const routeHelpers = require.main.require('./src/routes/helpers');
+const SocketPlugins = require.main.require('./src/socket.io/plugins');
 
 const controllers = require('./lib/controllers');
 const nonceStore = require('./lib/nonce-store');
+const policy = require('./lib/policy');
+const settings = require('./lib/settings');
+const pdfHandler = require('./lib/pdf-handler');
+const annotations = require('./lib/annotations');
+const live = require('./lib/live');
+const search = require('./lib/search');
+const processing = require('./lib/processing');
+const i18n = require('./lib/i18n');
+const filePosts = require('./lib/file-posts');
+const audit = require('./lib/audit');
+const rateLimit = require('./lib/rate-limit');
 
 const plugin = {};
 
+// Uploads accepted by the annotation import: XFDF files and annotated PDFs
+const IMPORT_TYPES = ['application/pdf', 'application/vnd.adobe.xfdf', 'application/xml', 'text/xml', 'application/octet-stream'];
+
 // Memory cache for viewer.html
 let viewerHtmlCache = null;
 
+// Minimal standalone error page for the viewer iframe, `message` is translated into `language`
+// Also tells the embedding page we are done, so its load queue does not hang
+async function sendErrorPage(res, status, message, language) {
+	const safeMessage = String(await i18n.translate(message, language)).replace(/[<>"'&]/g, '');
+	res.status(status).set({
+		'X-Frame-Options': 'SAMEORIGIN',
+		'X-Content-Type-Options': 'nosniff',
+		'Cache-Control': 'no-store, no-cache, must-revalidate, private, max-age=0',
+		'Referrer-Policy': 'no-referrer',
+		'Content-Security-Policy': "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; frame-ancestors 'self'",
+	});
+	res.type('html').send(`<!DOCTYPE html>
+<html lang="${validator.escape(language)}">
+<head>
+	<meta charset="UTF-8">
+	<title>${status}</title>
+	<style>
+		html, body { height: 100%; margin: 0; }
+		body { display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 12px; background: #2d2d2d; color: #a0a0a0; font: 14px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+		svg { width: 48px; height: 48px; fill: #e81224; }
+	</style>
+</head>
+<body>
+	<svg viewBox="0 0 24 24"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/></svg>
+	<div>${safeMessage}</div>
+	<script>
+		if (window.parent && window.parent !== window) {
+			window.parent.postMessage({ type: 'pdf-secure-ready', error: ${JSON.stringify(safeMessage)} }, window.location.origin);
+		}
+	</script>
+</body>
+</html>`);
+}
+
+// Large files are streamed in encrypted ranges instead of one download
+async function shouldStream(filename, encryption) {
+	const { streamThreshold } = await settings.get();
+	const thresholdMb = parseFloat(streamThreshold);
+	if (encryption !== 'aes-gcm' || !(thresholdMb > 0)) {
+		return false;
+	}
+	try {
+		return await pdfHandler.getFileSize(filename) >= thresholdMb * 1024 * 1024;
+	} catch (err) {
+		return false; // Missing file - the pdf-data request reports it
+	}
+}
+
 plugin.init = async (params) => {
 	const { router, middleware } = params;
 
@@ -36,18 +105,16 @@ plugin.init = async (params) => {
 
 	// PDF direct access blocker middleware
 	// Intercepts requests to uploaded PDF files and returns 403
-	// Admin and Global Moderators can bypass this restriction
+	// Admins, Global Moderators and users with a download policy can bypass this restriction
 	router.get('/assets/uploads/files/:filename', async (req, res, next) => {
 		if (req.params.filename && req.params.filename.toLowerCase().endsWith('.pdf')) {
-			// Admin ve Global Mod'lar direkt erişebilsin
-			if (req.uid) {
-				const [isAdmin, isGlobalMod] = await Promise.all([
-					groups.isMember(req.uid, 'administrators'),
-					groups.isMember(req.uid, 'Global Moderators'),
-				]);
-				if (isAdmin || isGlobalMod) {
+			try {
+				const access = await policy.resolve(req.uid || 0, path.basename(req.params.filename));
+				if (access.level === 'download') {
 					return next();
 				}
+			} catch (err) {
+				console.error('[PDF-Secure] Access check failed:', err.message);
 			}
 			return res.status(403).json({ error: 'Direct PDF access is not allowed. Use the secure viewer.' });
 		}
@@ -57,12 +124,32 @@ plugin.init = async (params) => {
 	// PDF binary endpoint (nonce-validated, guests allowed)
 	router.get('/api/v3/plugins/pdf-secure/pdf-data', controllers.servePdfBinary);
 
+	// Range streaming for large PDFs: nonce -> session, then encrypted byte ranges
+	router.get('/api/v3/plugins/pdf-secure/pdf-stream', controllers.openPdfStream);
+	router.get('/api/v3/plugins/pdf-secure/pdf-stream/:session', controllers.servePdfRange);
+
+	// Image-only delivery: nonce -> session, then server-rendered page bitmaps
+	router.get('/api/v3/plugins/pdf-secure/pages', controllers.openImageSession);
+	router.get('/api/v3/plugins/pdf-secure/pages/:session/:page', controllers.servePageImage);
+
+	// Live co-annotation: socket.emit('plugins.pdfSecure.<join|leave|stroke|page|cursor|navigate>')
+	SocketPlugins.pdfSecure = live;
+
 	// Admin page route
 	routeHelpers.setupAdminPageRoute(router, '/admin/plugins/pdf-secure', controllers.renderAdminPage);
 
+	// Access log (ACP) and its CSV export
+	routeHelpers.setupAdminPageRoute(router, '/admin/plugins/pdf-secure/audit', controllers.renderAuditPage);
+	router.get('/api/v3/plugins/pdf-secure/audit/export', [
+		middleware.ensureLoggedIn,
+		middleware.admin.checkPrivileges,
+	], controllers.exportAudit);
+
 	// Viewer page route (fullscreen Mozilla PDF.js viewer, guests allowed)
-	router.get('/plugins/pdf-secure/viewer', (req, res) => {
+	router.get('/plugins/pdf-secure/viewer', async (req, res) => {
 		const { file } = req.query;
+		// Embeds pick the full viewer or the compact one (page navigation only)
+		const mode = req.query.mode === 'compact' ? 'compact' : 'full';
 		if (!file) {
 			return res.status(400).send('Missing file parameter');
 		}
@@ -78,10 +165,67 @@ plugin.init = async (params) => {
 			return res.status(500).send('Viewer not available');
 		}
 
+		// Resolve the category/group policy per request
+		let access;
+		let language;
+		try {
+			[access, language] = await Promise.all([
+				policy.resolve(req.uid || 0, safeName),
+				i18n.getLanguage(req.uid),
+			]);
+		} catch (err) {
+			console.error('[PDF-Secure] Access check failed:', err.message);
+			return res.status(500).send('Viewer not available');
+		}
+		const logEntry = { event: 'viewer', file: safeName, level: access.level };
+
+		// Quotas and scraping detection, before anything is refused or a nonce minted -
+		// guessed names of files that do not exist resolve to 'blocked' below
+		let limited = null;
+		try {
+			const exists = await pdfHandler.getFileSize(safeName).then(() => true, () => false);
+			limited = await rateLimit.check(req) || await rateLimit.countDocument(req, safeName, exists);
+		} catch (err) {
+			console.error('[PDF-Secure] Rate limit check failed:', err.message);
+		}
+		if (limited) {
+			audit.log(req, { ...logEntry, outcome: 'rate-limited' });
+			res.set('Retry-After', String(Math.ceil((limited.expiresAt - Date.now()) / 1000)));
+			return sendErrorPage(res, 429, '[[pdf-secure:error-rate-limited]]', language);
+		}
+		if (access.level === 'blocked') {
+			audit.log(req, { ...logEntry, outcome: 'blocked' });
+			return sendErrorPage(res, 403, '[[pdf-secure:error-no-permission]]', language);
+		}
+		if (await processing.isRejected(safeName).catch(() => false)) {
+			audit.log(req, { ...logEntry, outcome: 'scan-blocked' });
+			return sendErrorPage(res, 403, '[[pdf-secure:error-scan-blocked]]', language);
+		}
+
 		// Generate nonce + key HERE (in viewer route)
 		// This way the key is ONLY embedded in HTML, never in a separate API response
-		const isPremium = true;
-		const nonceData = nonceStore.generate(req.uid || 0, safeName, isPremium);
+		let nonceData;
+		let fileId;
+		let stream = false;
+		let imageMode = false;
+		let page;
+		let strings;
+		try {
+			[page, strings] = await Promise.all([
+				i18n.translatePage(viewerHtmlCache, language),
+				i18n.getBundle(language),
+			]);
+			nonceData = await nonceStore.generate(req.uid || 0, safeName, access.level);
+			// Missing file - the pdf-data request reports it
+			fileId = await pdfHandler.getFileHash(safeName).catch(() => null);
+			imageMode = policy.getDeliveryMode(await settings.get(), access.level) === 'image';
+			stream = !imageMode && await shouldStream(safeName, nonceData.encryption);
+		} catch (err) {
+			console.error('[PDF-Secure] Nonce generation failed:', err.message);
+			audit.log(req, { ...logEntry, outcome: 'error' });
+			return res.status(500).send('Viewer not available');
+		}
+		audit.log(req, { ...logEntry, outcome: 'issued' });
 
 		// Serve the viewer template with comprehensive security headers
 		res.set({
@@ -93,35 +237,205 @@ plugin.init = async (params) => {
 			'Expires': '0',
 			'Referrer-Policy': 'no-referrer',
 			'Permissions-Policy': 'accelerometer=(), camera=(), geolocation=(), gyroscope=(), magnetometer=(), microphone=(), payment=(), usb=()',
-			'Content-Security-Policy': "default-src 'self'; script-src 'self' 'unsafe-inline' 'unsafe-eval' https://cdnjs.cloudflare.com; style-src 'self' 'unsafe-inline' https://cdnjs.cloudflare.com; img-src 'self' data: blob:; connect-src 'self'; frame-ancestors 'self'",
+			// Everything the viewer loads is served by the forum itself. Images also come from
+			// data: and blob: URLs (pdf.js' own styles, rendered pages); fonts are compiled without eval
+			'Content-Security-Policy': [
+				"default-src 'self'",
+				"script-src 'self'",
+				"style-src 'self'",
+				"img-src 'self' data: blob:",
+				"connect-src 'self'",
+				"worker-src 'self'",
+				"object-src 'none'",
+				"base-uri 'none'",
+				"frame-ancestors 'self'",
+			].join('; '),
 		});
 
 		// Inject the filename, nonce, and key into the cached viewer
 		// Key is embedded in HTML - NOT visible in any network API response!
-		const injectedHtml = viewerHtmlCache
-			.replace('</head>', `
-				<style>
-					/* Hide upload overlay since PDF will auto-load */
-					#uploadOverlay { display: none !important; }
-				</style>
-				<script>
-					window.PDF_SECURE_CONFIG = {
-						filename: ${JSON.stringify(safeName)},
-						relativePath: ${JSON.stringify(req.app.get('relative_path') || '')},
-						csrfToken: ${JSON.stringify(req.csrfToken ? req.csrfToken() : '')},
-						nonce: ${JSON.stringify(nonceData.nonce)},
-						dk: ${JSON.stringify(nonceData.xorKey)}
-					};
-				</script>
-			</head>`);
+		// The viewer script gets the user's language and its strings along with them
+		const config = {
+			filename: safeName,
+			relativePath: req.app.get('relative_path') || '',
+			csrfToken: req.csrfToken ? req.csrfToken() : '',
+			nonce: nonceData.nonce,
+			dk: nonceData.key,
+			enc: nonceData.encryption,
+			stream: stream,
+			imageMode: imageMode,
+			uid: req.uid || 0,
+			fileId: fileId,
+			canDownload: access.level === 'download',
+			mode: mode,
+			lang: language,
+			i18n: strings,
+		};
+		// Inline scripts are not allowed - the config is a JSON data block read by viewer-app.js
+		const injectedHtml = page
+			.replace('<html lang="en">', `<html lang="${validator.escape(language)}">`)
+			.replace(/\{cache-buster\}/g, encodeURIComponent(meta.config['cache-buster'] || ''))
+			.replace('</head>', `<script type="application/json" id="pdfSecureConfig">${
+				JSON.stringify(config).replace(/</g, '\\u003c')
+			}</script></head>`)
+			.replace('<body>', `<body class="autoload${mode === 'compact' ? ' compact' : ''}">`);
 
 		res.type('html').send(injectedHtml);
 	});
 };
 
-plugin.addRoutes = async ({ router, middleware, helpers }) => {
+plugin.addRoutes = async ({ router, middleware }) => {
 	// Nonce endpoint removed - nonce is now generated in viewer route
 	// This improves security by not exposing any key-related data in API responses
+
+	// Per-user annotations: /api/v3/plugins/pdf-secure/annotations/:filename[/:page]
+	const annotationMiddlewares = [middleware.ensureLoggedIn];
+	routeHelpers.setupApiRoute(router, 'get', '/pdf-secure/annotations/:filename', annotationMiddlewares, controllers.getAnnotations);
+
+	// Publishing and reading shared layers (read-only overlays, guests may read)
+	routeHelpers.setupApiRoute(router, 'put', '/pdf-secure/annotations/:filename/shared', annotationMiddlewares, controllers.setAnnotationsShared);
+	routeHelpers.setupApiRoute(router, 'delete', '/pdf-secure/annotations/:filename/shared', annotationMiddlewares, controllers.setAnnotationsShared);
+	routeHelpers.setupApiRoute(router, 'get', '/pdf-secure/annotations/:filename/layers', [], controllers.getSharedLayers);
+	routeHelpers.setupApiRoute(router, 'get', '/pdf-secure/annotations/:filename/layers/:uid', [], controllers.getSharedLayer);
+
+	// Copies of the user's notes (flattened, native PDF annotations or XFDF) and importing them back
+	routeHelpers.setupApiRoute(router, 'post', '/pdf-secure/annotations/:filename/export', annotationMiddlewares, controllers.exportAnnotations);
+	routeHelpers.setupApiRoute(router, 'post', '/pdf-secure/annotations/:filename/import', [
+		...annotationMiddlewares,
+		express.raw({ type: IMPORT_TYPES, limit: '50mb' }),
+	], controllers.importAnnotations);
+
+	routeHelpers.setupApiRoute(router, 'put', '/pdf-secure/annotations/:filename/:page', annotationMiddlewares, controllers.saveAnnotationPage);
+	routeHelpers.setupApiRoute(router, 'delete', '/pdf-secure/annotations/:filename/:page', annotationMiddlewares, controllers.deleteAnnotationPage);
+
+	// Processing results of an uploaded PDF (page count, thumbnail) for its embed
+	routeHelpers.setupApiRoute(router, 'get', '/pdf-secure/files/:filename', [], controllers.getFileInfo);
+
+	// Queue every uploaded PDF for processing and search indexing (ACP)
+	routeHelpers.setupApiRoute(router, 'post', '/pdf-secure/files/process', [
+		middleware.ensureLoggedIn,
+		middleware.admin.checkPrivileges,
+	], controllers.processFiles);
+
+	// Lift a rate limit block (ACP), actor is 'uid:<uid>' or 'ip:<address>'
+	routeHelpers.setupApiRoute(router, 'delete', '/pdf-secure/blocks/:actor', [
+		middleware.ensureLoggedIn,
+		middleware.admin.checkPrivileges,
+	], controllers.removeBlock);
+};
+
+// Remove a deleted account's annotations
+plugin.onUserDelete = async ({ uid }) => {
+	await annotations.deleteUser(uid);
+};
+
+// Remove a rejected upload again - from the uploader's list and from disk
+async function deleteUpload(uid, filename) {
+	try {
+		await user.deleteUpload(uid, uid, [`files/${filename}`]);
+	} catch (err) {
+		await fs.promises.unlink(pdfHandler.resolveFilePath(filename)).catch(() => {});
+	}
+}
+
+// Scan PDFs as soon as NodeBB has stored them and queue them for processing
+// (filter:uploadFile would replace NodeBB's own storage, so the stored hook is used).
+// Rejecting the upload reports the reason to the uploader.
+plugin.onUploadStored = async (data) => {
+	const url = data && data.storedFile && data.storedFile.url;
+	if (!url || !/\/files\/[^/]+\.pdf$/i.test(url)) {
+		return data;
+	}
+
+	const filename = path.basename(url);
+	let check = { reasons: [], stripped: [] };
+	try {
+		check = await processing.checkUpload(filename);
+	} catch (err) {
+		// The processing job scans the file again and flags it if needed
+		console.error('[PDF-Secure] Could not scan upload:', err.message);
+	}
+	if (check.reasons.length) {
+		await deleteUpload(data.uid, filename);
+		const reasons = check.reasons.map(reason => i18n.compile(`scan-${reason}`));
+		throw new Error(i18n.compile('upload-rejected', reasons.join('; ')));
+	}
+	if (check.stripped.length) {
+		winston.info(`[PDF-Secure] Removed active content from ${filename}: ${check.stripped.join(', ')}`);
+	}
+
+	try {
+		await processing.enqueue([filename]);
+	} catch (err) {
+		console.error('[PDF-Secure] Could not queue upload:', err.message);
+	}
+	return data;
+};
+
+// PDFs attached to new and edited posts are processed too (e.g. files uploaded
+// before the plugin was installed); work done for unchanged files is skipped
+plugin.onPostSave = async ({ post }) => {
+	if (!post || !post.content) {
+		return;
+	}
+	await processing.enqueue(search.getFilenames(post.content));
+};
+
+// Add posts whose PDFs contain the query to the results of the search plugin
+// (runs after it - see the hook priority in plugin.json)
+plugin.searchQuery = async (data) => {
+	if (!data || data.index !== 'post' || !data.content || !settings.isEnabled((await settings.get()).searchIndex)) {
+		return data;
+	}
+
+	try {
+		const uid = (data.searchData && data.searchData.uid) || 0;
+		const matches = await search.search(uid, data.content, data.matchWords);
+		let pids = (await Promise.all(matches.map(match => filePosts.getPids(match.filename)))).flat();
+		if (Array.isArray(data.cid) && data.cid.length) {
+			const cids = await posts.getCidsByPids(pids);
+			const allowed = data.cid.map(String);
+			pids = pids.filter((pid, index) => allowed.includes(String(cids[index])));
+		}
+
+		const ids = Array.isArray(data.ids) ? data.ids : [];
+		const seen = new Set(ids.map(String));
+		data.ids = ids.concat(pids.filter((pid) => {
+			const isNew = !seen.has(String(pid));
+			seen.add(String(pid));
+			return isNew;
+		}));
+	} catch (err) {
+		console.error('[PDF-Secure] PDF search failed:', err.message);
+	}
+	return data;
+};
+
+// Show where the query was found in a result's PDFs, linking to the viewer at that page
+plugin.decorateSearchResults = async (hookData) => {
+	const { result, data } = hookData || {};
+	if (!result || !Array.isArray(result.posts) || !data || !data.query) {
+		return hookData;
+	}
+	if (!settings.isEnabled((await settings.get()).searchIndex)) {
+		return hookData;
+	}
+
+	await Promise.all(result.posts.map(async (post) => {
+		if (!post || !post.content) {
+			return;
+		}
+		const matches = (await Promise.all(search.getFilenames(post.content).map(
+			filename => search.findMatch(data.uid || 0, filename, data.query, data.matchWords).catch(() => null)
+		))).filter(Boolean);
+
+		post.content += matches.map(match => `
+			<a class="pdf-secure-search-match" href="${nconf.get('relative_path')}/post/${post.pid}?pdfFile=${encodeURIComponent(match.filename)}&pdfPage=${match.page}">
+				<span class="pdf-secure-search-match-title">${validator.escape(match.filename)} · p. ${match.page}</span>
+				<span class="pdf-secure-search-match-snippet">${validator.escape(match.snippet)}</span>
+			</a>`).join('');
+	}));
+	return hookData;
 };
 
 plugin.addAdminNavigation = (header) => {
@@ -129,6 +443,10 @@ plugin.addAdminNavigation = (header) => {
 		route: '/plugins/pdf-secure',
 		icon: 'fa-file-pdf-o',
 		name: 'PDF Secure Viewer',
+	}, {
+		route: '/plugins/pdf-secure/audit',
+		icon: 'fa-list-alt',
+		name: 'PDF Access Log',
 	});
 
 	return header;
@@ -186,6 +504,9 @@ plugin.transformPdfLinks = async (data) => {
 	// Regex to match PDF links: <a href="...xxx.pdf">text</a>
 	// Captures: full URL path, filename, link text
 	const pdfLinkRegex = /<a\s+[^>]*href=["']([^"']*\/([^"'\/]+\.pdf))["'][^>]*>([^<]*)<\/a>/gi;
+	// A link title picks the viewer for that embed: [name](file.pdf "compact")
+	const modeTitleRegex = /\stitle=["'](compact|full)["']/i;
+	const { embedMode } = await settings.get();
 
 	data.postData.content = data.postData.content.replace(pdfLinkRegex, (match, fullPath, filename, linkText) => {
 		// Decode filename to prevent double encoding (URL may already be encoded)
@@ -196,9 +517,11 @@ plugin.transformPdfLinks = async (data) => {
 		// Sanitize for HTML attribute
 		const safeFilename = decodedFilename.replace(/[<>"'&]/g, '');
 		const displayName = linkText.trim() || safeFilename;
+		const modeTitle = modeTitleRegex.exec(match);
+		const mode = modeTitle ? modeTitle[1].toLowerCase() : embedMode;
 
 		// Return secure placeholder div instead of actual link
-		return `<div class="pdf-secure-placeholder" data-filename="${safeFilename}">
+		return `<div class="pdf-secure-placeholder" data-filename="${safeFilename}" data-mode="${mode === 'compact' ? 'compact' : 'full'}">
 			<svg viewBox="0 0 24 24" style="width:20px;height:20px;fill:#e81224;vertical-align:middle;margin-right:8px;">
 				<path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11z"/>
 			</svg>
@@ -0,0 +1,26 @@
+'use strict';
+
+/*
+	Loaded from the "modules" block of plugin.json when the user navigates
+	to the /admin/plugins/pdf-secure/audit page
+*/
+
+import { del } from 'api';
+import * as alerts from 'alerts';
+
+export function init() {
+	handleUnblock();
+}
+
+function handleUnblock() {
+	$('.pdf-secure-blocks [data-action="unblock"]').on('click', async function () {
+		const button = $(this);
+		try {
+			await del(`/plugins/pdf-secure/blocks/${encodeURIComponent(button.attr('data-actor'))}`);
+			button.closest('tr').remove();
+			alerts.success('Block lifted.');
+		} catch (err) {
+			alerts.error(err);
+		}
+	});
+}
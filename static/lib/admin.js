@@ -0,0 +1,39 @@
+'use strict';
+
+/*
+	This file is located in the "modules" block of plugin.json
+	It is only loaded when the user navigates to /admin/plugins/pdf-secure page
+	It is not bundled into the min file that is served on the first load of the page.
+*/
+
+import { save, load } from 'settings';
+import { post } from 'api';
+import * as alerts from 'alerts';
+
+export function init() {
+	handleSettingsForm();
+	handleProcessFiles();
+}
+
+function handleSettingsForm() {
+	load('pdf-secure', $('.pdf-secure-settings'));
+
+	$('#save').on('click', () => {
+		save('pdf-secure', $('.pdf-secure-settings'));
+	});
+}
+
+function handleProcessFiles() {
+	if ($.fn.timeago) {
+		$('.pdf-secure-files .timeago').timeago();
+	}
+
+	$('#processFiles').on('click', async () => {
+		try {
+			const { queued } = await post('/plugins/pdf-secure/files/process', {});
+			alerts.success(`${queued} PDF(s) queued for processing.`);
+		} catch (err) {
+			alerts.error(err);
+		}
+	});
+}
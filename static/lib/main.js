@@ -3,20 +3,25 @@
 // Main plugin logic - PDF links become inline embedded viewers with lazy loading + queue
 (async function () {
 	// ============================================
-	// PDF.js PRELOAD - Cache CDN assets before iframe loads
+	// PDF.js PRELOAD - Cache the viewer's assets before iframe loads
 	// ============================================
 	(function preloadPdfJs() {
+		// Same URLs as viewer.html and the imports in viewer-app.js, so the iframe finds them in the cache
+		const base = `${config.relative_path}/plugins/nodebb-plugin-pdf-secure/static/`;
+		const version = `?v=${encodeURIComponent(config['cache-buster'] || '')}`;
 		const preloads = [
-			{ href: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js', as: 'script' },
-			{ href: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf_viewer.min.css', as: 'style' }
+			{ href: `${base}lib/pdf.min.mjs`, rel: 'modulepreload' },
+			{ href: `${base}lib/pdf_viewer.mjs`, rel: 'modulepreload' },
+			{ href: `${base}lib/pdf_viewer.css${version}`, rel: 'preload', as: 'style' },
 		];
-		preloads.forEach(({ href, as }) => {
+		preloads.forEach(({ href, rel, as }) => {
 			if (!document.querySelector(`link[href="${href}"]`)) {
 				const link = document.createElement('link');
-				link.rel = 'preload';
+				link.rel = rel;
 				link.href = href;
-				link.as = as;
-				link.crossOrigin = 'anonymous';
+				if (as) {
+					link.as = as;
+				}
 				document.head.appendChild(link);
 			}
 		});
@@ -91,16 +96,108 @@
 				console.log('[PDF-Secure] Cache: Miss -', filename);
 			}
 		}
+
+		// Viewer talking to the live session socket
+		if (event.data && event.data.type === 'pdf-secure-live' && event.source) {
+			relayLiveMessage(event.source, event.data);
+		}
 	});
 
+	// ============================================
+	// LIVE SESSION RELAY - viewers share the forum's socket
+	// ============================================
+	const LIVE_EVENTS = ['join', 'leave', 'stroke', 'page', 'cursor', 'navigate'];
+	const liveViewers = new Map(); // filename -> Set of viewer windows in the session
+
+	function replyLive(source, requestId, err, result) {
+		if (!requestId || source.closed) return;
+		source.postMessage({
+			type: 'pdf-secure-live-reply',
+			requestId: requestId,
+			error: err ? err.message : null,
+			result: result || null,
+		}, window.location.origin);
+	}
+
+	function leaveLive(filename, source) {
+		const viewers = liveViewers.get(filename);
+		if (!viewers) return;
+		viewers.delete(source);
+		// The socket stays in the room while another viewer of the file is open
+		if (viewers.size === 0) {
+			liveViewers.delete(filename);
+			socket.emit('plugins.pdfSecure.leave', { filename: filename });
+		}
+	}
+
+	function relayLiveMessage(source, message) {
+		const payload = message.payload || {};
+		if (!LIVE_EVENTS.includes(message.event) || typeof payload.filename !== 'string' || typeof socket === 'undefined') {
+			replyLive(source, message.requestId, new Error('Live session not available'));
+			return;
+		}
+		if (message.event === 'leave') {
+			leaveLive(payload.filename, source);
+			replyLive(source, message.requestId);
+			return;
+		}
+		socket.emit('plugins.pdfSecure.' + message.event, payload, function (err, result) {
+			if (!err && message.event === 'join') {
+				if (!liveViewers.has(payload.filename)) {
+					liveViewers.set(payload.filename, new Set());
+				}
+				liveViewers.get(payload.filename).add(source);
+			}
+			replyLive(source, message.requestId, err, result);
+		});
+	}
+
+	// Viewers removed with their post (page change) leave the session
+	function pruneLiveViewers() {
+		liveViewers.forEach(function (viewers, filename) {
+			viewers.forEach(function (viewer) {
+				if (viewer.closed) leaveLive(filename, viewer);
+			});
+		});
+	}
+
+	if (typeof socket !== 'undefined') {
+		socket.on('event:pdf-secure.live', function (data) {
+			const viewers = data && liveViewers.get(data.filename);
+			if (!viewers) return;
+			viewers.forEach(function (viewer) {
+				if (!viewer.closed) {
+					viewer.postMessage({ type: 'pdf-secure-live-event', data: data }, window.location.origin);
+				}
+			});
+		});
+
+		// Rooms are lost with the connection - join again and refresh the participant lists
+		socket.on('connect', function () {
+			liveViewers.forEach(function (viewers, filename) {
+				socket.emit('plugins.pdfSecure.join', { filename: filename }, function (err, result) {
+					if (err) return;
+					viewers.forEach(function (viewer) {
+						if (!viewer.closed) {
+							viewer.postMessage({
+								type: 'pdf-secure-live-event',
+								data: { type: 'rejoin', filename: filename, participants: result.participants },
+							}, window.location.origin);
+						}
+					});
+				});
+			});
+		});
+	}
+
 	async function processQueue() {
 		if (isLoading || loadQueue.length === 0) return;
 
 		isLoading = true;
-		const { wrapper, filename, placeholder } = loadQueue.shift();
+		const { wrapper, filename, placeholder, mode } = loadQueue.shift();
 
 		try {
-			await loadPdfIframe(wrapper, filename, placeholder);
+			await loadPdfIframe(wrapper, filename, placeholder, mode);
 		} catch (err) {
 			console.error('[PDF-Secure] Load error:', err);
 		}
@@ -111,20 +208,44 @@
 		setTimeout(processQueue, 200);
 	}
 
-	function queuePdfLoad(wrapper, filename, placeholder) {
-		loadQueue.push({ wrapper, filename, placeholder });
+	function queuePdfLoad(wrapper, filename, placeholder, mode) {
+		loadQueue.push({ wrapper, filename, placeholder, mode });
 		processQueue();
 	}
 
+	// Placeholder texts in the user's language, loaded when the first page needs them
+	var translator = null;
+	var strings = {};
+	var stringsPromise = null;
+
+	function loadStrings() {
+		if (!stringsPromise) {
+			stringsPromise = app.require('translator').then(function (module) {
+				translator = module;
+				var keys = ['queued', 'loading', 'load-error'];
+				return Promise.all(keys.map(function (key) {
+					return translator.translate('[[pdf-secure:' + key + ']]');
+				})).then(function (texts) {
+					keys.forEach(function (key, index) { strings[key] = texts[index]; });
+				});
+			}).catch(function (err) {
+				console.error('[PDF-Secure] Could not load translations:', err);
+			});
+		}
+		return stringsPromise;
+	}
+
 	try {
 		var hooks = await app.require('hooks');
 
+		// Registered first and translations loaded inside, so the first page is not missed
 		hooks.on('action:ajaxify.end', function () {
 			// Clear queue on page change
 			loadQueue.length = 0;
 			isLoading = false;
 			currentResolver = null;
-			interceptPdfLinks();
+			pruneLiveViewers();
+			loadStrings().then(interceptPdfLinks);
 		});
 	} catch (err) {
 		console.error('[PDF-Secure] Init error:', err);
@@ -143,7 +264,7 @@
 				var filename = placeholder.dataset.filename;
 				var displayName = placeholder.querySelector('span')?.textContent || filename;
 
-				createPdfViewer(placeholder, filename, displayName);
+				createPdfViewer(placeholder, filename, displayName, placeholder.dataset.mode);
 			});
 
 			// FALLBACK: Detect old-style PDF links (for backwards compatibility)
@@ -157,16 +278,18 @@
 				var filename = parts[parts.length - 1];
 				var displayName = link.textContent || filename;
 
-				createPdfViewer(link, filename, displayName);
+				createPdfViewer(link, filename, displayName, 'full');
 			});
 		});
 	}
 
-	function createPdfViewer(targetElement, filename, displayName) {
+	// mode: 'full' viewer or 'compact' (page navigation, fit-width pages)
+	function createPdfViewer(targetElement, filename, displayName, mode) {
+		var compact = mode === 'compact';
 
 		// Create container
 		var container = document.createElement('div');
-		container.className = 'pdf-secure-embed';
+		container.className = compact ? 'pdf-secure-embed pdf-secure-embed-compact' : 'pdf-secure-embed';
 		container.style.cssText = 'margin:16px 0;border-radius:12px;overflow:hidden;background:#1f1f1f;border:1px solid rgba(255,255,255,0.1);box-shadow:0 4px 20px rgba(0,0,0,0.25);';
 
 		// Header
@@ -197,7 +320,7 @@
 		// Body with loading placeholder
 		var iframeWrapper = document.createElement('div');
 		iframeWrapper.className = 'pdf-secure-embed-body';
-		iframeWrapper.style.cssText = 'position:relative;width:100%;height:600px;background:#525659;';
+		iframeWrapper.style.cssText = 'position:relative;width:100%;height:' + (compact ? 480 : 600) + 'px;background:#525659;';
 
 		// Loading placeholder - ALWAYS VISIBLE until PDF ready (z-index: 10)
 		var loadingPlaceholder = document.createElement('div');
@@ -207,15 +330,18 @@
 					<svg viewBox="0 0 24 24" style="width:48px;height:48px;fill:#555;">
 						<path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11z"/>
 					</svg>
-					<div class="pdf-loading-text" style="font-size:14px;color:#a0a0a0;">Sırada bekliyor...</div>
+					<div class="pdf-loading-text" style="font-size:14px;color:#a0a0a0;"></div>
 					<style>@keyframes spin{from{transform:rotate(0deg)}to{transform:rotate(360deg)}}</style>
 				`;
+		loadingPlaceholder.querySelector('.pdf-loading-text').textContent = strings.queued || '';
 		iframeWrapper.appendChild(loadingPlaceholder);
 
 		container.appendChild(iframeWrapper);
 
 		targetElement.replaceWith(container);
 
+		showFileInfo(filename, title, nameSpan, loadingPlaceholder);
+
 		// LAZY LOADING with Intersection Observer + Queue
 		// Smart loading: only loads PDFs that are actually visible
 		var queueEntry = null;  // Track if this PDF is in queue
@@ -224,7 +350,7 @@
 				if (entry.isIntersecting) {
 					// Update placeholder to show loading state
 					var textEl = loadingPlaceholder.querySelector('.pdf-loading-text');
-					if (textEl) textEl.textContent = 'PDF Yükleniyor...';
+					if (textEl) textEl.textContent = strings.loading || '';
 
 					var svgEl = loadingPlaceholder.querySelector('svg');
 					if (svgEl) {
@@ -235,7 +361,7 @@
 
 					// Add to queue (if not already)
 					if (!queueEntry) {
-						queueEntry = { wrapper: iframeWrapper, filename, placeholder: loadingPlaceholder };
+						queueEntry = { wrapper: iframeWrapper, filename, placeholder: loadingPlaceholder, mode: compact ? 'compact' : 'full' };
 						loadQueue.push(queueEntry);
 						processQueue();
 					}
@@ -249,7 +375,7 @@
 
 							// Reset placeholder to waiting state
 							var textEl = loadingPlaceholder.querySelector('.pdf-loading-text');
-							if (textEl) textEl.textContent = 'Sırada bekliyor...';
+							if (textEl) textEl.textContent = strings.queued || '';
 							var svgEl = loadingPlaceholder.querySelector('svg');
 							if (svgEl) {
 								svgEl.style.fill = '#555';
@@ -269,13 +395,51 @@
 		observer.observe(container);
 	}
 
-	function loadPdfIframe(wrapper, filename, placeholder) {
+	// Page count and first-page thumbnail recorded when the file was uploaded
+	function showFileInfo(filename, title, nameSpan, placeholder) {
+		fetch(config.relative_path + '/api/v3/plugins/pdf-secure/files/' + encodeURIComponent(filename), { credentials: 'same-origin' })
+			.then(function (res) { return res.ok ? res.json() : null; })
+			.then(function (data) {
+				var info = data && data.response;
+				if (!info || info.status !== 'ready') return;
+
+				if (info.title) nameSpan.title = info.title;
+				if (info.pageCount && translator) {
+					var pages = document.createElement('span');
+					pages.className = 'pdf-secure-embed-pages';
+					title.appendChild(pages);
+					translator.translate('[[pdf-secure:page-count, ' + info.pageCount + ']]').then(function (text) {
+						pages.textContent = text;
+					});
+				}
+				if (/^data:image\/jpeg;base64,[A-Za-z0-9+/=]+$/.test(info.thumbnail || '')) {
+					placeholder.style.background = 'linear-gradient(rgba(45,45,45,0.8), rgba(45,45,45,0.8)), url("' + info.thumbnail + '") center / contain no-repeat, #2d2d2d';
+				}
+			})
+			.catch(function () {});
+	}
+
+	// Forum search results link to ?pdfFile=<name>&pdfPage=<n> - open that PDF at the page
+	function getStartPage(filename) {
+		var params = new URLSearchParams(window.location.search);
+		var page = parseInt(params.get('pdfPage'), 10);
+		return params.get('pdfFile') === filename && page > 0 ? page : null;
+	}
+
+	function loadPdfIframe(wrapper, filename, placeholder, mode) {
 		return new Promise((resolve, reject) => {
 			// Create iframe HIDDEN (z-index: 1, under placeholder)
 			var iframe = document.createElement('iframe');
 			iframe.className = 'pdf-secure-iframe';
 			iframe.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;border:none;z-index:1;';
 			iframe.src = config.relative_path + '/plugins/pdf-secure/viewer?file=' + encodeURIComponent(filename);
+			if (mode === 'compact') {
+				iframe.src += '&mode=compact';
+			}
+			var startPage = getStartPage(filename);
+			if (startPage) {
+				iframe.src += '#page=' + startPage;
+			}
 			iframe.setAttribute('frameborder', '0');
 			iframe.setAttribute('allowfullscreen', 'true');
 
@@ -297,7 +461,7 @@
 				currentResolver = null;
 				if (placeholder) {
 					var textEl = placeholder.querySelector('.pdf-loading-text');
-					if (textEl) textEl.textContent = 'Yükleme hatası!';
+					if (textEl) textEl.textContent = strings['load-error'] || '';
 				}
 				reject(new Error('Failed to load iframe'));
 			};
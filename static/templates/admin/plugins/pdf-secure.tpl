@@ -13,17 +13,220 @@
 
 					<div class="mb-3">
 						<label class="form-label" for="premiumGroup">Premium Group Name</label>
-						<input type="text" id="premiumGroup" name="premiumGroup" title="Premium Group Name" class="form-control" placeholder="Premium" value="Premium">
-						<div class="form-text">Users in this group can view full PDFs. Others can only see the first page.</div>
+						<input type="text" id="premiumGroup" name="premiumGroup" title="Premium Group Name" class="form-control" placeholder="Premium">
+						<div class="form-text">Users in this group can view full PDFs. Others only see the preview pages configured below. Administrators and Global Moderators always see the full document.</div>
+					</div>
+
+					<div class="mb-3">
+						<label class="form-label">Viewing Policies</label>
+						<div data-type="sorted-list" data-sorted-list="policies" data-item-template="admin/plugins/pdf-secure/partials/policies/item" data-form-template="admin/plugins/pdf-secure/partials/policies/form">
+							<ul data-type="list" class="list-group mb-2"></ul>
+							<button type="button" data-type="add" class="btn btn-info btn-sm">Add Rule</button>
+						</div>
+						<div class="form-text">
+							Map a category and group to an access level: <strong>blocked</strong>, <strong>preview</strong> (preview pages only), <strong>full</strong> or <strong>download</strong> (full document plus the original file).
+							Rules for a specific category take precedence over rules for all categories; when several rules match, the most permissive wins.
+							Without a matching rule, premium group members get the full document and everyone else the preview.
+						</div>
+					</div>
+
+					<div class="mb-3">
+						<label class="form-label" for="previewPages">Preview Pages</label>
+						<input type="text" id="previewPages" name="previewPages" title="Preview Pages" class="form-control" placeholder="1">
+						<div class="form-text">Pages shown to non-premium users. A single number <code>N</code> shows the first N pages; ranges such as <code>1-3,10</code> show exactly those pages.</div>
+					</div>
+
+					<div class="mb-3">
+						<label class="form-label">Per-Category Preview Pages</label>
+						<div data-type="sorted-list" data-sorted-list="previewOverrides" data-item-template="admin/plugins/pdf-secure/partials/preview-overrides/item" data-form-template="admin/plugins/pdf-secure/partials/preview-overrides/form">
+							<ul data-type="list" class="list-group mb-2"></ul>
+							<button type="button" data-type="add" class="btn btn-info btn-sm">Add Override</button>
+						</div>
+						<div class="form-text">Overrides the preview pages for PDFs posted in a specific category.</div>
 					</div>
 
 					<div class="form-check form-switch mb-3">
 						<input type="checkbox" class="form-check-input" id="watermarkEnabled" name="watermarkEnabled">
 						<label for="watermarkEnabled" class="form-check-label">Enable Watermark</label>
-						<div class="form-text">Show a watermark overlay on PDF pages.</div>
+						<div class="form-text">Burn a per-viewer watermark into every served PDF page so leaked copies can be traced back to the account.</div>
+					</div>
+
+					<div class="mb-3">
+						<label class="form-label" for="watermarkTemplate">Watermark Text</label>
+						<input type="text" id="watermarkTemplate" name="watermarkTemplate" title="Watermark Text" class="form-control" placeholder="{username} (uid {uid}) - {timestamp} - {forum}">
+						<div class="form-text">Available placeholders: <code>{username}</code>, <code>{uid}</code>, <code>{timestamp}</code>, <code>{forum}</code>.</div>
+					</div>
+
+					<div class="row">
+						<div class="col-sm-4 mb-3">
+							<label class="form-label" for="watermarkOpacity">Opacity</label>
+							<input type="number" id="watermarkOpacity" name="watermarkOpacity" title="Opacity" class="form-control" placeholder="0.15" min="0.01" max="1" step="0.01">
+						</div>
+						<div class="col-sm-4 mb-3">
+							<label class="form-label" for="watermarkAngle">Angle (degrees)</label>
+							<input type="number" id="watermarkAngle" name="watermarkAngle" title="Angle" class="form-control" placeholder="45" min="-180" max="180">
+						</div>
+						<div class="col-sm-4 mb-3">
+							<label class="form-label" for="watermarkFontSize">Font Size</label>
+							<input type="number" id="watermarkFontSize" name="watermarkFontSize" title="Font Size" class="form-control" placeholder="18" min="6" max="96">
+						</div>
+					</div>
+
+					<div class="form-check form-switch mb-3">
+						<input type="checkbox" class="form-check-input" id="watermarkTiled" name="watermarkTiled" checked>
+						<label for="watermarkTiled" class="form-check-label">Tile Watermark</label>
+						<div class="form-text">Repeat the watermark across the whole page instead of a single centered line.</div>
+					</div>
+
+					<div class="mb-3">
+						<label class="form-label" for="deliveryMode">Delivery Mode</label>
+						<select id="deliveryMode" name="deliveryMode" class="form-select">
+							<option value="pdf">PDF document (rendered in the browser)</option>
+							<option value="image">Page images only (rendered on the server)</option>
+						</select>
+						<div class="form-text">With page images, viewers never receive the PDF itself, so its text and fonts cannot be extracted. Pages are rendered on demand, which costs server CPU, and text selection is not available. Users who may download the file still get the PDF.</div>
+					</div>
+
+					<div class="mb-3">
+						<label class="form-label" for="embedMode">Embed Mode</label>
+						<select id="embedMode" name="embedMode" class="form-select">
+							<option value="full">Full viewer (toolbar, sidebar and annotations)</option>
+							<option value="compact">Compact (page navigation only)</option>
+						</select>
+						<div class="form-text">How PDFs are shown inside posts. Authors can pick the viewer for a single link with its title, e.g. <code>[Handout](handout.pdf "compact")</code> or <code>"full"</code>.</div>
+					</div>
+
+					<div class="mb-3">
+						<label class="form-label" for="transportEncryption">Transport Encryption</label>
+						<select id="transportEncryption" name="transportEncryption" class="form-select">
+							<option value="aes-gcm">AES-256-GCM (recommended)</option>
+							<option value="xor">Legacy partial XOR</option>
+						</select>
+						<div class="form-text">AES-GCM encrypts the whole document with a per-view key and requires the forum to be served over HTTPS. The legacy mode only exists for viewers cached before AES-GCM was introduced.</div>
+					</div>
+
+					<div class="mb-3">
+						<label class="form-label" for="streamThreshold">Streaming Threshold (MB)</label>
+						<input type="number" id="streamThreshold" name="streamThreshold" title="Streaming Threshold" class="form-control" placeholder="10" min="0" step="1">
+						<div class="form-text">PDFs at least this large are delivered in encrypted chunks, so the first page renders before the whole file has arrived. Requires AES-GCM. Set to 0 to always send the whole file.</div>
+					</div>
+
+					<div class="mb-3">
+						<label class="form-label" for="nonceBackend">Nonce Storage</label>
+						<select id="nonceBackend" name="nonceBackend" class="form-select">
+							<option value="auto">Automatic (database when running as a cluster)</option>
+							<option value="memory">In-memory (single process only)</option>
+							<option value="database">NodeBB database (Redis, MongoDB or PostgreSQL)</option>
+						</select>
+						<div class="form-text">Viewer nonces must be visible to every NodeBB process. Use the database when running several processes behind a load balancer.</div>
+					</div>
+
+					<div class="mb-3">
+						<label class="form-label" for="uploadScan">Upload Scan</label>
+						<select id="uploadScan" name="uploadScan" class="form-select">
+							<option value="reject">Reject unsafe PDFs</option>
+							<option value="strip">Remove active content, reject the rest</option>
+							<option value="off">Off</option>
+						</select>
+						<div class="form-text">Uploaded PDFs that are malformed, need a password, contain too many objects or carry JavaScript, launch actions or embedded executables are rejected and the uploader is told why. Removing active content keeps the upload but strips scripts, launch actions and executable attachments from it. PDFs that were already uploaded are only flagged and no longer served.</div>
+					</div>
+
+					<div class="mb-3">
+						<label class="form-label" for="uploadScanMaxObjects">Maximum Objects per PDF</label>
+						<input type="number" id="uploadScanMaxObjects" name="uploadScanMaxObjects" title="Maximum Objects per PDF" class="form-control" placeholder="200000" min="0" step="1000">
+						<div class="form-text">Documents with more objects are rejected before they are parsed in full. Set to 0 for no limit.</div>
+					</div>
+
+					<div class="form-check form-switch mb-3">
+						<input type="checkbox" class="form-check-input" id="searchIndex" name="searchIndex" checked>
+						<label for="searchIndex" class="form-check-label">Index PDF Text for Forum Search</label>
+						<div class="form-text">Extract the text of PDFs attached to posts so forum search finds them. Results link to the post and open the viewer at the matching page; users only match pages they are allowed to view. Requires a search plugin such as nodebb-plugin-dbsearch.</div>
+					</div>
+
+					<div class="mb-3">
+						<label class="form-label" for="auditRetentionDays">Access Log Retention (days)</label>
+						<input type="number" id="auditRetentionDays" name="auditRetentionDays" title="Access Log Retention" class="form-control" placeholder="90" min="0" step="1">
+						<div class="form-text">How long entries of the <a href="{config.relative_path}/admin/plugins/pdf-secure/audit">PDF access log</a> are kept. Set to 0 to keep them forever.</div>
+					</div>
+
+					<div class="row">
+						<div class="col-sm-6 mb-3">
+							<label class="form-label" for="rateLimitDocumentsPerHour">Documents per Hour (per user)</label>
+							<input type="number" id="rateLimitDocumentsPerHour" name="rateLimitDocumentsPerHour" title="Documents per Hour per User" class="form-control" placeholder="120" min="0" step="1">
+						</div>
+						<div class="col-sm-6 mb-3">
+							<label class="form-label" for="rateLimitMegabytesPerDay">Megabytes per Day (per user)</label>
+							<input type="number" id="rateLimitMegabytesPerDay" name="rateLimitMegabytesPerDay" title="Megabytes per Day per User" class="form-control" placeholder="1000" min="0" step="1">
+						</div>
+						<div class="col-sm-6 mb-3">
+							<label class="form-label" for="rateLimitIpDocumentsPerHour">Documents per Hour (per IP address)</label>
+							<input type="number" id="rateLimitIpDocumentsPerHour" name="rateLimitIpDocumentsPerHour" title="Documents per Hour per IP Address" class="form-control" placeholder="600" min="0" step="1">
+						</div>
+						<div class="col-sm-6 mb-3">
+							<label class="form-label" for="rateLimitIpMegabytesPerDay">Megabytes per Day (per IP address)</label>
+							<input type="number" id="rateLimitIpMegabytesPerDay" name="rateLimitIpMegabytesPerDay" title="Megabytes per Day per IP Address" class="form-control" placeholder="5000" min="0" step="1">
+						</div>
+					</div>
+					<div class="form-text mt-n2 mb-3">Viewers opened and PDF data sent, counted for the account and for the IP address (guests only by address). Going over a quota blocks the user or address temporarily. Set a quota to 0 to disable it. Administrators and Global Moderators are not limited.</div>
+
+					<div class="mb-3">
+						<label class="form-label" for="rateLimitBlockMinutes">Block Duration (minutes)</label>
+						<input type="number" id="rateLimitBlockMinutes" name="rateLimitBlockMinutes" title="Block Duration" class="form-control" placeholder="60" min="1" step="1">
+						<div class="form-text">How long a user or address stays blocked. Active blocks are listed, and can be lifted, on the <a href="{config.relative_path}/admin/plugins/pdf-secure/audit">PDF access log</a> page.</div>
+					</div>
+
+					<div class="form-check form-switch mb-3">
+						<input type="checkbox" class="form-check-input" id="enumerationDetection" name="enumerationDetection" checked>
+						<label for="enumerationDetection" class="form-check-label">Block Filename Enumeration</label>
+						<div class="form-text">Block users and addresses that open viewers for non-existent files while stepping through numbered file names, or that request many non-existent files within a few minutes.</div>
 					</div>
 				</div>
 			</form>
+
+			<div class="pdf-secure-files mb-4">
+				<h5 class="fw-bold tracking-tight settings-header">Uploaded PDFs</h5>
+
+				<p>
+					Uploaded PDFs are checked in the background: their hash, page count and metadata are recorded, the preview and a thumbnail are prepared and their text is indexed for search.
+					Files uploaded before the plugin was installed are processed when their post is edited, or all at once with the button below. Files that have not changed are skipped.
+				</p>
+				<button type="button" id="processFiles" class="btn btn-light btn-sm mb-3">Process Existing PDFs</button>
+
+				{{{ if files.length }}}
+				<div class="table-responsive">
+					<table class="table table-sm align-middle">
+						<thead>
+							<tr>
+								<th>File</th>
+								<th>Status</th>
+								<th class="text-end">Pages</th>
+								<th class="text-end">Size (MB)</th>
+								<th>Processed</th>
+							</tr>
+						</thead>
+						<tbody>
+							{{{ each files }}}
+							<tr>
+								<td class="text-break">
+									{./filename}
+									{{{ if ./title }}}<div class="text-muted small">{./title}</div>{{{ end }}}
+								</td>
+								<td>
+									{./status}
+									{{{ if ./error }}}<div class="text-danger small">{./error}</div>{{{ end }}}
+								</td>
+								<td class="text-end">{./pageCount}</td>
+								<td class="text-end">{./sizeMb}</td>
+								<td>{{{ if ./processedAtISO }}}<span class="timeago" title="{./processedAtISO}">{./processedAtISO}</span>{{{ end }}}</td>
+							</tr>
+							{{{ end }}}
+						</tbody>
+					</table>
+				</div>
+				{{{ else }}}
+				<p class="text-muted">No PDFs have been processed yet.</p>
+				{{{ end }}}
+			</div>
 		</div>
 
 		<!-- IMPORT admin/partials/settings/toc.tpl -->
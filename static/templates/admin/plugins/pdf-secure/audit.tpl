@@ -0,0 +1,172 @@
+<div class="acp-page-container px-lg-4">
+	<div class="d-flex border-bottom py-2 mb-3 gap-3 align-items-center justify-content-between flex-wrap">
+		<h4 class="fw-bold tracking-tight mb-0">PDF Access Log</h4>
+		<a href="{exportUrl}" class="btn btn-light btn-sm" data-ajaxify="false" download><i class="fa fa-download"></i> Export CSV</a>
+	</div>
+
+	<p>
+		Every viewer opened (a nonce issued or refused) and every nonce redeemed for the document is recorded with the user, IP address and browser.
+		{{{ if retentionDays }}}Entries are kept for {retentionDays} days.{{{ else }}}Entries are kept forever.{{{ end }}}
+		The retention period is set on the <a href="{config.relative_path}/admin/plugins/pdf-secure">plugin settings</a> page.
+	</p>
+
+	<div class="pdf-secure-blocks mb-4">
+		<h5 class="fw-bold tracking-tight">Temporary Blocks</h5>
+		<p class="text-muted small">
+			Users and IP addresses that went over the viewing quotas or appear to be counting through upload names cannot open PDFs until the block expires.
+			Quotas, the block duration and enumeration detection are configured on the <a href="{config.relative_path}/admin/plugins/pdf-secure">plugin settings</a> page.
+		</p>
+		{{{ if blocks.length }}}
+		<div class="table-responsive">
+			<table class="table table-sm align-middle">
+				<thead>
+					<tr>
+						<th>User / IP</th>
+						<th>Reason</th>
+						<th>Details</th>
+						<th>Since (UTC)</th>
+						<th>Until (UTC)</th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody>
+					{{{ each blocks }}}
+					<tr>
+						<td class="text-nowrap">{{{ if ./uid }}}<a href="{./url}">{./name}</a> <span class="text-muted small">({./uid})</span>{{{ else }}}{./name}{{{ end }}}</td>
+						<td>{./reason}</td>
+						<td class="text-muted small text-break">{./detail}</td>
+						<td class="text-nowrap">{./since}</td>
+						<td class="text-nowrap">{./expires}</td>
+						<td class="text-end"><button type="button" class="btn btn-light btn-sm" data-action="unblock" data-actor="{./actor}">Unblock</button></td>
+					</tr>
+					{{{ end }}}
+				</tbody>
+			</table>
+		</div>
+		{{{ else }}}
+		<p class="text-muted">Nobody is blocked.</p>
+		{{{ end }}}
+	</div>
+
+	<form class="row g-2 align-items-end mb-3" method="get" action="{config.relative_path}/admin/plugins/pdf-secure/audit">
+		<div class="col-sm-6 col-lg-2">
+			<label class="form-label" for="auditUser">User</label>
+			<input type="text" id="auditUser" name="user" class="form-control form-control-sm" placeholder="Username or uid" value="{params.user}">
+		</div>
+		<div class="col-sm-6 col-lg-3">
+			<label class="form-label" for="auditFile">File</label>
+			<input type="text" id="auditFile" name="file" class="form-control form-control-sm" placeholder="document.pdf" value="{params.file}">
+		</div>
+		<div class="col-sm-6 col-lg-2">
+			<label class="form-label" for="auditEvent">Event</label>
+			<select id="auditEvent" name="event" class="form-select form-select-sm">
+				<option value="">All</option>
+				{{{ each events }}}
+				<option value="{./value}" {{{ if ./selected }}}selected{{{ end }}}>{./value}</option>
+				{{{ end }}}
+			</select>
+		</div>
+		<div class="col-sm-6 col-lg-2">
+			<label class="form-label" for="auditOutcome">Outcome</label>
+			<select id="auditOutcome" name="outcome" class="form-select form-select-sm">
+				<option value="">All</option>
+				{{{ each outcomes }}}
+				<option value="{./value}" {{{ if ./selected }}}selected{{{ end }}}>{./value}</option>
+				{{{ end }}}
+			</select>
+		</div>
+		<div class="col-sm-6 col-lg-1">
+			<label class="form-label" for="auditFrom">From</label>
+			<input type="date" id="auditFrom" name="from" class="form-control form-control-sm" value="{params.from}">
+		</div>
+		<div class="col-sm-6 col-lg-1">
+			<label class="form-label" for="auditTo">To</label>
+			<input type="date" id="auditTo" name="to" class="form-control form-control-sm" value="{params.to}">
+		</div>
+		<div class="col-lg-1">
+			{{{ if viewParam }}}<input type="hidden" name="view" value="{viewParam}">{{{ end }}}
+			<button type="submit" class="btn btn-primary btn-sm w-100">Filter</button>
+		</div>
+	</form>
+
+	<ul class="nav nav-tabs mb-3">
+		{{{ each views }}}
+		<li class="nav-item"><a class="nav-link {{{ if ./active }}}active{{{ end }}}" href="{./url}">{./name}</a></li>
+		{{{ end }}}
+	</ul>
+
+	{{{ if isLog }}}
+	{{{ if entries.length }}}
+	<div class="table-responsive">
+		<table class="table table-sm align-middle">
+			<thead>
+				<tr>
+					<th>Time (UTC)</th>
+					<th>User</th>
+					<th>File</th>
+					<th>Event</th>
+					<th>Level</th>
+					<th>Outcome</th>
+					<th>IP</th>
+					<th>Browser</th>
+				</tr>
+			</thead>
+			<tbody>
+				{{{ each entries }}}
+				<tr>
+					<td class="text-nowrap">{./time}</td>
+					<td><a href="{./userUrl}">{./username}</a> <span class="text-muted small">({./uid})</span></td>
+					<td class="text-break">{{{ if ./file }}}<a href="{./fileUrl}">{./file}</a>{{{ end }}}</td>
+					<td>{./event}</td>
+					<td>{./level}</td>
+					<td>{{{ if ./denied }}}<span class="text-danger">{./outcome}</span>{{{ else }}}{./outcome}{{{ end }}}</td>
+					<td class="text-nowrap">{./ip}</td>
+					<td class="text-muted small text-break">{./userAgent}</td>
+				</tr>
+				{{{ end }}}
+			</tbody>
+		</table>
+	</div>
+	<div class="d-flex gap-2">
+		{{{ if prevUrl }}}<a href="{prevUrl}" class="btn btn-light btn-sm">&lsaquo; Newer</a>{{{ end }}}
+		{{{ if nextUrl }}}<a href="{nextUrl}" class="btn btn-light btn-sm">Older &rsaquo;</a>{{{ end }}}
+	</div>
+	{{{ else }}}
+	<p class="text-muted">No matching entries.</p>
+	{{{ end }}}
+	{{{ else }}}
+	{{{ if groups.length }}}
+	<div class="table-responsive">
+		<table class="table table-sm align-middle">
+			<thead>
+				<tr>
+					<th>{{{ if isFiles }}}File{{{ else }}}User{{{ end }}}</th>
+					<th class="text-end">Viewers Opened</th>
+					<th class="text-end">Served</th>
+					<th class="text-end">Denied</th>
+					<th class="text-end">{{{ if isFiles }}}Users{{{ else }}}Files{{{ end }}}</th>
+					<th>Last Access (UTC)</th>
+				</tr>
+			</thead>
+			<tbody>
+				{{{ each groups }}}
+				<tr>
+					<td class="text-break"><a href="{./url}">{./name}</a>{{{ if ./uid }}} <span class="text-muted small">({./uid})</span>{{{ end }}}</td>
+					<td class="text-end">{./issued}</td>
+					<td class="text-end">{./served}</td>
+					<td class="text-end">{{{ if ./denied }}}<span class="text-danger">{./denied}</span>{{{ else }}}0{{{ end }}}</td>
+					<td class="text-end">{./distinct}</td>
+					<td class="text-nowrap">{./lastAccess}</td>
+				</tr>
+				{{{ end }}}
+			</tbody>
+		</table>
+	</div>
+	{{{ if incomplete }}}
+	<p class="text-muted small">Only the most recent entries are summarized - narrow the filters to include older ones.</p>
+	{{{ end }}}
+	{{{ else }}}
+	<p class="text-muted">No matching entries.</p>
+	{{{ end }}}
+	{{{ end }}}
+</div>
@@ -0,0 +1,20 @@
+<form>
+	<div class="mb-3">
+		<label class="form-label" for="cid">Category ID</label>
+		<input type="number" id="cid" name="cid" class="form-control" placeholder="All categories" min="1" />
+	</div>
+	<div class="mb-3">
+		<label class="form-label" for="group">Group Name</label>
+		<input type="text" id="group" name="group" class="form-control" placeholder="Everyone" />
+		<div class="form-text">Use <code>guests</code> or <code>registered-users</code> for the built-in groups.</div>
+	</div>
+	<div class="mb-3">
+		<label class="form-label" for="level">Access Level</label>
+		<select id="level" name="level" class="form-select">
+			<option value="blocked">Blocked</option>
+			<option value="preview" selected>Preview only</option>
+			<option value="full">Full document</option>
+			<option value="download">Full document with download</option>
+		</select>
+	</div>
+</form>
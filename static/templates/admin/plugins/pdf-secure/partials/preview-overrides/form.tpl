@@ -0,0 +1,10 @@
+<form>
+	<div class="mb-3">
+		<label class="form-label" for="cid">Category ID</label>
+		<input type="number" id="cid" name="cid" class="form-control" placeholder="1" min="1" />
+	</div>
+	<div class="mb-3">
+		<label class="form-label" for="pages">Preview Pages</label>
+		<input type="text" id="pages" name="pages" class="form-control" placeholder="1-3,10" />
+	</div>
+</form>
@@ -0,0 +1,12 @@
+<li data-type="item" class="list-group-item">
+	<div class="d-flex gap-2 justify-content-between align-items-start">
+		<div class="flex-grow-1">
+			<strong>Category {./cid}</strong><br />
+			<small>Pages: {./pages}</small>
+		</div>
+		<div class="d-flex gap-1 flex-nowrap">
+			<button type="button" data-type="edit" class="btn btn-link btn-sm">Edit</button>
+			<button type="button" data-type="remove" class="btn btn-link btn-sm text-danger">Remove</button>
+		</div>
+	</div>
+</li>
@@ -1,3 +1,7 @@
+// pdf.js first - its viewer components read globalThis.pdfjsLib when evaluated
+import * as pdfjsLib from './lib/pdf.min.mjs';
+import * as pdfjsViewer from './lib/pdf_viewer.mjs';
+
 // IIFE to prevent global access to pdfDoc, pdfViewer
 (function () {
     'use strict';
@@ -30,7 +34,31 @@
         return originalToBlob.apply(this, arguments);
     };
 
-    pdfjsLib.GlobalWorkerOptions.workerSrc = '';
+    // Parse PDFs in a worker, bundled next to pdf.js (same cache-buster as this script)
+    const workerUrl = new URL('lib/pdf.worker.min.mjs', import.meta.url);
+    workerUrl.search = new URL(import.meta.url).search;
+    pdfjsLib.GlobalWorkerOptions.workerSrc = workerUrl.href;
+
+    // The viewer route embeds the config as JSON, inline scripts are blocked by its CSP
+    const configElement = document.getElementById('pdfSecureConfig');
+    if (configElement) {
+        window.PDF_SECURE_CONFIG = JSON.parse(configElement.textContent);
+        configElement.remove();
+    }
+
+    // Compact embeds (mode=compact) only page through the document - body.compact in viewer.css
+    const compactMode = !!(window.PDF_SECURE_CONFIG && window.PDF_SECURE_CONFIG.mode === 'compact');
+
+    // Interface strings in the user's language, sent along with the viewer config
+    const i18n = (window.PDF_SECURE_CONFIG && window.PDF_SECURE_CONFIG.i18n) || {};
+
+    // Translated string for a language file key, %1, %2... replaced by the arguments
+    function t(key, ...args) {
+        const text = i18n[key] || key;
+        return text.replace(/%(\d+)/g, (match, n) => (args[n - 1] !== undefined ? String(args[n - 1]) : match));
+    }
+
+    document.body.dataset.printBlocked = t('print-blocked');
 
     // State - now private, not accessible from console
     let pdfDoc = null;
@@ -42,8 +70,10 @@
     let isDrawing = false;
     let currentPath = null;
     let currentDrawingPage = null;
-    let pathSegments = [];
-    let drawRAF = null;
+
+    // RAF throttle for smooth drawing performance
+    let pathSegments = []; // Buffer path segments
+    let drawRAF = null; // requestAnimationFrame ID
 
     // Annotation persistence - stores SVG innerHTML per page
     const annotationsStore = new Map();
@@ -53,9 +83,8 @@
     const annotationAbortControllers = new Map();  // pageNum -> AbortController
 
     // Undo/Redo history stacks - per page
-    // Each entry: {nodes: Node[], rotation: number}
-    const undoStacks = new Map();  // pageNum -> [{nodes, rotation}, ...]
-    const redoStacks = new Map();  // pageNum -> [{nodes, rotation}, ...]
+    const undoStacks = new Map(); // pageNum -> [svgInnerHTML, ...]
+    const redoStacks = new Map(); // pageNum -> [svgInnerHTML, ...]
     const MAX_HISTORY = 30;
 
     // Store base dimensions (scale=1.0) for each page - ensures consistent coordinates
@@ -71,16 +100,24 @@
     const sidebar = document.getElementById('sidebar');
     const thumbnailContainer = document.getElementById('thumbnailContainer');
 
+    // Fonts are not compiled with eval - the viewer CSP does not allow it
+    const documentOptions = { isEvalSupported: false };
+
     // Initialize PDFViewer
     const eventBus = new pdfjsViewer.EventBus();
     const linkService = new pdfjsViewer.PDFLinkService({ eventBus });
+    const findController = new pdfjsViewer.PDFFindController({ eventBus, linkService });
 
     pdfViewer = new pdfjsViewer.PDFViewer({
         container: container,
         eventBus: eventBus,
         linkService: linkService,
+        findController: findController,
         removePageBorders: true,
-        textLayerMode: 2
+        textLayerMode: 2,
+        // Our own annotation tools replace pdf.js' editor (and its keyboard shortcuts)
+        annotationEditorMode: pdfjsLib.AnnotationEditorType.DISABLE,
+        imageResourcesPath: new URL('lib/images/', import.meta.url).href,
     });
     linkService.setViewer(pdfViewer);
 
@@ -117,12 +154,12 @@
         uploadOverlay.classList.add('hidden');
 
         const data = await file.arrayBuffer();
-        pdfDoc = await pdfjsLib.getDocument({ data }).promise;
+        pdfDoc = await pdfjsLib.getDocument({ ...documentOptions, data }).promise;
 
         pdfViewer.setDocument(pdfDoc);
         linkService.setDocument(pdfDoc);
 
-        ['zoomIn', 'zoomOut', 'pageInput', 'rotateLeft', 'rotateRight'].forEach(id => {
+        ['zoomIn', 'zoomOut', 'pageInput', 'rotateLeft', 'rotateRight', 'searchBtn'].forEach(id => {
             document.getElementById(id).disabled = false;
         });
 
@@ -133,18 +170,351 @@
     async function loadPDFFromBuffer(arrayBuffer) {
         uploadOverlay.classList.add('hidden');
 
-        pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        pdfDoc = await pdfjsLib.getDocument({ ...documentOptions, data: arrayBuffer }).promise;
 
         pdfViewer.setDocument(pdfDoc);
         linkService.setDocument(pdfDoc);
 
-        ['zoomIn', 'zoomOut', 'pageInput', 'rotateLeft', 'rotateRight'].forEach(id => {
+        ['zoomIn', 'zoomOut', 'pageInput', 'rotateLeft', 'rotateRight', 'searchBtn'].forEach(id => {
             document.getElementById(id).disabled = false;
         });
 
         // Thumbnails will be generated on-demand when sidebar opens
     }
 
+    // Load PDF through a range transport (chunked streaming of large files)
+    async function loadPDFFromRange(rangeTransport, chunkSize) {
+        uploadOverlay.classList.add('hidden');
+
+        pdfDoc = await pdfjsLib.getDocument({
+            ...documentOptions,
+            range: rangeTransport,
+            rangeChunkSize: chunkSize,
+            disableStream: true,
+        }).promise;
+
+        pdfViewer.setDocument(pdfDoc);
+        linkService.setDocument(pdfDoc);
+
+        ['zoomIn', 'zoomOut', 'pageInput', 'rotateLeft', 'rotateRight', 'searchBtn'].forEach(id => {
+            document.getElementById(id).disabled = false;
+        });
+    }
+
+    // ============================================
+    // IMAGE-ONLY MODE
+    // The server renders each page to a bitmap, so the browser never holds
+    // the PDF itself. The objects below stand in for PDFDocumentProxy and
+    // PDFViewer (only the parts this viewer uses), so zoom, rotation,
+    // thumbnails and annotations work unchanged.
+    // ============================================
+    const PDF_TO_CSS_UNITS = 96 / 72;
+    const IMAGE_WIDTH_STEP = 128; // round requested widths so zooming reuses bitmaps
+    const MAX_CACHED_PAGE_IMAGES = 12;
+
+    function getImageViewport(size, { scale = 1, rotation = 0 } = {}) {
+        const swap = rotation % 180 !== 0;
+        return {
+            width: (swap ? size.height : size.width) * scale,
+            height: (swap ? size.width : size.height) * scale,
+            scale: scale,
+            rotation: rotation,
+        };
+    }
+
+    // Exchange the nonce for an image session - returns a document-like object
+    // whose pages draw the decrypted server bitmaps
+    async function openImageSession(config) {
+        const pagesUrl = config.relativePath + '/api/v3/plugins/pdf-secure/pages';
+        const key = config.enc === 'aes-gcm' ? await importAesKey(config.dk) : null;
+
+        const openRes = await fetch(pagesUrl + '?nonce=' + encodeURIComponent(config.nonce), { credentials: 'same-origin' });
+        if (!openRes.ok) {
+            throw new Error(t('error-load-pdf', openRes.status));
+        }
+        const { session, pages, maxWidth } = await openRes.json();
+
+        // pageNum -> { width, bitmap }, least recently used first
+        const imageCache = new Map();
+
+        async function fetchPageImage(pageNum, width) {
+            width = Math.min(maxWidth, Math.ceil(width / IMAGE_WIDTH_STEP) * IMAGE_WIDTH_STEP);
+            const cached = imageCache.get(pageNum);
+            imageCache.delete(pageNum);
+            if (cached && cached.width >= width) {
+                imageCache.set(pageNum, cached);
+                return cached.bitmap;
+            }
+
+            const imageUrl = pagesUrl + '/' + encodeURIComponent(session) + '/' + pageNum + '?width=' + width;
+            const imageRes = await fetch(imageUrl, { credentials: 'same-origin' });
+            if (!imageRes.ok) {
+                throw new Error(t('error-load-page', imageRes.status));
+            }
+            let data = await imageRes.arrayBuffer();
+            if (key) {
+                data = await decryptAesGcm(data, key, session + ':page:' + pageNum);
+            } else if (config.dk) {
+                data = partialXorDecode(data, config.dk);
+            }
+            const bitmap = await createImageBitmap(new Blob([data], { type: 'image/jpeg' }));
+
+            imageCache.set(pageNum, { width, bitmap });
+            while (imageCache.size > MAX_CACHED_PAGE_IMAGES) {
+                imageCache.delete(imageCache.keys().next().value);
+            }
+            return bitmap;
+        }
+
+        // Bitmaps are unrotated - rotate them onto the target canvas
+        async function drawPageImage(pageNum, ctx, viewport) {
+            const size = pages[pageNum - 1];
+            const bitmap = await fetchPageImage(pageNum, size.width * viewport.scale);
+            const swap = viewport.rotation % 180 !== 0;
+            const w = swap ? viewport.height : viewport.width;
+            const h = swap ? viewport.width : viewport.height;
+
+            ctx.save();
+            ctx.translate(viewport.width / 2, viewport.height / 2);
+            ctx.rotate(viewport.rotation * Math.PI / 180);
+            ctx.drawImage(bitmap, -w / 2, -h / 2, w, h);
+            ctx.restore();
+        }
+
+        console.log('[PDF-Secure] Image-only mode,', pages.length, 'pages');
+        return {
+            numPages: pages.length,
+            getPage(pageNum) {
+                const size = pages[pageNum - 1];
+                if (!size) {
+                    return Promise.reject(new Error('Invalid page'));
+                }
+                return Promise.resolve({
+                    pageNumber: pageNum,
+                    getViewport: (params) => getImageViewport(size, params),
+                    render: ({ canvasContext, viewport }) => ({
+                        promise: drawPageImage(pageNum, canvasContext, viewport),
+                    }),
+                });
+            },
+        };
+    }
+
+    // Minimal PDFViewer replacement for image documents: lays out page divs,
+    // renders the visible ones and fires the same eventBus events
+    function createImagePageViewer() {
+        const viewerEl = document.getElementById('viewer');
+        const pageViews = [];
+        const visibleViews = new Set();
+        let scale = 1;
+        let scaleValue = '1';
+        let rotation = 0;
+        let currentPage = 1;
+        let renderGeneration = 0;
+
+        function layoutPage(view) {
+            const viewport = view.page.getViewport({ scale: scale * PDF_TO_CSS_UNITS, rotation });
+            view.div.style.width = Math.floor(viewport.width) + 'px';
+            view.div.style.height = Math.floor(viewport.height) + 'px';
+        }
+
+        async function renderPage(view) {
+            if (view.generation === renderGeneration) return;
+            const generation = renderGeneration;
+            view.generation = generation;
+
+            const outputScale = window.devicePixelRatio || 1;
+            const viewport = view.page.getViewport({ scale: scale * PDF_TO_CSS_UNITS * outputScale, rotation });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.floor(viewport.width);
+            canvas.height = Math.floor(viewport.height);
+            canvas.style.width = '100%';
+            canvas.style.height = '100%';
+
+            try {
+                await view.page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            } catch (err) {
+                view.generation = null;
+                console.error('[PDF-Secure] Page image failed:', err);
+                return;
+            }
+
+            // Zoomed or rotated while the image was loading - a newer render follows
+            if (generation !== renderGeneration) {
+                if (view.generation === generation) view.generation = null;
+                return;
+            }
+
+            // The previous canvas stays (stretched) until the sharper one is ready
+            view.wrapper.replaceChildren(canvas);
+            eventBus.dispatch('pagerendered', { source: view, pageNumber: view.id, cssTransform: false, timestamp: Date.now(), error: null });
+        }
+
+        function getScrollAnchor() {
+            const view = pageViews[currentPage - 1];
+            if (!view) return null;
+            return { view, offset: (container.scrollTop - view.div.offsetTop) / view.div.offsetHeight };
+        }
+
+        function relayout() {
+            const anchor = getScrollAnchor();
+            renderGeneration++;
+            viewerEl.style.setProperty('--scale-factor', scale * PDF_TO_CSS_UNITS);
+            pageViews.forEach(layoutPage);
+            if (anchor) {
+                container.scrollTop = anchor.view.div.offsetTop + (anchor.offset * anchor.view.div.offsetHeight);
+            }
+            visibleViews.forEach(renderPage);
+        }
+
+        function updateCurrentPage() {
+            const viewTop = container.scrollTop;
+            const viewBottom = viewTop + container.clientHeight;
+            let best = null;
+            let bestVisible = 0;
+            pageViews.forEach(view => {
+                if (!visibleViews.has(view)) return;
+                const top = view.div.offsetTop;
+                const visible = Math.min(viewBottom, top + view.div.offsetHeight) - Math.max(viewTop, top);
+                if (visible > bestVisible) {
+                    best = view;
+                    bestVisible = visible;
+                }
+            });
+            if (best && best.id !== currentPage) {
+                currentPage = best.id;
+                eventBus.dispatch('pagechanging', { source: viewer, pageNumber: currentPage });
+            }
+        }
+
+        function getPageWidthScale() {
+            const view = pageViews[currentPage - 1];
+            const viewport = view.page.getViewport({ scale: PDF_TO_CSS_UNITS, rotation });
+            return container.clientWidth / viewport.width;
+        }
+
+        function getPageFitScale() {
+            const view = pageViews[currentPage - 1];
+            const viewport = view.page.getViewport({ scale: PDF_TO_CSS_UNITS, rotation });
+            return Math.min(container.clientWidth / viewport.width, container.clientHeight / viewport.height);
+        }
+
+        function setScale(newScale, presetValue) {
+            if (!Number.isFinite(newScale) || newScale <= 0) return;
+            scale = Math.min(10, Math.max(0.1, newScale));
+            scaleValue = presetValue || String(scale);
+            relayout();
+            eventBus.dispatch('scalechanging', { source: viewer, scale, presetValue });
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const view = pageViews[parseInt(entry.target.dataset.pageNumber) - 1];
+                if (entry.isIntersecting) {
+                    visibleViews.add(view);
+                    renderPage(view);
+                } else {
+                    visibleViews.delete(view);
+                }
+            });
+            updateCurrentPage();
+        }, { root: container, rootMargin: '50% 0px' });
+
+        let scrollRAF = null;
+        container.addEventListener('scroll', () => {
+            if (scrollRAF) return;
+            scrollRAF = requestAnimationFrame(() => {
+                scrollRAF = null;
+                updateCurrentPage();
+            });
+        });
+
+        const viewer = {
+            async setDocument(doc) {
+                const pages = await Promise.all(
+                    Array.from({ length: doc.numPages }, (_, i) => doc.getPage(i + 1))
+                );
+                viewerEl.replaceChildren();
+                pages.forEach((page, index) => {
+                    const i = index + 1;
+                    const div = document.createElement('div');
+                    div.className = 'page';
+                    div.dataset.pageNumber = i;
+                    div.dataset.loaded = 'true';
+                    const wrapper = document.createElement('div');
+                    wrapper.className = 'canvasWrapper';
+                    div.appendChild(wrapper);
+                    viewerEl.appendChild(div);
+
+                    const view = { id: i, div, wrapper, page, generation: null };
+                    layoutPage(view);
+                    pageViews.push(view);
+                });
+                pageViews.forEach(view => observer.observe(view.div));
+                eventBus.dispatch('pagesinit', { source: viewer });
+            },
+            getPageView(index) {
+                return pageViews[index];
+            },
+            get pagesCount() {
+                return pageViews.length;
+            },
+            get currentPageNumber() {
+                return currentPage;
+            },
+            set currentPageNumber(pageNum) {
+                const view = pageViews[pageNum - 1];
+                if (!view) return;
+                container.scrollTop = view.div.offsetTop;
+                if (pageNum !== currentPage) {
+                    currentPage = pageNum;
+                    eventBus.dispatch('pagechanging', { source: viewer, pageNumber: pageNum });
+                }
+            },
+            get currentScale() {
+                return scale;
+            },
+            set currentScale(value) {
+                setScale(value);
+            },
+            get currentScaleValue() {
+                return scaleValue;
+            },
+            set currentScaleValue(value) {
+                if (!pageViews.length) return;
+                if (value === 'page-width' || value === 'auto') {
+                    setScale(getPageWidthScale(), value);
+                } else if (value === 'page-fit') {
+                    setScale(getPageFitScale(), value);
+                } else {
+                    setScale(parseFloat(value));
+                }
+            },
+            get pagesRotation() {
+                return rotation;
+            },
+            set pagesRotation(value) {
+                rotation = ((value % 360) + 360) % 360;
+                relayout();
+                eventBus.dispatch('rotationchanging', { source: viewer, pagesRotation: rotation, pageNumber: currentPage });
+            },
+        };
+        return viewer;
+    }
+
+    // Load a server-rendered image document (image-only delivery mode)
+    async function loadPageImages(imageDoc) {
+        uploadOverlay.classList.add('hidden');
+
+        pdfDoc = imageDoc;
+        pdfViewer = createImagePageViewer();
+        await pdfViewer.setDocument(pdfDoc);
+
+        ['zoomIn', 'zoomOut', 'pageInput', 'rotateLeft', 'rotateRight'].forEach(id => {
+            document.getElementById(id).disabled = false;
+        });
+    }
+
     // Partial XOR decoder - must match backend encoding
     function partialXorDecode(encodedData, keyBase64) {
         const key = Uint8Array.from(atob(keyBase64), c => c.charCodeAt(0));
@@ -165,6 +535,838 @@
         return data.buffer;
     }
 
+    // AES-256-GCM - payload is IV (12 bytes) | ciphertext | tag,
+    // authenticated with additional data (nonce, or session:offset for chunks)
+    async function importAesKey(keyBase64) {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error(t('error-https'));
+        }
+        const keyBytes = Uint8Array.from(atob(keyBase64), c => c.charCodeAt(0));
+        return crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['decrypt']);
+    }
+
+    function decryptAesGcm(encryptedData, key, aad) {
+        return crypto.subtle.decrypt({
+            name: 'AES-GCM',
+            iv: new Uint8Array(encryptedData, 0, 12),
+            additionalData: new TextEncoder().encode(aad),
+        }, key, new Uint8Array(encryptedData, 12));
+    }
+
+    async function aesGcmDecrypt(encryptedData, keyBase64, nonce) {
+        return decryptAesGcm(encryptedData, await importAesKey(keyBase64), nonce);
+    }
+
+    // Exchange the nonce for a stream session and wire it into PDF.js's range
+    // transport - only the requested encrypted chunks are downloaded
+    async function openSecureStream(config) {
+        const streamUrl = config.relativePath + '/api/v3/plugins/pdf-secure/pdf-stream';
+        const key = await importAesKey(config.dk);
+
+        const openRes = await fetch(streamUrl + '?nonce=' + encodeURIComponent(config.nonce), { credentials: 'same-origin' });
+        if (!openRes.ok) {
+            throw new Error(t('error-load-pdf', openRes.status));
+        }
+        const { session, length, chunkSize } = await openRes.json();
+
+        async function fetchRange(begin, end) {
+            const rangeUrl = streamUrl + '/' + encodeURIComponent(session) + '?start=' + begin + '&end=' + end;
+            const rangeRes = await fetch(rangeUrl, { credentials: 'same-origin' });
+            if (!rangeRes.ok) {
+                throw new Error(t('error-load-pdf', rangeRes.status));
+            }
+            const decrypted = await decryptAesGcm(await rangeRes.arrayBuffer(), key, session + ':' + begin);
+            return new Uint8Array(decrypted);
+        }
+
+        // Large requests are answered in parts - keep asking until the range is complete
+        async function deliverRange(begin, end) {
+            const data = await fetchRange(begin, end);
+            if (!data.byteLength) throw new Error(t('error-load-pdf', 416));
+            rangeTransport.onDataRange(begin, data);
+            if (begin + data.byteLength < end) {
+                await deliverRange(begin + data.byteLength, end);
+            }
+        }
+
+        // First chunk up front - holds the header and usually the first page
+        const initialData = await fetchRange(0, Math.min(chunkSize, length));
+        const rangeTransport = new pdfjsLib.PDFDataRangeTransport(length, initialData);
+        rangeTransport.requestDataRange = function (begin, end) {
+            deliverRange(begin, end)
+                .catch(err => console.error('[PDF-Secure] Range request failed:', err));
+        };
+
+        console.log('[PDF-Secure] Streaming', length, 'bytes in', chunkSize, 'byte chunks');
+        return { rangeTransport, chunkSize };
+    }
+
+    // ============================================
+    // TEXT HIGHLIGHT STORAGE
+    // Highlights are kept in localStorage per user and document (content
+    // hash) as rects in fractions of the unrotated page: { x, y, w, h, c }.
+    // The least recently opened documents are dropped when storage runs out.
+    // ============================================
+    const HIGHLIGHT_KEY_PREFIX = 'pdfSecure:highlights:';
+    const MAX_HIGHLIGHT_DOCUMENTS = 200;
+    let highlightStoreKey = null; // null - highlights are kept for this session only
+    let highlightDoc = { pages: {} };
+
+    function readHighlightDocument(key) {
+        try {
+            const doc = JSON.parse(localStorage.getItem(key));
+            return doc && typeof doc.pages === 'object' ? doc : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Stored highlight documents of every user and file, least recently used first
+    function listHighlightDocuments() {
+        const docs = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(HIGHLIGHT_KEY_PREFIX) && key !== highlightStoreKey) {
+                docs.push({ key, lastUsed: readHighlightDocument(key)?.lastUsed || 0 });
+            }
+        }
+        return docs.sort((a, b) => a.lastUsed - b.lastUsed);
+    }
+
+    function persistHighlights() {
+        if (!highlightStoreKey) return;
+        try {
+            if (!Object.keys(highlightDoc.pages).length) {
+                localStorage.removeItem(highlightStoreKey);
+                return;
+            }
+
+            highlightDoc.lastUsed = Date.now();
+            const value = JSON.stringify(highlightDoc);
+            const others = listHighlightDocuments();
+            while (others.length >= MAX_HIGHLIGHT_DOCUMENTS) {
+                localStorage.removeItem(others.shift().key);
+            }
+            for (;;) {
+                try {
+                    localStorage.setItem(highlightStoreKey, value);
+                    return;
+                } catch (err) {
+                    // Quota exceeded - make room by dropping the oldest document
+                    if (!others.length) throw err;
+                    localStorage.removeItem(others.shift().key);
+                }
+            }
+        } catch (err) {
+            console.warn('[PDF-Secure] Could not save highlights:', err.message);
+        }
+    }
+
+    // Highlights used to be stored as `textHighlight_<page>` markup shared by
+    // every document - nothing tells which document they belong to, so they are dropped
+    function dropLegacyHighlights() {
+        const legacyKeys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (/^textHighlight_\d+$/.test(key)) legacyKeys.push(key);
+        }
+        legacyKeys.forEach(key => localStorage.removeItem(key));
+    }
+
+    function openHighlightDocument(config) {
+        if (!config.fileId) return;
+        try {
+            highlightStoreKey = HIGHLIGHT_KEY_PREFIX + (config.uid || 0) + ':' + config.fileId;
+            highlightDoc = readHighlightDocument(highlightStoreKey) || { pages: {} };
+            dropLegacyHighlights();
+            if (Object.keys(highlightDoc.pages).length) {
+                persistHighlights(); // also marks the document as recently used
+            }
+        } catch (err) {
+            // Storage disabled - keep highlights for this session only
+            highlightStoreKey = null;
+        }
+    }
+
+    // ============================================
+    // BOOKMARK STORAGE
+    // Bookmarks are kept in localStorage next to the highlights, per user
+    // and document: [{ page, title }] sorted by page
+    // ============================================
+    const BOOKMARK_KEY_PREFIX = 'pdfSecure:bookmarks:';
+    let bookmarkStoreKey = null; // null - bookmarks are kept for this session only
+    let bookmarks = [];
+
+    function openBookmarks(config) {
+        if (!config.fileId) return;
+        try {
+            bookmarkStoreKey = BOOKMARK_KEY_PREFIX + (config.uid || 0) + ':' + config.fileId;
+            const saved = JSON.parse(localStorage.getItem(bookmarkStoreKey));
+            bookmarks = Array.isArray(saved) ? saved.filter(b => Number.isInteger(b.page) && typeof b.title === 'string') : [];
+        } catch (err) {
+            bookmarkStoreKey = null;
+            bookmarks = [];
+        }
+    }
+
+    function persistBookmarks() {
+        if (!bookmarkStoreKey) return;
+        try {
+            if (bookmarks.length) {
+                localStorage.setItem(bookmarkStoreKey, JSON.stringify(bookmarks));
+            } else {
+                localStorage.removeItem(bookmarkStoreKey);
+            }
+        } catch (err) {
+            console.warn('[PDF-Secure] Could not save bookmarks:', err.message);
+        }
+    }
+
+    // ============================================
+    // ANNOTATION SYNC
+    // Logged-in users' annotations are stored on the server per file and
+    // page; changes are saved shortly after the last edit of a page
+    // ============================================
+    const ANNOTATION_SAVE_DELAY = 1500;
+    const pendingAnnotationSaves = new Map(); // pageNum -> timeout id
+
+    // Markup from the server is rebuilt node by node from the elements and
+    // attributes the drawing tools produce (mirrors lib/annotations.js)
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const SAFE_SVG_TAGS = ['g', 'path', 'rect', 'ellipse', 'circle', 'line', 'polyline', 'polygon', 'text', 'tspan'];
+    const SVG_NUMBER = /^\s*-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?\s*$/i;
+    const SVG_COLOR = /^\s*(?:[a-z]+|#[0-9a-f]{3}|#[0-9a-f]{6}|rgba?\(\s*[\d.]+(?:\s*,\s*[\d.]+){2,3}\s*\))\s*$/i;
+    const SAFE_SVG_ATTRIBUTES = {
+        x: SVG_NUMBER, y: SVG_NUMBER, x1: SVG_NUMBER, y1: SVG_NUMBER, x2: SVG_NUMBER, y2: SVG_NUMBER,
+        cx: SVG_NUMBER, cy: SVG_NUMBER, r: SVG_NUMBER, rx: SVG_NUMBER, ry: SVG_NUMBER,
+        width: SVG_NUMBER, height: SVG_NUMBER, 'stroke-width': SVG_NUMBER, 'font-size': SVG_NUMBER,
+        opacity: SVG_NUMBER, 'stroke-opacity': SVG_NUMBER, 'fill-opacity': SVG_NUMBER,
+        points: /^[\d\s,.e+-]*$/i,
+        d: /^[mlhvcsqtaz\d\s,.e+-]*$/i,
+        transform: /^(?:\s*(?:matrix|translate|scale|rotate|skewx|skewy)\s*\([\d\s,.e+-]*\)\s*,?)*\s*$/i,
+        stroke: SVG_COLOR, fill: SVG_COLOR,
+        'stroke-linecap': /^(?:butt|round|square)$/,
+        'stroke-linejoin': /^(?:miter|round|bevel)$/,
+        'text-anchor': /^(?:start|middle|end)$/,
+        'font-family': /^[\w\s,'"-]*$/,
+        class: /^[\w\s-]*$/,
+    };
+
+    // Annotation markup -> fragment of safe SVG nodes (parsed in an inert document)
+    function buildSafeSvg(markup) {
+        const fragment = document.createDocumentFragment();
+        const parsed = new DOMParser().parseFromString(`<svg xmlns="${SVG_NS}">${markup || ''}</svg>`, 'text/html');
+        const copyChildren = (source, target) => {
+            source.childNodes.forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    target.appendChild(document.createTextNode(node.data));
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE || node.namespaceURI !== SVG_NS ||
+                    !SAFE_SVG_TAGS.includes(node.localName)) return;
+                const el = document.createElementNS(SVG_NS, node.localName);
+                Array.from(node.attributes).forEach(attr => {
+                    if (attr.namespaceURI || !Object.hasOwn(SAFE_SVG_ATTRIBUTES, attr.name)) return;
+                    if (SAFE_SVG_ATTRIBUTES[attr.name].test(attr.value)) el.setAttribute(attr.name, attr.value);
+                });
+                copyChildren(node, el);
+                target.appendChild(el);
+            });
+        };
+        const root = parsed.body.querySelector('svg');
+        if (root) copyChildren(root, fragment);
+        return fragment;
+    }
+
+    // Same, as markup for the annotation store
+    function sanitizeSvg(markup) {
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.appendChild(buildSafeSvg(markup));
+        return group.innerHTML;
+    }
+
+    let annotationApiUrl = null; // set for logged-in users once a document is opened
+    let annotationCsrfToken = '';
+
+    async function loadSavedAnnotations(config) {
+        if (!config.uid) return;
+        annotationApiUrl = config.relativePath + '/api/v3/plugins/pdf-secure/annotations/' + encodeURIComponent(config.filename);
+        annotationCsrfToken = config.csrfToken;
+
+        try {
+            const res = await fetch(annotationApiUrl, { credentials: 'same-origin' });
+            if (!res.ok) {
+                throw new Error('HTTP ' + res.status);
+            }
+            const { response } = await res.json();
+            Object.entries(response.pages || {}).forEach(([page, data]) => {
+                const pageNum = parseInt(page);
+                annotationsStore.set(pageNum, sanitizeSvg(data.svg));
+                annotationRotations.set(pageNum, data.rotation || 0);
+            });
+            shareLayerToggle.checked = !!response.shared;
+            document.getElementById('shareLayerItem').hidden = false;
+            document.getElementById('layerPanel').hidden = false;
+            refreshNotesList();
+        } catch (err) {
+            console.warn('[PDF-Secure] Could not load saved annotations:', err.message);
+        }
+    }
+
+    function sendAnnotationPage(pageNum, keepalive) {
+        const svg = annotationsStore.get(pageNum) || '';
+        return fetch(annotationApiUrl + '/' + pageNum, {
+            method: svg ? 'PUT' : 'DELETE',
+            credentials: 'same-origin',
+            keepalive: !!keepalive,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-csrf-token': annotationCsrfToken,
+            },
+            body: svg ? JSON.stringify({ svg, rotation: annotationRotations.get(pageNum) || 0 }) : undefined,
+        }).then(res => {
+            if (!res.ok) {
+                throw new Error('HTTP ' + res.status);
+            }
+        }).catch(err => console.warn('[PDF-Secure] Annotation save failed:', err.message));
+    }
+
+    function scheduleAnnotationSave(pageNum) {
+        sendLivePage(pageNum);
+        refreshNotesList();
+        if (!annotationApiUrl) return;
+        clearTimeout(pendingAnnotationSaves.get(pageNum));
+        pendingAnnotationSaves.set(pageNum, setTimeout(() => {
+            pendingAnnotationSaves.delete(pageNum);
+            sendAnnotationPage(pageNum);
+        }, ANNOTATION_SAVE_DELAY));
+    }
+
+    // Send pending saves right away when the viewer is hidden or closed
+    function flushAnnotationSaves() {
+        const saves = [];
+        pendingAnnotationSaves.forEach((timer, pageNum) => {
+            clearTimeout(timer);
+            saves.push(sendAnnotationPage(pageNum, true));
+        });
+        pendingAnnotationSaves.clear();
+        return Promise.all(saves);
+    }
+
+    // ============================================
+    // SHARED LAYERS
+    // Users can publish their annotations for a file; other readers of the
+    // post toggle them on as read-only overlays in the author's color
+    // ============================================
+    const sharedLayers = new Map(); // uid -> { color, pages, visible }
+    let layerApiUrl = null;
+
+    async function loadSharedLayers(config) {
+        layerApiUrl = config.relativePath + '/api/v3/plugins/pdf-secure/annotations/' + encodeURIComponent(config.filename);
+        try {
+            const res = await fetch(layerApiUrl + '/layers', { credentials: 'same-origin' });
+            if (!res.ok) {
+                throw new Error('HTTP ' + res.status);
+            }
+            const { response } = await res.json();
+            renderLayerList(response.layers || []);
+        } catch (err) {
+            console.warn('[PDF-Secure] Could not load shared layers:', err.message);
+        }
+    }
+
+    function renderLayerList(layers) {
+        const list = document.getElementById('layerList');
+        list.replaceChildren();
+
+        if (!layers.length) {
+            const empty = document.createElement('div');
+            empty.className = 'layerEmpty';
+            empty.textContent = t('no-shared-layers');
+            list.appendChild(empty);
+        }
+
+        layers.forEach(layer => {
+            const item = document.createElement('label');
+            item.className = 'layerItem';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.onchange = () => toggleSharedLayer(layer, checkbox);
+            const swatch = document.createElement('span');
+            swatch.className = 'layerSwatch';
+            swatch.style.background = layer.color;
+            const name = document.createElement('span');
+            name.textContent = layer.username;
+            item.append(checkbox, swatch, name);
+            list.appendChild(item);
+        });
+
+        // Logged-in users always see the panel for the publish toggle
+        document.getElementById('layerPanel').hidden = !layers.length && !annotationApiUrl;
+    }
+
+    async function toggleSharedLayer(layer, checkbox) {
+        let entry = sharedLayers.get(layer.uid);
+        if (checkbox.checked && !entry) {
+            try {
+                const res = await fetch(layerApiUrl + '/layers/' + layer.uid, { credentials: 'same-origin' });
+                if (!res.ok) {
+                    throw new Error('HTTP ' + res.status);
+                }
+                const { response } = await res.json();
+                entry = { color: layer.color, pages: response.pages || {}, visible: false };
+                sharedLayers.set(layer.uid, entry);
+            } catch (err) {
+                console.warn('[PDF-Secure] Could not load layer:', err.message);
+                checkbox.checked = false;
+                return;
+            }
+        }
+        if (!entry) return;
+
+        entry.visible = checkbox.checked;
+        for (let pageNum = 1; pageNum <= pdfViewer.pagesCount; pageNum++) {
+            renderSharedLayers(pageNum);
+        }
+    }
+
+    // SVG transform from the rotation a layer was saved at to the current one
+    function getRotationTransform(savedRot, curRot, width, height) {
+        const delta = (curRot - savedRot + 360) % 360;
+        if (!delta) return null;
+
+        const swap = savedRot === 90 || savedRot === 270;
+        const oW = swap ? height : width;
+        const oH = swap ? width : height;
+        if (delta === 90) return `translate(${oH},0) rotate(90)`;
+        if (delta === 180) return `translate(${oW},${oH}) rotate(180)`;
+        return `translate(0,${oW}) rotate(270)`;
+    }
+
+    // Nodes inside a group with the rotation transform, if there is one
+    function wrapRotation(nodes, transform) {
+        if (!transform) return nodes;
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('transform', transform);
+        group.appendChild(nodes);
+        return group;
+    }
+
+    async function renderSharedLayers(pageNum) {
+        const pageDiv = pdfViewer.getPageView(pageNum - 1)?.div;
+        if (!pageDiv) return;
+        pageDiv.querySelectorAll('.sharedLayer').forEach(el => el.remove());
+
+        const visibleLayers = Array.from(sharedLayers.entries())
+            .filter(([, layer]) => layer.visible && layer.pages[pageNum]);
+        if (!visibleLayers.length) return;
+
+        const rotation = pdfViewer.pagesRotation || 0;
+        const page = await pdfDoc.getPage(pageNum);
+        const unrotated = page.getViewport({ scale: 1.0 });
+        const viewport = page.getViewport({ scale: 1.0, rotation });
+
+        visibleLayers.forEach(([uid, layer]) => {
+            const saved = layer.pages[pageNum];
+            const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            svg.setAttribute('class', 'sharedLayer');
+            svg.setAttribute('viewBox', `0 0 ${viewport.width} ${viewport.height}`);
+            svg.setAttribute('preserveAspectRatio', 'none');
+            svg.style.setProperty('--layer-color', layer.color);
+            svg.dataset.uid = uid;
+
+            // Another user's markup - only ever inserted as rebuilt nodes
+            const transform = getRotationTransform(saved.rotation || 0, rotation, unrotated.width, unrotated.height);
+            svg.appendChild(wrapRotation(buildSafeSvg(saved.svg), transform));
+            pageDiv.appendChild(svg);
+        });
+    }
+
+    eventBus.on('pagerendered', (evt) => {
+        renderSharedLayers(evt.pageNumber);
+    });
+
+    // Publish / unpublish the user's own layer
+    const shareLayerToggle = document.getElementById('shareLayerToggle');
+    shareLayerToggle.onchange = async () => {
+        const shared = shareLayerToggle.checked;
+        try {
+            const res = await fetch(annotationApiUrl + '/shared', {
+                method: shared ? 'PUT' : 'DELETE',
+                credentials: 'same-origin',
+                headers: { 'x-csrf-token': annotationCsrfToken },
+            });
+            if (!res.ok) {
+                throw new Error('HTTP ' + res.status);
+            }
+        } catch (err) {
+            console.warn('[PDF-Secure] Could not update layer sharing:', err.message);
+            shareLayerToggle.checked = !shared;
+        }
+    };
+
+    // ============================================
+    // LIVE SESSION
+    // Co-annotation with other readers of the post over the forum's socket
+    // (relayed by the embedding page): elements appear while they are drawn,
+    // with presence cursors and "follow the presenter" page sync
+    // ============================================
+    const LIVE_STROKE_INTERVAL = 50; // ms between updates of an element being drawn
+    const LIVE_CURSOR_INTERVAL = 100;
+    const LIVE_CURSOR_TIMEOUT = 10000; // hide the cursor of an idle participant
+    const liveParticipants = new Map(); // uid -> { user, page, pages, strokes, cursorTimer }
+    const liveRequests = new Map(); // requestId -> { resolve, reject }
+    let liveFile = null; // set for logged-in users inside a forum page
+    let liveJoined = false;
+    let liveRequestId = 0;
+    let liveStrokeId = null;
+    let liveStrokePage = null;
+    let liveStrokeCount = 0;
+    let liveStrokeTimer = null;
+    let liveStrokeSentAt = 0;
+    let liveCursorSentAt = 0;
+    let followUid = null;
+
+    function setupLiveSession(config) {
+        // Only a viewer embedded in the forum has a socket to share
+        if (!config.uid || window.parent === window) return;
+        liveFile = config.filename;
+        document.getElementById('livePanel').hidden = false;
+    }
+
+    function liveSend(event, payload) {
+        if (!liveJoined) return;
+        window.parent.postMessage({
+            type: 'pdf-secure-live',
+            event,
+            payload: { ...payload, filename: liveFile },
+        }, window.location.origin);
+    }
+
+    function liveRequest(event, payload) {
+        return new Promise((resolve, reject) => {
+            const requestId = ++liveRequestId;
+            liveRequests.set(requestId, { resolve, reject });
+            window.parent.postMessage({ type: 'pdf-secure-live', event, payload, requestId }, window.location.origin);
+        });
+    }
+
+    function sendLivePage(pageNum) {
+        liveSend('page', {
+            page: pageNum,
+            rotation: annotationRotations.get(pageNum) || 0,
+            svg: annotationsStore.get(pageNum) || '',
+        });
+    }
+
+    // Bring new participants up to date with this viewer's layer and page
+    function announceLiveState() {
+        annotationsStore.forEach((svg, pageNum) => sendLivePage(pageNum));
+        if (pdfViewer && pdfViewer.pagesCount) {
+            liveSend('navigate', { page: pdfViewer.currentPageNumber });
+        }
+    }
+
+    // The element being drawn, at most every LIVE_STROKE_INTERVAL
+    function sendLiveStroke() {
+        if (!liveJoined || !currentSvg || !currentDrawingPage) return;
+
+        const wait = LIVE_STROKE_INTERVAL - (Date.now() - liveStrokeSentAt);
+        if (wait > 0) {
+            if (!liveStrokeTimer) {
+                liveStrokeTimer = setTimeout(() => {
+                    liveStrokeTimer = null;
+                    sendLiveStroke();
+                }, wait);
+            }
+            return;
+        }
+
+        const el = currentPath || currentSvg.querySelector('.current-shape');
+        if (!el) return;
+        const clone = el.cloneNode(false);
+        clone.removeAttribute('class');
+        if (el === currentPath && pathSegments.length) {
+            // Segments not yet flushed by the animation frame
+            clone.setAttribute('d', currentPath.getAttribute('d') + ' ' + pathSegments.join(' '));
+        }
+
+        if (!liveStrokeId) {
+            liveStrokeId = String(++liveStrokeCount);
+            liveStrokePage = currentDrawingPage;
+        }
+        liveStrokeSentAt = Date.now();
+        liveSend('stroke', {
+            page: liveStrokePage,
+            rotation: pdfViewer.pagesRotation || 0,
+            id: liveStrokeId,
+            svg: clone.outerHTML,
+        });
+    }
+
+    // Sent after the page itself, so the finished element does not flicker
+    function endLiveStroke() {
+        clearTimeout(liveStrokeTimer);
+        liveStrokeTimer = null;
+        if (!liveStrokeId) return;
+        liveSend('stroke', { page: liveStrokePage, rotation: pdfViewer.pagesRotation || 0, id: liveStrokeId });
+        liveStrokeId = null;
+        liveStrokePage = null;
+    }
+
+    function getLiveParticipant(uid) {
+        if (!liveParticipants.has(uid)) {
+            liveParticipants.set(uid, {
+                user: { uid, username: '', color: '#888888' },
+                page: null,
+                pages: new Map(), // pageNum -> { svg, rotation }
+                strokes: new Map(), // stroke id -> { page, svg, rotation }
+                cursorTimer: null,
+            });
+        }
+        return liveParticipants.get(uid);
+    }
+
+    function removeLiveParticipant(uid) {
+        const participant = liveParticipants.get(uid);
+        if (participant) clearTimeout(participant.cursorTimer);
+        liveParticipants.delete(uid);
+        document.querySelectorAll(`.liveLayer[data-uid="${uid}"], .liveCursor[data-uid="${uid}"]`).forEach(el => el.remove());
+        if (followUid === uid) followUid = null;
+    }
+
+    function setLiveParticipants(users) {
+        users.forEach(user => {
+            getLiveParticipant(user.uid).user = user;
+        });
+        renderLiveParticipants();
+    }
+
+    function renderLiveParticipants() {
+        const list = document.getElementById('liveParticipants');
+        list.replaceChildren();
+        if (!liveJoined) return;
+
+        if (!liveParticipants.size) {
+            const empty = document.createElement('div');
+            empty.className = 'layerEmpty';
+            empty.textContent = t('no-participants');
+            list.appendChild(empty);
+        }
+
+        liveParticipants.forEach((participant, uid) => {
+            const item = document.createElement('div');
+            item.className = 'layerItem';
+            const swatch = document.createElement('span');
+            swatch.className = 'layerSwatch';
+            swatch.style.background = participant.user.color;
+            const name = document.createElement('span');
+            name.textContent = participant.user.username;
+            const follow = document.createElement('button');
+            follow.className = 'liveFollowBtn' + (followUid === uid ? ' active' : '');
+            follow.textContent = followUid === uid ? t('following') : t('follow');
+            follow.onclick = () => {
+                followUid = followUid === uid ? null : uid;
+                if (followUid && participant.page) goToLivePage(participant.page);
+                renderLiveParticipants();
+            };
+            item.append(swatch, name, follow);
+            list.appendChild(item);
+        });
+    }
+
+    function goToLivePage(pageNum) {
+        if (pageNum >= 1 && pageNum <= pdfViewer.pagesCount && pdfViewer.currentPageNumber !== pageNum) {
+            pdfViewer.currentPageNumber = pageNum;
+        }
+    }
+
+    // One overlay per participant and page: their page state plus elements in progress
+    async function renderLiveLayer(uid, pageNum) {
+        const participant = liveParticipants.get(uid);
+        if (!participant || !pdfDoc || !pdfViewer.getPageView(pageNum - 1)) return;
+
+        const items = [];
+        const saved = participant.pages.get(pageNum);
+        if (saved && saved.svg) items.push(saved);
+        participant.strokes.forEach(stroke => {
+            if (stroke.page === pageNum) items.push(stroke);
+        });
+
+        const rotation = pdfViewer.pagesRotation || 0;
+        const page = await pdfDoc.getPage(pageNum);
+        const unrotated = page.getViewport({ scale: 1.0 });
+        const viewport = page.getViewport({ scale: 1.0, rotation });
+
+        const pageDiv = pdfViewer.getPageView(pageNum - 1)?.div;
+        if (!pageDiv) return;
+        let svg = pageDiv.querySelector(`.liveLayer[data-uid="${uid}"]`);
+        if (!items.length) {
+            if (svg) svg.remove();
+            return;
+        }
+        if (!svg) {
+            svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            svg.setAttribute('class', 'liveLayer');
+            svg.setAttribute('preserveAspectRatio', 'none');
+            svg.dataset.uid = uid;
+            pageDiv.appendChild(svg);
+        }
+        svg.setAttribute('viewBox', `0 0 ${viewport.width} ${viewport.height}`);
+        svg.replaceChildren(...items.map(item => {
+            const transform = getRotationTransform(item.rotation || 0, rotation, unrotated.width, unrotated.height);
+            return wrapRotation(buildSafeSvg(item.svg), transform);
+        }));
+    }
+
+    // Cursor positions travel as fractions of the unrotated page
+    function renderLiveCursor(uid, pageNum, x, y) {
+        const participant = liveParticipants.get(uid);
+        if (!participant) return;
+        clearTimeout(participant.cursorTimer);
+
+        let cursor = document.querySelector(`.liveCursor[data-uid="${uid}"]`);
+        const pageDiv = x !== null && y !== null && pdfViewer.getPageView(pageNum - 1)?.div;
+        if (!pageDiv) {
+            if (cursor) cursor.remove();
+            return;
+        }
+        if (!cursor) {
+            cursor = document.createElement('div');
+            cursor.className = 'liveCursor';
+            cursor.dataset.uid = uid;
+            const label = document.createElement('span');
+            label.textContent = participant.user.username;
+            cursor.appendChild(label);
+        }
+        cursor.style.setProperty('--layer-color', participant.user.color);
+        if (cursor.parentNode !== pageDiv) pageDiv.appendChild(cursor);
+
+        const point = rotateRect({ x, y, w: 0, h: 0 }, pdfViewer.pagesRotation || 0);
+        cursor.style.left = (point.x * 100) + '%';
+        cursor.style.top = (point.y * 100) + '%';
+        participant.cursorTimer = setTimeout(() => cursor.remove(), LIVE_CURSOR_TIMEOUT);
+    }
+
+    function handleLiveEvent(data) {
+        if (data.type === 'rejoin') {
+            // The forum's connection dropped - start over with the current participants
+            Array.from(liveParticipants.keys()).forEach(removeLiveParticipant);
+            setLiveParticipants(data.participants || []);
+            announceLiveState();
+            return;
+        }
+        if (data.type === 'leave') {
+            removeLiveParticipant(data.uid);
+            renderLiveParticipants();
+            return;
+        }
+
+        const isNew = !liveParticipants.has(data.uid);
+        const participant = getLiveParticipant(data.uid);
+        if (data.type === 'join') {
+            participant.user = data.user || participant.user;
+            announceLiveState();
+        } else if (data.type === 'stroke') {
+            if (data.svg) {
+                participant.strokes.set(data.id, { page: data.page, svg: data.svg, rotation: data.rotation });
+            } else {
+                participant.strokes.delete(data.id);
+            }
+            renderLiveLayer(data.uid, data.page);
+        } else if (data.type === 'page') {
+            participant.pages.set(data.page, { svg: data.svg, rotation: data.rotation });
+            renderLiveLayer(data.uid, data.page);
+        } else if (data.type === 'cursor') {
+            renderLiveCursor(data.uid, data.page, data.x, data.y);
+        } else if (data.type === 'navigate') {
+            participant.page = data.page;
+            if (followUid === data.uid) goToLivePage(data.page);
+        }
+        if (isNew || data.type === 'join') renderLiveParticipants();
+    }
+
+    function leaveLiveSession() {
+        if (!liveJoined) return;
+        endLiveStroke();
+        liveSend('leave', {});
+        liveJoined = false;
+        followUid = null;
+        Array.from(liveParticipants.keys()).forEach(removeLiveParticipant);
+        renderLiveParticipants();
+    }
+
+    const liveToggle = document.getElementById('liveToggle');
+    liveToggle.onchange = async () => {
+        if (!liveToggle.checked) {
+            leaveLiveSession();
+            return;
+        }
+        try {
+            const result = await liveRequest('join', { filename: liveFile });
+            liveJoined = true;
+            setLiveParticipants(result.participants || []);
+            announceLiveState();
+        } catch (err) {
+            console.warn('[PDF-Secure] Could not join live session:', err.message);
+            liveToggle.checked = false;
+        }
+    };
+
+    window.addEventListener('message', (event) => {
+        if (event.origin !== window.location.origin || event.source !== window.parent || !event.data) return;
+
+        if (event.data.type === 'pdf-secure-live-reply') {
+            const request = liveRequests.get(event.data.requestId);
+            if (!request) return;
+            liveRequests.delete(event.data.requestId);
+            if (event.data.error) {
+                request.reject(new Error(event.data.error));
+            } else {
+                request.resolve(event.data.result || {});
+            }
+        } else if (event.data.type === 'pdf-secure-live-event' && liveJoined && event.data.data.filename === liveFile) {
+            handleLiveEvent(event.data.data);
+        }
+    });
+
+    container.addEventListener('pointermove', (e) => {
+        if (!liveJoined || Date.now() - liveCursorSentAt < LIVE_CURSOR_INTERVAL) return;
+        const pageDiv = e.target.closest && e.target.closest('.page');
+        if (!pageDiv) return;
+
+        liveCursorSentAt = Date.now();
+        const rect = pageDiv.getBoundingClientRect();
+        const point = unrotateRect({
+            x: (e.clientX - rect.left) / rect.width,
+            y: (e.clientY - rect.top) / rect.height,
+            w: 0,
+            h: 0,
+        }, pdfViewer.pagesRotation || 0);
+        liveSend('cursor', { page: parseInt(pageDiv.dataset.pageNumber), x: point.x, y: point.y });
+    });
+
+    container.addEventListener('pointerleave', () => {
+        liveSend('cursor', { page: pdfViewer.currentPageNumber, x: null, y: null });
+    });
+
+    eventBus.on('pagechanging', (evt) => {
+        endLiveStroke();
+        liveSend('navigate', { page: evt.pageNumber });
+    });
+
+    // Re-rendered pages lose their overlays
+    eventBus.on('pagerendered', (evt) => {
+        liveParticipants.forEach((participant, uid) => renderLiveLayer(uid, evt.pageNumber));
+    });
+
+    window.addEventListener('pagehide', leaveLiveSession);
+
+    window.addEventListener('pagehide', flushAnnotationSaves);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAnnotationSaves();
+    });
+
     // Auto-load PDF if config is present (injected by NodeBB plugin)
     async function autoLoadSecurePDF() {
         if (!window.PDF_SECURE_CONFIG || !window.PDF_SECURE_CONFIG.filename) {
@@ -182,19 +1384,28 @@
             <svg viewBox="0 0 24 24" class="spin">
                 <path d="M12 4V2A10 10 0 0 0 2 12h2a8 8 0 0 1 8-8z" />
             </svg>
-            <h2>PDF Yükleniyor...</h2>
+            <h2>${t('loading')}</h2>
             <p>${config.filename}</p>
         `;
         }
 
         try {
+            // Saved annotations load alongside the document
+            const savedAnnotations = loadSavedAnnotations(config);
+            openHighlightDocument(config);
+            openBookmarks(config);
+            loadSharedLayers(config);
+            setupLiveSession(config);
+
             // ============================================
             // SPA CACHE - Check if parent has cached buffer
             // ============================================
             let pdfBuffer = null;
+            let secureStream = null;
+            let imageDoc = null;
 
-            if (window.parent && window.parent !== window) {
-                // Request cached buffer from parent
+            if (window.parent && window.parent !== window && !config.stream && !config.imageMode) {
+                // Request cached buffer from parent (streamed and image-only documents are never fully buffered)
                 const cachePromise = new Promise((resolve) => {
                     const handler = (event) => {
                         if (event.data && event.data.type === 'pdf-secure-cache-response' && event.data.filename === config.filename) {
@@ -219,27 +1430,36 @@
                 }
             }
 
-            // If no cache, fetch from server
-            if (!pdfBuffer) {
+            // Image-only delivery: pages arrive as server-rendered bitmaps
+            // Large files: stream encrypted ranges instead of downloading everything
+            if (config.imageMode) {
+                imageDoc = await openImageSession(config);
+            } else if (config.stream) {
+                secureStream = await openSecureStream(config);
+            } else if (!pdfBuffer) {
+                // If no cache, fetch from server
                 // Nonce and key are embedded in HTML config (not fetched from API)
                 const nonce = config.nonce;
-                const xorKey = config.dk;
+                const decryptKey = config.dk;
 
                 // Fetch encrypted PDF binary
                 const pdfUrl = config.relativePath + '/api/v3/plugins/pdf-secure/pdf-data?nonce=' + encodeURIComponent(nonce);
                 const pdfRes = await fetch(pdfUrl, { credentials: 'same-origin' });
 
                 if (!pdfRes.ok) {
-                    throw new Error('PDF yüklenemedi (' + pdfRes.status + ')');
+                    throw new Error(t('error-load-pdf', pdfRes.status));
                 }
 
                 const encodedBuffer = await pdfRes.arrayBuffer();
                 console.log('[PDF-Secure] Encrypted data received:', encodedBuffer.byteLength, 'bytes');
 
-                // Decode XOR encrypted data
-                if (xorKey) {
+                // Decrypt with the per-nonce key (older configs without `enc` are legacy XOR)
+                if (decryptKey && config.enc === 'aes-gcm') {
+                    console.log('[PDF-Secure] Decrypting AES-GCM data...');
+                    pdfBuffer = await aesGcmDecrypt(encodedBuffer, decryptKey, nonce);
+                } else if (decryptKey) {
                     console.log('[PDF-Secure] Decoding XOR encrypted data...');
-                    pdfBuffer = partialXorDecode(encodedBuffer, xorKey);
+                    pdfBuffer = partialXorDecode(encodedBuffer, decryptKey);
                 } else {
                     pdfBuffer = encodedBuffer;
                 }
@@ -258,8 +1478,15 @@
 
             console.log('[PDF-Secure] PDF decoded successfully');
 
-            // Step 4: Load into viewer
-            await loadPDFFromBuffer(pdfBuffer);
+            // Step 4: Load into viewer (annotations must be in the store before pages render)
+            await savedAnnotations;
+            if (imageDoc) {
+                await loadPageImages(imageDoc);
+            } else if (secureStream) {
+                await loadPDFFromRange(secureStream.rangeTransport, secureStream.chunkSize);
+            } else {
+                await loadPDFFromBuffer(pdfBuffer);
+            }
 
             // Step 5: Moved to pagerendered event for proper timing
 
@@ -302,10 +1529,10 @@
 
             if (dropzone) {
                 dropzone.innerHTML = `
-                <svg viewBox="0 0 24 24" style="fill: #e81224;">
+                <svg viewBox="0 0 24 24" class="error">
                     <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/>
                 </svg>
-                <h2>Hata</h2>
+                <h2>${t('error')}</h2>
                 <p>${err.message}</p>
             `;
             }
@@ -315,51 +1542,57 @@
     // Run auto-load on page ready
     autoLoadSecurePDF();
 
-    // Generate Thumbnails (deferred - only when sidebar opens, lazy-rendered)
+    // Generate Thumbnails (deferred - only when sidebar opens)
     let thumbnailsGenerated = false;
     async function generateThumbnails() {
         if (thumbnailsGenerated) return;
         thumbnailsGenerated = true;
         thumbnailContainer.innerHTML = '';
 
-        // Create placeholder thumbnails for all pages
-        for (let i = 1; i <= pdfDoc.numPages; i++) {
+        // One page after another, in order
+        async function addThumbnail(i) {
+            if (i > pdfDoc.numPages) return;
+            const page = await pdfDoc.getPage(i);
+            const viewport = page.getViewport({ scale: 0.2 });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+
+            await page.render({
+                canvasContext: canvas.getContext('2d'),
+                viewport: viewport,
+            }).promise;
+
             const thumb = document.createElement('div');
             thumb.className = 'thumbnail' + (i === 1 ? ' active' : '');
             thumb.dataset.page = i;
             thumb.innerHTML = `<div class="thumbnailNum">${i}</div>`;
+            thumb.insertBefore(canvas, thumb.firstChild);
+
             thumb.onclick = () => {
                 pdfViewer.currentPageNumber = i;
                 document.querySelectorAll('.thumbnail').forEach(t => t.classList.remove('active'));
                 thumb.classList.add('active');
             };
-            thumbnailContainer.appendChild(thumb);
-        }
 
-        // Lazy render thumbnails with IntersectionObserver
-        const thumbObserver = new IntersectionObserver((entries) => {
-            entries.forEach(async (entry) => {
-                if (entry.isIntersecting && !entry.target.dataset.rendered) {
-                    entry.target.dataset.rendered = 'true';
-                    const pageNum = parseInt(entry.target.dataset.page);
-                    const page = await pdfDoc.getPage(pageNum);
-                    const viewport = page.getViewport({ scale: 0.2 });
-                    const canvas = document.createElement('canvas');
-                    canvas.width = viewport.width;
-                    canvas.height = viewport.height;
-                    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
-                    entry.target.insertBefore(canvas, entry.target.firstChild);
-                }
-            });
-        }, { root: thumbnailContainer, rootMargin: '200px' });
+            thumbnailContainer.appendChild(thumb);
 
-        thumbnailContainer.querySelectorAll('.thumbnail').forEach(t => thumbObserver.observe(t));
+            await addThumbnail(i + 1);
+        }
+        await addThumbnail(1);
     }
 
     // Events
     eventBus.on('pagesinit', () => {
         pdfViewer.currentScaleValue = 'page-width';
         document.getElementById('pageCount').textContent = `/ ${pdfViewer.pagesCount}`;
+
+        // Open at #page=N (e.g. a forum search result)
+        const startPage = parseInt(new URLSearchParams(window.location.hash.slice(1)).get('page'));
+        if (startPage > 1 && startPage <= pdfViewer.pagesCount) {
+            pdfViewer.currentPageNumber = startPage;
+        }
     });
 
     eventBus.on('pagechanging', (evt) => {
@@ -371,59 +1604,543 @@
         // Update undo/redo buttons for new page
         updateUndoRedoButtons();
 
-        // Bug fix: Clear selection on page change (stale SVG reference)
-        clearAnnotationSelection();
+        // Bug fix: Clear selection on page change (stale SVG reference)
+        clearAnnotationSelection();
+
+        // Bug fix: Reset drawing state on page change
+        if (isDrawing && currentDrawingPage) {
+            saveAnnotations(currentDrawingPage);
+        }
+        isDrawing = false;
+        currentPath = null;
+        currentSvg = null;
+        currentDrawingPage = null;
+    });
+
+    eventBus.on('pagerendered', (evt) => {
+        injectAnnotationLayer(evt.pageNumber);
+
+        // Rotation is handled natively by PDF.js via pagesRotation
+    });
+
+    // Compact embed: previous/next instead of the toolbar, pages always fit the width
+    if (compactMode) {
+        const compactPrev = document.getElementById('compactPrev');
+        const compactNext = document.getElementById('compactNext');
+        const compactPageInfo = document.getElementById('compactPageInfo');
+
+        const updateCompactNav = (pageNumber) => {
+            compactPageInfo.textContent = `${pageNumber} / ${pdfViewer.pagesCount}`;
+            compactPrev.disabled = pageNumber <= 1;
+            compactNext.disabled = pageNumber >= pdfViewer.pagesCount;
+        };
+        eventBus.on('pagesinit', () => updateCompactNav(pdfViewer.currentPageNumber));
+        eventBus.on('pagechanging', (evt) => updateCompactNav(evt.pageNumber));
+
+        compactPrev.onclick = () => {
+            if (pdfViewer.currentPageNumber > 1) pdfViewer.currentPageNumber--;
+        };
+        compactNext.onclick = () => {
+            if (pdfViewer.currentPageNumber < pdfViewer.pagesCount) pdfViewer.currentPageNumber++;
+        };
+
+        let compactResizeTimer;
+        window.addEventListener('resize', () => {
+            clearTimeout(compactResizeTimer);
+            compactResizeTimer = setTimeout(() => {
+                if (pdfViewer) pdfViewer.currentScaleValue = 'page-width';
+            }, 150);
+        });
+    }
+
+    // Page Navigation
+    document.getElementById('pageInput').onchange = (e) => {
+        const num = parseInt(e.target.value);
+        if (num >= 1 && num <= pdfViewer.pagesCount) {
+            pdfViewer.currentPageNumber = num;
+        }
+    };
+
+    // Zoom
+    document.getElementById('zoomIn').onclick = () => pdfViewer.currentScale += 0.25;
+    document.getElementById('zoomOut').onclick = () => pdfViewer.currentScale -= 0.25;
+
+    // Sidebar toggle (deferred thumbnail generation)
+    const sidebarEl = document.getElementById('sidebar');
+    const sidebarBtnEl = document.getElementById('sidebarBtn');
+    const closeSidebarBtn = document.getElementById('closeSidebar');
+
+    sidebarBtnEl.onclick = () => {
+        const isOpening = !sidebarEl.classList.contains('open');
+        sidebarEl.classList.toggle('open');
+        sidebarBtnEl.classList.toggle('active');
+        container.classList.toggle('withSidebar', sidebarEl.classList.contains('open'));
+
+        // Fill the active panel on open (deferred loading)
+        if (isOpening && pdfDoc) {
+            showSidebarPanel(activeSidebarPanel);
+        }
+    };
+
+    closeSidebarBtn.onclick = () => {
+        sidebarEl.classList.remove('open');
+        sidebarBtnEl.classList.remove('active');
+        container.classList.remove('withSidebar');
+    };
+
+    // ============================================
+    // SIDEBAR PANELS
+    // Page thumbnails, the document outline, the user's bookmarks and a list
+    // of their notes - each panel is filled when it is first shown
+    // ============================================
+    const sidebarTabs = document.querySelectorAll('.sidebarTab');
+    const outlineTree = document.getElementById('outlineTree');
+    const bookmarkList = document.getElementById('bookmarkList');
+    const notesList = document.getElementById('notesList');
+    let activeSidebarPanel = 'thumbnails';
+    let outlineDoc = null; // the document the outline was rendered for
+
+    function showSidebarPanel(name) {
+        activeSidebarPanel = name;
+        sidebarTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.panel === name));
+        document.querySelectorAll('.sidebarPanel').forEach(panel => {
+            panel.hidden = panel.dataset.panel !== name;
+        });
+        if (!pdfDoc) return;
+
+        if (name === 'thumbnails') generateThumbnails();
+        else if (name === 'outline') renderOutline();
+        else if (name === 'bookmarks') renderBookmarks();
+        else if (name === 'notes') renderNotesList();
+    }
+
+    sidebarTabs.forEach(tab => {
+        tab.onclick = () => showSidebarPanel(tab.dataset.panel);
+    });
+
+    function createSidebarEmpty(text) {
+        const empty = document.createElement('div');
+        empty.className = 'sidebarEmpty';
+        empty.textContent = text;
+        return empty;
+    }
+
+    // A clickable list row: label on the left, page number on the right
+    function createSidebarItem(label, pageNum, onclick) {
+        const item = document.createElement('button');
+        item.className = 'sidebarListItem';
+        const text = document.createElement('span');
+        text.className = 'sidebarListLabel';
+        text.textContent = label;
+        text.title = label;
+        item.appendChild(text);
+        if (pageNum) {
+            const page = document.createElement('span');
+            page.className = 'sidebarListPage';
+            page.textContent = pageNum;
+            item.appendChild(page);
+        }
+        if (onclick) {
+            item.onclick = onclick;
+        } else {
+            item.disabled = true;
+        }
+        return item;
+    }
+
+    // Outline
+    async function renderOutline() {
+        if (outlineDoc === pdfDoc) return;
+        const doc = outlineDoc = pdfDoc;
+        outlineTree.innerHTML = '';
+
+        let outline = null;
+        try {
+            // Image documents have no outline
+            outline = doc.getOutline ? await doc.getOutline() : null;
+        } catch (err) {
+            console.warn('[PDF-Secure] Could not read the outline:', err.message);
+        }
+        if (doc !== pdfDoc) return;
+
+        if (!outline || !outline.length) {
+            outlineTree.appendChild(createSidebarEmpty(t('no-outline')));
+            return;
+        }
+        outlineTree.appendChild(createOutlineItems(outline, 0));
+    }
+
+    function createOutlineItems(items, depth) {
+        const fragment = document.createDocumentFragment();
+        items.forEach(entry => {
+            const li = document.createElement('li');
+            const row = document.createElement('div');
+            row.className = 'outlineItem';
+
+            const toggle = document.createElement('button');
+            toggle.className = 'outlineToggle';
+            row.appendChild(toggle);
+
+            const dest = entry.dest;
+            const link = createSidebarItem(entry.title || '—', null, dest ? () => linkService.goToDestination(dest) : null);
+            link.classList.add('outlineLink');
+            row.appendChild(link);
+            li.appendChild(row);
+
+            if (entry.items && entry.items.length) {
+                const children = document.createElement('ul');
+                children.appendChild(createOutlineItems(entry.items, depth + 1));
+                li.appendChild(children);
+
+                // Only the top level starts expanded
+                li.classList.toggle('collapsed', depth > 0);
+                toggle.textContent = depth > 0 ? '▶' : '▼';
+                toggle.onclick = () => {
+                    const collapsed = li.classList.toggle('collapsed');
+                    toggle.textContent = collapsed ? '▶' : '▼';
+                };
+            }
+            fragment.appendChild(li);
+        });
+        return fragment;
+    }
+
+    // Bookmarks
+    function renderBookmarks() {
+        bookmarkList.innerHTML = '';
+        if (!bookmarks.length) {
+            bookmarkList.appendChild(createSidebarEmpty(t('no-bookmarks')));
+            return;
+        }
+
+        bookmarks.forEach(bookmark => {
+            const row = document.createElement('div');
+            row.className = 'sidebarRow';
+            const item = createSidebarItem(bookmark.title, bookmark.page, () => {
+                pdfViewer.currentPageNumber = bookmark.page;
+            });
+            item.title = t('rename-hint');
+            item.ondblclick = () => {
+                const title = prompt(t('bookmark-name'), bookmark.title);
+                if (title === null || !title.trim()) return;
+                bookmark.title = title.trim().slice(0, 200);
+                persistBookmarks();
+                renderBookmarks();
+            };
+
+            const remove = document.createElement('button');
+            remove.className = 'sidebarRemove';
+            remove.textContent = '×';
+            remove.title = t('remove-bookmark');
+            remove.onclick = () => {
+                bookmarks = bookmarks.filter(b => b !== bookmark);
+                persistBookmarks();
+                renderBookmarks();
+            };
+            row.append(item, remove);
+            bookmarkList.appendChild(row);
+        });
+    }
+
+    document.getElementById('addBookmarkBtn').onclick = () => {
+        if (!pdfDoc) return;
+        const page = pdfViewer.currentPageNumber;
+        if (bookmarks.some(b => b.page === page)) {
+            showToast(t('already-bookmarked'));
+            return;
+        }
+        bookmarks.push({ page, title: 'Sayfa ' + page });
+        bookmarks.sort((a, b) => a.page - b.page);
+        persistBookmarks();
+        renderBookmarks();
+    };
+
+    // Notes
+    // Arrows are a line followed by a two-stroke head path
+    function isArrowhead(el) {
+        const prev = el && el.previousElementSibling;
+        return !!prev && el.tagName.toLowerCase() === 'path' && prev.tagName.toLowerCase() === 'line' &&
+            (el.getAttribute('d') || '').split('M').length === 3;
+    }
+
+    function describeNote(el) {
+        switch (el.tagName.toLowerCase()) {
+            case 'text': {
+                const text = el.textContent.trim();
+                return text ? '“' + text + '”' : null;
+            }
+            case 'rect':
+                return t('rectangle');
+            case 'ellipse':
+            case 'circle':
+                return t('ellipse');
+            case 'line':
+                return isArrowhead(el.nextElementSibling) ? t('arrow') : t('line');
+            case 'path':
+                if (isArrowhead(el)) return null;
+                return parseFloat(el.getAttribute('stroke-opacity')) < 1 ? t('highlighter-drawing') : t('pen-drawing');
+            default:
+                return null;
+        }
+    }
+
+    function renderNotesList() {
+        notesList.innerHTML = '';
+        const notes = [];
+
+        // Parsed in a detached SVG element - nothing is rendered or run
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        annotationsStore.forEach((markup, pageNum) => {
+            svg.innerHTML = markup || '';
+            svg.querySelectorAll('path, rect, ellipse, circle, line, text').forEach(el => {
+                const label = describeNote(el);
+                if (label) {
+                    notes.push({ page: pageNum, label, color: el.getAttribute('stroke') || el.getAttribute('fill') });
+                }
+            });
+        });
+        Object.entries(highlightDoc.pages).forEach(([page, rects]) => {
+            rects.forEach(rect => notes.push({ page: parseInt(page), label: t('text-highlight'), color: rect.c }));
+        });
+
+        if (!notes.length) {
+            notesList.appendChild(createSidebarEmpty(t('no-notes')));
+            return;
+        }
+
+        notes.sort((a, b) => a.page - b.page).forEach(note => {
+            const item = createSidebarItem(note.label, note.page, () => {
+                pdfViewer.currentPageNumber = note.page;
+            });
+            const swatch = document.createElement('span');
+            swatch.className = 'layerSwatch';
+            swatch.style.background = note.color && note.color !== 'none' ? note.color : 'transparent';
+            item.prepend(swatch);
+            notesList.appendChild(item);
+        });
+    }
+
+    // Keep the list current while it is on screen
+    function refreshNotesList() {
+        if (activeSidebarPanel === 'notes' && sidebarEl.classList.contains('open')) {
+            renderNotesList();
+        }
+    }
+
+    // ============================================
+    // SEARCH
+    // PDF.js's find controller highlights the matches in the text layer and
+    // steps through them; the sidebar lists every match with its context
+    // ============================================
+    const FIND_DEBOUNCE = 250;
+    const MAX_SEARCH_RESULTS = 500;
+    const SNIPPET_CONTEXT = 40; // characters shown on each side of a match
+    const FIND_STATE_FOUND = 0; // FindState values of the find controller
+    const FIND_STATE_NOT_FOUND = 1;
+    const FIND_STATE_WRAPPED = 2;
+    const searchBtn = document.getElementById('searchBtn');
+    const findBar = document.getElementById('findBar');
+    const findInput = document.getElementById('findInput');
+    const findCaseSensitive = document.getElementById('findCaseSensitive');
+    const findEntireWord = document.getElementById('findEntireWord');
+    const findResultsCount = document.getElementById('findResultsCount');
+    const searchResults = document.getElementById('searchResults');
+    const searchResultsList = document.getElementById('searchResultsList');
+    const pageTexts = new Map(); // pageNum -> Promise of the page's plain text
+    let pageTextsDoc = null;
+    let searchGeneration = 0;
+    let searchTimer = null;
+    let pendingFindSteps = 0; // 'again' steps left to reach a match picked in the sidebar
+
+    function dispatchFind(type, findPrevious) {
+        eventBus.dispatch('find', {
+            source: findBar,
+            type,
+            query: findInput.value,
+            caseSensitive: findCaseSensitive.checked,
+            entireWord: findEntireWord.checked,
+            highlightAll: true,
+            findPrevious: !!findPrevious,
+            matchDiacritics: false,
+        });
+    }
+
+    function openFindBar() {
+        if (searchBtn.disabled) return;
+        findBar.hidden = false;
+        searchBtn.classList.add('active');
+        findInput.focus();
+        findInput.select();
+    }
 
-        // Bug fix: Reset drawing state on page change
-        if (isDrawing && currentDrawingPage) {
-            saveAnnotations(currentDrawingPage);
+    function closeFindBar() {
+        findBar.hidden = true;
+        searchBtn.classList.remove('active');
+        pendingFindSteps = 0;
+        searchGeneration++;
+        clearTimeout(searchTimer);
+        eventBus.dispatch('findbarclose', { source: findBar });
+        searchResults.hidden = true;
+        searchResultsList.replaceChildren();
+    }
+
+    function updateFindCount(matchesCount) {
+        const { current = 0, total = 0 } = matchesCount || {};
+        if (!findInput.value.trim()) {
+            findResultsCount.textContent = '';
+        } else if (total) {
+            findResultsCount.textContent = (current || '?') + ' / ' + total;
+        } else {
+            findResultsCount.textContent = t('no-results');
         }
-        isDrawing = false;
-        currentPath = null;
-        currentSvg = null;
-        currentDrawingPage = null;
-    });
+    }
 
-    eventBus.on('pagerendered', (evt) => {
-        injectAnnotationLayer(evt.pageNumber);
+    function getPageText(pageNum) {
+        if (pageTextsDoc !== pdfDoc) {
+            pageTexts.clear();
+            pageTextsDoc = pdfDoc;
+        }
+        if (!pageTexts.has(pageNum)) {
+            pageTexts.set(pageNum, pdfDoc.getPage(pageNum)
+                .then(page => page.getTextContent())
+                .then(content => content.items
+                    .map(item => (item.str || '') + (item.hasEOL ? ' ' : ''))
+                    .join('')
+                    .replace(/\s+/g, ' ')));
+        }
+        return pageTexts.get(pageNum);
+    }
 
-        // Rotation is handled natively by PDF.js via pagesRotation
-    });
+    // The same query and options as the find controller, for the results list
+    function getSearchPattern() {
+        const query = findInput.value.trim();
+        if (!query) return null;
+        let source = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        if (findEntireWord.checked) {
+            source = '(?<![\\p{L}\\p{N}_])' + source + '(?![\\p{L}\\p{N}_])';
+        }
+        return new RegExp(source, findCaseSensitive.checked ? 'gu' : 'giu');
+    }
 
-    // Page Navigation
-    document.getElementById('pageInput').onchange = (e) => {
-        const num = parseInt(e.target.value);
-        if (num >= 1 && num <= pdfViewer.pagesCount) {
-            pdfViewer.currentPageNumber = num;
+    function createSnippet(text, index, length) {
+        const snippet = document.createElement('span');
+        const start = Math.max(0, index - SNIPPET_CONTEXT);
+        const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(index, index + length);
+        snippet.append(
+            (start > 0 ? '…' : '') + text.slice(start, index),
+            mark,
+            text.slice(index + length, end) + (end < text.length ? '…' : '')
+        );
+        return snippet;
+    }
+
+    async function updateSearchResults() {
+        const generation = ++searchGeneration;
+        const pattern = getSearchPattern();
+        const title = document.getElementById('searchResultsTitle');
+        searchResultsList.replaceChildren();
+        searchResults.hidden = !pattern;
+        if (!pattern || !pdfDoc) return;
+        title.textContent = t('searching');
+
+        // One page after another, so the list fills in order and stops at the limit;
+        // null once a newer search has started
+        async function searchPage(pageNum, count) {
+            if (pageNum > pdfDoc.numPages || count >= MAX_SEARCH_RESULTS) return count;
+            const text = await getPageText(pageNum).catch(() => '');
+            if (generation !== searchGeneration) return null;
+
+            let pageMatch = 0;
+            for (const match of text.matchAll(pattern)) {
+                if (count >= MAX_SEARCH_RESULTS) break;
+                const matchIndex = pageMatch++;
+                const item = document.createElement('button');
+                const page = document.createElement('span');
+                item.className = 'searchResult';
+                page.className = 'searchResultPage';
+                page.textContent = t('page-n', pageNum);
+                item.append(page, createSnippet(text, match.index, match[0].length));
+                item.onclick = () => goToSearchMatch(pageNum, matchIndex);
+                searchResultsList.appendChild(item);
+                count++;
+            }
+            return searchPage(pageNum + 1, count);
         }
-    };
 
-    // Zoom
-    document.getElementById('zoomIn').onclick = () => pdfViewer.currentScale += 0.25;
-    document.getElementById('zoomOut').onclick = () => pdfViewer.currentScale -= 0.25;
+        const count = await searchPage(1, 0);
+        if (count === null) return;
 
-    // Sidebar toggle (deferred thumbnail generation)
-    const sidebarEl = document.getElementById('sidebar');
-    const sidebarBtnEl = document.getElementById('sidebarBtn');
-    const closeSidebarBtn = document.getElementById('closeSidebar');
+        if (!count) {
+            title.textContent = t('nothing-found');
+        } else if (count >= MAX_SEARCH_RESULTS) {
+            title.textContent = t('search-results-first', MAX_SEARCH_RESULTS);
+        } else {
+            title.textContent = t('search-results-count', count);
+        }
+    }
 
-    sidebarBtnEl.onclick = () => {
-        const isOpening = !sidebarEl.classList.contains('open');
-        sidebarEl.classList.toggle('open');
-        sidebarBtnEl.classList.toggle('active');
-        container.classList.toggle('withSidebar', sidebarEl.classList.contains('open'));
+    // A new find starts on the current page - step from there to the picked match
+    function goToSearchMatch(pageNum, matchIndex) {
+        pdfViewer.currentPageNumber = pageNum;
+        pendingFindSteps = matchIndex;
+        dispatchFind('');
+    }
 
-        // Generate thumbnails on first open (deferred loading)
-        if (isOpening && pdfDoc) {
-            generateThumbnails();
+    eventBus.on('updatefindcontrolstate', (evt) => {
+        if (pendingFindSteps > 0 && (evt.state === FIND_STATE_FOUND || evt.state === FIND_STATE_WRAPPED)) {
+            pendingFindSteps--;
+            dispatchFind('again');
         }
+        findInput.classList.toggle('notFound', evt.state === FIND_STATE_NOT_FOUND && !!findInput.value.trim());
+        updateFindCount(evt.matchesCount);
+    });
+    eventBus.on('updatefindmatchescount', (evt) => updateFindCount(evt.matchesCount));
+
+    searchBtn.onclick = () => (findBar.hidden ? openFindBar() : closeFindBar());
+    document.getElementById('findClose').onclick = closeFindBar;
+    document.getElementById('findNext').onclick = () => dispatchFind('again', false);
+    document.getElementById('findPrevious').onclick = () => dispatchFind('again', true);
+    document.getElementById('findResultsBtn').onclick = () => {
+        if (!sidebarEl.classList.contains('open')) sidebarBtnEl.click();
+        sidebarEl.scrollTop = 0;
     };
 
-    closeSidebarBtn.onclick = () => {
-        sidebarEl.classList.remove('open');
-        sidebarBtnEl.classList.remove('active');
-        container.classList.remove('withSidebar');
+    findInput.addEventListener('input', () => {
+        pendingFindSteps = 0;
+        dispatchFind('');
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(updateSearchResults, FIND_DEBOUNCE);
+    });
+    findInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            dispatchFind('again', e.shiftKey);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeFindBar();
+        }
+    });
+    findCaseSensitive.onchange = () => {
+        dispatchFind('casesensitivitychange');
+        updateSearchResults();
     };
+    findEntireWord.onchange = () => {
+        dispatchFind('entirewordchange');
+        updateSearchResults();
+    };
+
+    // Ctrl+F would open the browser's search, which cannot see inside the text layer
+    document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+            e.preventDefault();
+            openFindBar();
+        } else if (e.key === 'F3' && !findBar.hidden) {
+            e.preventDefault();
+            dispatchFind('again', e.shiftKey);
+        }
+    });
 
     // Sepia Reading Mode
     let sepiaMode = false;
@@ -468,7 +2185,17 @@
     const dropdownBackdrop = document.getElementById('dropdownBackdrop');
     const overflowDropdown = document.getElementById('overflowDropdown');
 
+    // Swipe-to-dismiss controller (declared before closeAllDropdowns which references it)
+    let swipeAbortController = null;
+
     function closeAllDropdowns() {
+        // Clean up swipe listeners
+        if (swipeAbortController) { swipeAbortController.abort(); swipeAbortController = null; }
+        // Reset inline transform from swipe gesture
+        [highlightDropdown, drawDropdown, shapesDropdown, overflowDropdown].forEach(dd => {
+            dd.style.transform = '';
+            dd.style.transition = '';
+        });
         highlightDropdown.classList.remove('visible');
         drawDropdown.classList.remove('visible');
         shapesDropdown.classList.remove('visible');
@@ -492,10 +2219,52 @@
             // Show backdrop on mobile/tablet portrait
             if (useBottomSheet) {
                 dropdownBackdrop.classList.add('visible');
+                setupBottomSheetSwipe(dropdown);
             }
         }
     }
 
+    // Bottom sheet swipe-to-dismiss (uses AbortController to prevent listener accumulation)
+    function setupBottomSheetSwipe(dropdown) {
+        // Abort previous swipe listeners if any
+        if (swipeAbortController) swipeAbortController.abort();
+        swipeAbortController = new AbortController();
+        const signal = swipeAbortController.signal;
+
+        let startY = 0, currentY = 0, isDragging = false;
+
+        dropdown.addEventListener('touchstart', (e) => {
+            const rect = dropdown.getBoundingClientRect();
+            const touchY = e.touches[0].clientY;
+            if (touchY - rect.top > 40 && dropdown.scrollTop > 0) return;
+            startY = touchY;
+            currentY = startY;
+            isDragging = true;
+            dropdown.style.transition = 'none';
+        }, { signal });
+
+        dropdown.addEventListener('touchmove', (e) => {
+            if (!isDragging) return;
+            currentY = e.touches[0].clientY;
+            const dy = currentY - startY;
+            if (dy > 0) {
+                dropdown.style.transform = `translateY(${dy}px)`;
+                e.preventDefault();
+            }
+        }, { passive: false, signal });
+
+        dropdown.addEventListener('touchend', () => {
+            if (!isDragging) return;
+            isDragging = false;
+            const dy = currentY - startY;
+            dropdown.style.transition = '';
+            if (dy > 80) {
+                closeAllDropdowns();
+            }
+            dropdown.style.transform = '';
+        }, { signal });
+    }
+
     // Backdrop click closes dropdowns
     dropdownBackdrop.addEventListener('click', () => {
         closeAllDropdowns();
@@ -526,6 +2295,138 @@
         closeAllDropdowns();
     };
 
+    // Download - only offered when the viewing policy allows it
+    // (URL captured here because PDF_SECURE_CONFIG is deleted after load)
+    if (window.PDF_SECURE_CONFIG && window.PDF_SECURE_CONFIG.canDownload) {
+        const downloadName = window.PDF_SECURE_CONFIG.filename;
+        const downloadUrl = window.PDF_SECURE_CONFIG.relativePath + '/assets/uploads/files/' + encodeURIComponent(downloadName);
+        const downloadItem = document.getElementById('overflowDownload');
+        downloadItem.hidden = false;
+        document.getElementById('overflowDownloadDivider').hidden = false;
+        downloadItem.onclick = () => {
+            const link = document.createElement('a');
+            link.href = downloadUrl;
+            link.download = downloadName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            closeAllDropdowns();
+        };
+
+        // Export with my notes - the server burns the saved annotations and
+        // this browser's text highlights into a watermarked copy, or adds
+        // them as regular PDF annotations other readers can edit
+        if (window.PDF_SECURE_CONFIG.uid) {
+            const baseName = downloadName.replace(/\.pdf$/i, '');
+            bindNotesExport('overflowExportNotes', 'flattened', t('file-with-notes', baseName));
+            bindNotesExport('overflowExportAnnotated', 'pdf-annotations', t('file-annotated', baseName));
+        }
+    }
+
+    // Notes on their own as XFDF, and importing notes made in other readers
+    if (window.PDF_SECURE_CONFIG && window.PDF_SECURE_CONFIG.uid) {
+        const importItem = document.getElementById('overflowImportNotes');
+        const importInput = document.getElementById('importNotesInput');
+        document.getElementById('overflowNotesDivider').hidden = false;
+        bindNotesExport('overflowExportXfdf', 'xfdf', window.PDF_SECURE_CONFIG.filename.replace(/\.pdf$/i, '') + '.xfdf');
+
+        importItem.hidden = false;
+        importItem.onclick = () => {
+            closeAllDropdowns();
+            if (annotationApiUrl && !importItem.disabled) importInput.click();
+        };
+        importInput.onchange = async () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+            importItem.disabled = true;
+            try {
+                await flushAnnotationSaves();
+                const res = await fetch(annotationApiUrl + '/import', {
+                    method: 'POST',
+                    credentials: 'same-origin',
+                    headers: {
+                        'Content-Type': /\.pdf$/i.test(file.name) ? 'application/pdf' : 'application/vnd.adobe.xfdf',
+                        'x-csrf-token': annotationCsrfToken,
+                    },
+                    body: file,
+                });
+                if (!res.ok) {
+                    throw new Error('HTTP ' + res.status);
+                }
+                const { response } = await res.json();
+                applyImportedNotes(response);
+                showToast(t('notes-imported', response.imported) +
+                    (response.skipped ? ', ' + t('notes-skipped', response.skipped) : ''));
+            } catch (err) {
+                console.warn('[PDF-Secure] Import failed:', err.message);
+                showToast(t('import-failed'));
+            } finally {
+                importItem.disabled = false;
+            }
+        };
+    }
+
+    // Overflow item that downloads a copy of the notes in `format` (see the export route)
+    function bindNotesExport(itemId, format, fileName) {
+        const item = document.getElementById(itemId);
+        item.hidden = false;
+        item.onclick = async () => {
+            closeAllDropdowns();
+            if (!annotationApiUrl || item.disabled) return;
+            item.disabled = true;
+            showToast(t('preparing-notes'));
+            try {
+                await flushAnnotationSaves();
+                const res = await fetch(annotationApiUrl + '/export', {
+                    method: 'POST',
+                    credentials: 'same-origin',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-csrf-token': annotationCsrfToken,
+                    },
+                    body: JSON.stringify({ format, highlights: highlightDoc.pages }),
+                });
+                if (!res.ok) {
+                    throw new Error('HTTP ' + res.status);
+                }
+                const url = URL.createObjectURL(await res.blob());
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = fileName;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 10000);
+            } catch (err) {
+                console.warn('[PDF-Secure] Export failed:', err.message);
+                showToast(t('export-failed'));
+            } finally {
+                item.disabled = false;
+            }
+        };
+    }
+
+    // Imported notes are already saved - show them and keep the text highlights
+    function applyImportedNotes({ pages, highlights }) {
+        Object.entries(pages || {}).forEach(([page, data]) => {
+            const pageNum = parseInt(page);
+            annotationsStore.set(pageNum, sanitizeSvg(data.svg));
+            annotationRotations.set(pageNum, data.rotation || 0);
+            sendLivePage(pageNum);
+            if (pdfViewer.getPageView(pageNum - 1)?.div?.querySelector('.annotationLayer')) {
+                injectAnnotationLayer(pageNum);
+            }
+        });
+        Object.entries(highlights || {}).forEach(([page, rects]) => {
+            highlightDoc.pages[page] = (highlightDoc.pages[page] || []).concat(rects);
+            const pageDiv = pdfViewer.getPageView(parseInt(page) - 1)?.div;
+            if (pageDiv) loadTextHighlights(parseInt(page), pageDiv);
+        });
+        persistHighlights();
+        refreshNotesList();
+    }
+
     // Close dropdowns when clicking outside
     document.addEventListener('click', (e) => {
         if (!e.target.closest('.toolDropdown') && !e.target.closest('.dropdownArrow')) {
@@ -561,9 +2462,10 @@
                 currentWidth = shapeWidth;
             }
 
-            // Activate annotation layers (no re-inject needed, layers persist)
+            // Performance: Just toggle active class instead of re-injecting layers
+            // This avoids expensive DOM recreation on every tool change
             document.querySelectorAll('.annotationLayer').forEach(layer => {
-                layer.classList.add('active');
+                layer.classList.toggle('active', annotationMode);
             });
         }
 
@@ -598,36 +2500,42 @@
     document.getElementById('redoBtn').onclick = () => performRedo();
     document.getElementById('clearAllBtn').onclick = () => performClearAll();
 
-    // Color picker event delegation
-    function setupColorPicker(containerId, onColorChange) {
-        document.getElementById(containerId).addEventListener('click', (e) => {
-            const dot = e.target.closest('.colorDot');
-            if (!dot) return;
+    // Swatch colours come from data-color (style attributes are blocked by the CSP)
+    document.querySelectorAll('.colorDot').forEach(dot => {
+        dot.style.background = dot.dataset.color;
+    });
+
+    // Highlighter Colors
+    document.querySelectorAll('#highlightColors .colorDot').forEach(dot => {
+        dot.onclick = (e) => {
             e.stopPropagation();
-            e.currentTarget.querySelectorAll('.colorDot').forEach(d => d.classList.remove('active'));
+            document.querySelectorAll('#highlightColors .colorDot').forEach(d => d.classList.remove('active'));
             dot.classList.add('active');
-            onColorChange(dot.dataset.color);
-        });
-    }
-    setupColorPicker('highlightColors', c => {
-        highlightColor = c;
-        if (currentTool === 'highlight') currentColor = c;
-        document.getElementById('highlightWave').setAttribute('stroke', c);
-    });
-    setupColorPicker('drawColors', c => {
-        drawColor = c;
-        if (currentTool === 'pen') currentColor = c;
-        document.getElementById('drawWave').setAttribute('stroke', c);
+            highlightColor = dot.dataset.color;
+            if (currentTool === 'highlight') currentColor = highlightColor;
+            // Update preview
+            document.getElementById('highlightWave').setAttribute('stroke', highlightColor);
+        };
     });
-    setupColorPicker('shapeColors', c => {
-        shapeColor = c;
-        if (currentTool === 'shape') currentColor = c;
+
+    // Pen Colors
+    document.querySelectorAll('#drawColors .colorDot').forEach(dot => {
+        dot.onclick = (e) => {
+            e.stopPropagation();
+            document.querySelectorAll('#drawColors .colorDot').forEach(d => d.classList.remove('active'));
+            dot.classList.add('active');
+            drawColor = dot.dataset.color;
+            if (currentTool === 'pen') currentColor = drawColor;
+            // Update preview
+            document.getElementById('drawWave').setAttribute('stroke', drawColor);
+        };
     });
 
     // Highlighter Thickness Slider
     document.getElementById('highlightThickness').oninput = (e) => {
         highlightWidth = parseInt(e.target.value);
         if (currentTool === 'highlight') currentWidth = highlightWidth;
+        // Update preview - highlighter uses width * 2 for display
         document.getElementById('highlightWave').setAttribute('stroke-width', highlightWidth * 2);
     };
 
@@ -635,17 +2543,29 @@
     document.getElementById('drawThickness').oninput = (e) => {
         drawWidth = parseInt(e.target.value);
         if (currentTool === 'pen') currentWidth = drawWidth;
+        // Update preview
         document.getElementById('drawWave').setAttribute('stroke-width', drawWidth);
     };
 
-    // Shape Selection (event delegation)
-    document.querySelector('.shapeBtn')?.closest('.dropdownSection')?.addEventListener('click', (e) => {
-        const btn = e.target.closest('.shapeBtn');
-        if (!btn) return;
-        e.stopPropagation();
-        document.querySelectorAll('.shapeBtn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        currentShape = btn.dataset.shape;
+    // Shape Selection
+    document.querySelectorAll('.shapeBtn').forEach(btn => {
+        btn.onclick = (e) => {
+            e.stopPropagation();
+            document.querySelectorAll('.shapeBtn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            currentShape = btn.dataset.shape;
+        };
+    });
+
+    // Shape Colors
+    document.querySelectorAll('#shapeColors .colorDot').forEach(dot => {
+        dot.onclick = (e) => {
+            e.stopPropagation();
+            document.querySelectorAll('#shapeColors .colorDot').forEach(d => d.classList.remove('active'));
+            dot.classList.add('active');
+            shapeColor = dot.dataset.color;
+            if (currentTool === 'shape') currentColor = shapeColor;
+        };
     });
 
     // Shape Thickness Slider
@@ -719,8 +2639,9 @@
                 // Update stored annotations & rotation to current
                 annotationsStore.set(pageNum, svg.innerHTML);
                 annotationRotations.set(pageNum, curRot);
-                // Undo/redo stack entries store their own rotation,
-                // so no wrapping needed — transforms applied at restore time
+
+                // Note: No need to wrap stack entries anymore
+                // Rotation is now stored per-entry, transforms applied on restore
             }
         }
 
@@ -734,24 +2655,16 @@
         svg.addEventListener('mouseup', () => stopDraw(pageNum), { signal });
         svg.addEventListener('mouseleave', () => stopDraw(pageNum), { signal });
 
-        // Touch support for tablets — passive:false only when annotation tool active
-        const touchStartHandler = (e) => {
-            if (!currentTool) return;
-            e.preventDefault();
+        // Touch support for tablets
+        svg.addEventListener('touchstart', (e) => {
+            // Prevent default to avoid scroll while drawing/selecting
+            if (currentTool) e.preventDefault();
             startDraw(e, pageNum);
-        };
-        const touchMoveHandler = (e) => {
-            if (!currentTool) return;
-            e.preventDefault();
+        }, { passive: false, signal });
+        svg.addEventListener('touchmove', (e) => {
+            if (currentTool) e.preventDefault();
             draw(e);
-        };
-        if (annotationMode) {
-            svg.addEventListener('touchstart', touchStartHandler, { passive: false, signal });
-            svg.addEventListener('touchmove', touchMoveHandler, { passive: false, signal });
-        } else {
-            svg.addEventListener('touchstart', touchStartHandler, { signal });
-            svg.addEventListener('touchmove', touchMoveHandler, { signal });
-        }
+        }, { passive: false, signal });
         svg.addEventListener('touchend', () => stopDraw(pageNum), { signal });
         svg.addEventListener('touchcancel', () => stopDraw(pageNum), { signal });
 
@@ -759,22 +2672,72 @@
     }
 
     // Strip transient classes, styles, and elements from SVG before saving
-    // Works on a clone to avoid modifying live DOM
     function getCleanSvgInnerHTML(svg) {
+        // Performance: Work on a cloned node to avoid modifying live DOM
         const clone = svg.cloneNode(true);
+
+        // Remove marquee rect if present
         const marquee = clone.querySelector('.marquee-rect');
         if (marquee) marquee.remove();
 
+        // Strip transient classes and inline styles from annotation elements
         const transientClasses = ['annotation-selected', 'annotation-multi-selected', 'annotation-dragging', 'just-selected'];
         clone.querySelectorAll('path, rect, ellipse, line, text').forEach(el => {
             transientClasses.forEach(cls => el.classList.remove(cls));
-            el.removeAttribute('style');
+            // Remove inline cursor style added by multi-drag
+            if (el.style.cursor) el.style.cursor = '';
+            // Clean up empty style attribute
+            if (el.getAttribute('style') === '') el.removeAttribute('style');
+            // Clean up empty class attribute
             if (el.getAttribute('class') === '') el.removeAttribute('class');
         });
 
         return clone.innerHTML.trim();
     }
 
+    // Helper: Apply rotation transform from savedRot to curRot
+    // Uses clone-based flatten approach - updates each element's transform individually
+    // This prevents nested <g> accumulation entirely
+    function applyRotationTransform(html, savedRot, curRot, pageNum) {
+        if (!html || !html.trim()) return html;
+
+        const delta = (curRot - savedRot + 360) % 360;
+        if (delta === 0) return html;
+
+        // Calculate transform based on page dimensions
+        const baseDims = pageBaseDimensions.get(pageNum);
+        if (!baseDims) return html; // Fallback if no dims available
+
+        const W = baseDims.width, H = baseDims.height;
+
+        // Old viewBox dimensions (at saved rotation)
+        let oW, oH;
+        if (savedRot === 90 || savedRot === 270) { oW = H; oH = W; }
+        else { oW = W; oH = H; }
+
+        let rotationTransform;
+        if (delta === 90) rotationTransform = `translate(${oH},0) rotate(90)`;
+        else if (delta === 180) rotationTransform = `translate(${oW},${oH}) rotate(180)`;
+        else if (delta === 270) rotationTransform = `translate(0,${oW}) rotate(270)`;
+        else return html;
+
+        // Clone-based flatten: Apply transform to each top-level element individually
+        const tempContainer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        tempContainer.innerHTML = html;
+
+        // Process each top-level child element
+        Array.from(tempContainer.children).forEach(child => {
+            const existingTransform = child.getAttribute('transform') || '';
+            // Prepend rotation transform (rotation first, then existing)
+            const newTransform = existingTransform ?
+                `${rotationTransform} ${existingTransform}` :
+                rotationTransform;
+            child.setAttribute('transform', newTransform);
+        });
+
+        return tempContainer.innerHTML;
+    }
+
     // Save annotations for a page (with undo history)
     function saveAnnotations(pageNum) {
         const pageView = pdfViewer.getPageView(pageNum - 1);
@@ -782,23 +2745,15 @@
         if (!svg) return;
 
         // Push previous state to undo stack before saving new state
-        const previousRotation = annotationRotations.get(pageNum) || 0;
-        const newState = getCleanSvgInnerHTML(svg);
         const previousState = annotationsStore.get(pageNum) || '';
+        const newState = getCleanSvgInnerHTML(svg);
 
         // Only push to history if state actually changed
         if (previousState !== newState) {
             if (!undoStacks.has(pageNum)) undoStacks.set(pageNum, []);
             const stack = undoStacks.get(pageNum);
-            // Clone previous SVG children for efficient undo
-            const prevNodes = [];
-            // Parse previous state to get nodes (use a temp container)
-            if (previousState) {
-                const temp = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-                temp.innerHTML = previousState;
-                for (const child of temp.children) prevNodes.push(child.cloneNode(true));
-            }
-            stack.push({ nodes: prevNodes, rotation: previousRotation });
+            // Store as {html, rotation} object to avoid nested <g> wrap accumulation
+            stack.push({ html: previousState, rotation: annotationRotations.get(pageNum) || 0 });
             if (stack.length > MAX_HISTORY) stack.shift();
 
             // Clear redo stack on new action
@@ -812,6 +2767,9 @@
             annotationsStore.delete(pageNum);
             annotationRotations.delete(pageNum);
         }
+        if (previousState !== newState) {
+            scheduleAnnotationSave(pageNum);
+        }
 
         updateUndoRedoButtons();
     }
@@ -826,17 +2784,6 @@
         redoBtn.disabled = !redoStack || redoStack.length === 0;
     }
 
-    // Helper: clone SVG children into an array of nodes
-    function cloneSvgChildren(svg) {
-        return Array.from(svg.children).map(c => c.cloneNode(true));
-    }
-
-    // Helper: restore SVG from cloned nodes
-    function restoreSvgFromNodes(svg, nodes) {
-        svg.innerHTML = '';
-        nodes.forEach(n => svg.appendChild(n.cloneNode(true)));
-    }
-
     function performUndo() {
         const pageNum = pdfViewer.currentPageNumber;
         const stack = undoStacks.get(pageNum);
@@ -846,26 +2793,31 @@
         const svg = pageView?.div?.querySelector('.annotationLayer');
         if (!svg) return;
 
-        // Save current state to redo stack
+        // Save current state to redo stack with rotation
         if (!redoStacks.has(pageNum)) redoStacks.set(pageNum, []);
         const redoStack = redoStacks.get(pageNum);
-        redoStack.push({ nodes: cloneSvgChildren(svg), rotation: pdfViewer.pagesRotation || 0 });
+        redoStack.push({ html: getCleanSvgInnerHTML(svg), rotation: pdfViewer.pagesRotation || 0 });
         if (redoStack.length > MAX_HISTORY) redoStack.shift();
 
-        // Restore previous state
+        // Restore previous state with rotation transform if needed
         const entry = stack.pop();
-        restoreSvgFromNodes(svg, entry.nodes);
+        const previousHtml = typeof entry === 'object' ? entry.html : entry;
+        const savedRot = typeof entry === 'object' ? entry.rotation : (annotationRotations.get(pageNum) || 0);
+        const curRot = pdfViewer.pagesRotation || 0;
+
+        svg.innerHTML = applyRotationTransform(previousHtml, savedRot, curRot, pageNum);
 
         // Update store
-        const restored = svg.innerHTML.trim();
-        if (restored) {
-            annotationsStore.set(pageNum, restored);
-            annotationRotations.set(pageNum, entry.rotation);
+        if (previousHtml.trim()) {
+            annotationsStore.set(pageNum, svg.innerHTML);
+            annotationRotations.set(pageNum, curRot);
         } else {
             annotationsStore.delete(pageNum);
             annotationRotations.delete(pageNum);
         }
 
+        scheduleAnnotationSave(pageNum);
+
         clearAnnotationSelection();
         updateUndoRedoButtons();
     }
@@ -879,26 +2831,31 @@
         const svg = pageView?.div?.querySelector('.annotationLayer');
         if (!svg) return;
 
-        // Save current state to undo stack
+        // Save current state to undo stack with rotation
         if (!undoStacks.has(pageNum)) undoStacks.set(pageNum, []);
         const undoStack = undoStacks.get(pageNum);
-        undoStack.push({ nodes: cloneSvgChildren(svg), rotation: pdfViewer.pagesRotation || 0 });
+        undoStack.push({ html: getCleanSvgInnerHTML(svg), rotation: pdfViewer.pagesRotation || 0 });
         if (undoStack.length > MAX_HISTORY) undoStack.shift();
 
-        // Restore redo state
+        // Restore redo state with rotation transform if needed
         const entry = stack.pop();
-        restoreSvgFromNodes(svg, entry.nodes);
+        const redoHtml = typeof entry === 'object' ? entry.html : entry;
+        const savedRot = typeof entry === 'object' ? entry.rotation : (annotationRotations.get(pageNum) || 0);
+        const curRot = pdfViewer.pagesRotation || 0;
+
+        svg.innerHTML = applyRotationTransform(redoHtml, savedRot, curRot, pageNum);
 
         // Update store
-        const restored = svg.innerHTML.trim();
-        if (restored) {
-            annotationsStore.set(pageNum, restored);
-            annotationRotations.set(pageNum, entry.rotation);
+        if (redoHtml.trim()) {
+            annotationsStore.set(pageNum, svg.innerHTML);
+            annotationRotations.set(pageNum, curRot);
         } else {
             annotationsStore.delete(pageNum);
             annotationRotations.delete(pageNum);
         }
 
+        scheduleAnnotationSave(pageNum);
+
         clearAnnotationSelection();
         updateUndoRedoButtons();
     }
@@ -909,10 +2866,10 @@
         const svg = pageView?.div?.querySelector('.annotationLayer');
         if (!svg || !svg.innerHTML.trim()) return;
 
-        // Save current state to undo stack (so it can be undone)
+        // Save current state to undo stack with rotation
         if (!undoStacks.has(pageNum)) undoStacks.set(pageNum, []);
         const stack = undoStacks.get(pageNum);
-        stack.push({ nodes: cloneSvgChildren(svg), rotation: pdfViewer.pagesRotation || 0 });
+        stack.push({ html: getCleanSvgInnerHTML(svg), rotation: pdfViewer.pagesRotation || 0 });
         if (stack.length > MAX_HISTORY) stack.shift();
 
         // Clear redo stack
@@ -922,6 +2879,7 @@
         svg.innerHTML = '';
         annotationsStore.delete(pageNum);
         annotationRotations.delete(pageNum);
+        scheduleAnnotationSave(pageNum);
 
         clearAnnotationSelection();
         updateUndoRedoButtons();
@@ -955,10 +2913,8 @@
         const scaleY = vb.scaleY;
 
         if (currentTool === 'eraser') {
-            isDrawing = true;
-            currentDrawingPage = pageNum;
-            currentSvg = svg;
             eraseAt(svg, x, y, scaleX, coords.clientX, coords.clientY);
+            // Performance: Don't save here - isDrawing is true, stopDraw will save on mouseup
             return;
         }
 
@@ -1029,8 +2985,7 @@
             currentPath.setAttribute('stroke-opacity', '1');
         }
 
-        pathSegments = [`M${x.toFixed(2)},${y.toFixed(2)}`];
-        currentPath.setAttribute('d', pathSegments[0]);
+        currentPath.setAttribute('d', `M${x.toFixed(2)},${y.toFixed(2)}`);
         svg.appendChild(currentPath);
     }
 
@@ -1060,6 +3015,7 @@
 
         if (currentTool === 'eraser') {
             eraseAt(svg, x, y, scaleX, coords.clientX, coords.clientY);
+            // Performance: Don't save on every mousemove - let mouseup handle it
             return;
         }
 
@@ -1089,21 +3045,38 @@
                 shapeEl.setAttribute('x2', x);
                 shapeEl.setAttribute('y2', y);
             }
+            sendLiveStroke();
             return;
         }
 
+        // RAF throttle: buffer segments and flush in animation frame
         if (currentPath) {
             pathSegments.push(`L${x.toFixed(2)},${y.toFixed(2)}`);
+
             if (!drawRAF) {
                 drawRAF = requestAnimationFrame(() => {
+                    if (currentPath && pathSegments.length > 0) {
+                        currentPath.setAttribute('d', currentPath.getAttribute('d') + ' ' + pathSegments.join(' '));
+                        pathSegments = [];
+                    }
                     drawRAF = null;
-                    if (currentPath) currentPath.setAttribute('d', pathSegments.join(' '));
                 });
             }
+            sendLiveStroke();
         }
     }
 
     function stopDraw(pageNum) {
+        // Flush any pending path segments before stopping
+        if (drawRAF) {
+            cancelAnimationFrame(drawRAF);
+            drawRAF = null;
+        }
+        if (currentPath && pathSegments.length > 0) {
+            currentPath.setAttribute('d', currentPath.getAttribute('d') + ' ' + pathSegments.join(' '));
+            pathSegments = [];
+        }
+
         // Handle arrow marker
         if (currentTool === 'shape' && currentShape === 'arrow' && currentSvg) {
             const shapeEl = currentSvg.querySelector('.current-shape');
@@ -1181,6 +3154,7 @@
 
                     // Save first, then open text editor
                     saveAnnotations(currentPageNum);
+                    endLiveStroke();
 
                     // Open text editor at the START of the arrow (where user clicked)
                     setTimeout(() => {
@@ -1203,16 +3177,10 @@
             if (shapeEl) shapeEl.classList.remove('current-shape');
         }
 
-        // Flush pending path segments
-        if (currentPath && pathSegments.length > 0) {
-            currentPath.setAttribute('d', pathSegments.join(' '));
-        }
-        pathSegments = [];
-        if (drawRAF) { cancelAnimationFrame(drawRAF); drawRAF = null; }
-
         if (isDrawing && currentDrawingPage) {
             saveAnnotations(currentDrawingPage);
         }
+        endLiveStroke();
         isDrawing = false;
         currentPath = null;
         currentSvg = null;
@@ -1244,7 +3212,7 @@
             const dxScreen = ev.clientX - dragStartX;
             const dyScreen = ev.clientY - dragStartY;
             // Convert screen delta to viewBox delta (rotation-aware)
-            const vbDelta = screenDeltaToViewBox(svg, dxScreen, dyScreen, textEl);
+            const vbDelta = screenDeltaToViewBox(svg, dxScreen, dyScreen);
 
             if (Math.abs(vbDelta.dx) > 2 || Math.abs(vbDelta.dy) > 2) {
                 hasDragged = true;
@@ -1312,6 +3280,7 @@
         // Input area
         const input = document.createElement('div');
         input.className = 'textEditorInput';
+        input.dataset.placeholder = t('text-placeholder');
         input.contentEditable = true;
         input.style.color = textColor;
         input.style.fontSize = textFontSize + 'px';
@@ -1459,8 +3428,8 @@
     }
 
     function eraseAt(svg, x, y, scale = 1, clientX, clientY) {
-        // Use browser-optimized hit-test for SVG annotation elements
-        const annotationTags = new Set(['path', 'rect', 'ellipse', 'line', 'text']);
+        // Use elementsFromPoint for rotation-aware hit testing
+        const annotationTags = new Set(['path', 'text', 'rect', 'ellipse', 'line']);
         const elements = document.elementsFromPoint(clientX, clientY);
         elements.forEach(el => {
             if (el.closest('.annotationLayer') === svg && annotationTags.has(el.tagName)) {
@@ -1475,11 +3444,12 @@
             if (highlightContainer) {
                 const vbW = parseFloat(svg.dataset.viewboxWidth);
                 const vbH = parseFloat(svg.dataset.viewboxHeight);
+                // Convert viewBox coords to percentage (independent of rotation)
                 const screenXPercent = (x / vbW) * 100;
                 const screenYPercent = (y / vbH) * 100;
 
                 highlightContainer.querySelectorAll('.textHighlight').forEach(el => {
-                    const left = parseFloat(el.style.left);
+                    const left = parseFloat(el.style.left); // Already in %
                     const top = parseFloat(el.style.top);
                     const width = parseFloat(el.style.width);
                     const height = parseFloat(el.style.height);
@@ -1487,6 +3457,7 @@
                     if (screenXPercent >= left - 2 && screenXPercent <= left + width + 2 &&
                         screenYPercent >= top - 2 && screenYPercent <= top + height + 2) {
                         el.remove();
+                        // Save changes
                         const pageNum = parseInt(pageDiv.dataset.pageNumber);
                         saveTextHighlights(pageNum, pageDiv);
                     }
@@ -1560,6 +3531,7 @@
         rects.forEach(rect => {
             const div = document.createElement('div');
             div.className = 'textHighlight';
+            div.dataset.color = color;
 
             // Convert to percentages for zoom-independent positioning
             const leftPercent = (rect.x / pageWidth) * 100;
@@ -1583,27 +3555,70 @@
         saveTextHighlights(pageNum, pageDiv);
     }
 
+    // Rect in page fractions between the displayed (rotated) page and the unrotated one
+    function unrotateRect(r, rotation) {
+        if (rotation === 90) return { x: r.y, y: 1 - r.x - r.w, w: r.h, h: r.w, c: r.c };
+        if (rotation === 180) return { x: 1 - r.x - r.w, y: 1 - r.y - r.h, w: r.w, h: r.h, c: r.c };
+        if (rotation === 270) return { x: 1 - r.y - r.h, y: r.x, w: r.h, h: r.w, c: r.c };
+        return r;
+    }
+
+    function rotateRect(r, rotation) {
+        if (rotation === 90) return { x: 1 - r.y - r.h, y: r.x, w: r.h, h: r.w, c: r.c };
+        if (rotation === 180) return { x: 1 - r.x - r.w, y: 1 - r.y - r.h, w: r.w, h: r.h, c: r.c };
+        if (rotation === 270) return { x: r.y, y: 1 - r.x - r.w, w: r.h, h: r.w, c: r.c };
+        return r;
+    }
+
     function saveTextHighlights(pageNum, pageDiv) {
         const container = pageDiv.querySelector('.textHighlightContainer');
-        if (container) {
-            const key = `textHighlight_${pageNum}`;
-            localStorage.setItem(key, container.innerHTML);
+        if (!container) return;
+
+        const rotation = pdfViewer.pagesRotation || 0;
+        const rects = Array.from(container.querySelectorAll('.textHighlight')).map(el => unrotateRect({
+            x: parseFloat(el.style.left) / 100,
+            y: parseFloat(el.style.top) / 100,
+            w: parseFloat(el.style.width) / 100,
+            h: parseFloat(el.style.height) / 100,
+            c: el.dataset.color || el.style.background,
+        }, rotation));
+
+        if (rects.length) {
+            highlightDoc.pages[pageNum] = rects;
+        } else {
+            delete highlightDoc.pages[pageNum];
         }
+        persistHighlights();
+        refreshNotesList();
     }
 
     function loadTextHighlights(pageNum, pageDiv) {
-        const key = `textHighlight_${pageNum}`;
-        const saved = localStorage.getItem(key);
-        if (saved) {
-            let container = pageDiv.querySelector('.textHighlightContainer');
-            if (!container) {
-                container = document.createElement('div');
-                container.className = 'textHighlightContainer';
-                container.style.cssText = 'position:absolute;top:0;left:0;right:0;bottom:0;pointer-events:none;z-index:5;';
-                pageDiv.insertBefore(container, pageDiv.firstChild);
-            }
-            container.innerHTML = saved;
+        const rects = highlightDoc.pages[pageNum];
+        let container = pageDiv.querySelector('.textHighlightContainer');
+        if (!rects && !container) return;
+
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'textHighlightContainer';
+            container.style.cssText = 'position:absolute;top:0;left:0;right:0;bottom:0;pointer-events:none;z-index:5;';
+            pageDiv.insertBefore(container, pageDiv.firstChild);
         }
+        container.replaceChildren();
+
+        const rotation = pdfViewer.pagesRotation || 0;
+        (rects || []).forEach(saved => {
+            const rect = rotateRect(saved, rotation);
+            const div = document.createElement('div');
+            div.className = 'textHighlight';
+            div.dataset.color = rect.c;
+            div.style.left = (rect.x * 100) + '%';
+            div.style.top = (rect.y * 100) + '%';
+            div.style.width = (rect.w * 100) + '%';
+            div.style.height = (rect.h * 100) + '%';
+            div.style.background = rect.c;
+            div.style.opacity = '0.35';
+            container.appendChild(div);
+        });
     }
 
     function showHighlightPopup(x, y, pageDiv, rects) {
@@ -1618,7 +3633,7 @@
         colors.forEach(color => {
             const btn = document.createElement('button');
             btn.style.background = color;
-            btn.title = 'Vurgula';
+            btn.title = t('highlight');
             btn.onclick = (e) => {
                 e.stopPropagation();
                 createTextHighlights(pageDiv, rects, color);
@@ -1683,18 +3698,19 @@
     // Create selection toolbar for touch devices
     const selectionToolbar = document.createElement('div');
     selectionToolbar.className = 'selection-toolbar';
+    selectionToolbar.dataset.label = t('selected-item');
     selectionToolbar.innerHTML = `
-    <button data-action="copy" title="Kopyala (Ctrl+C)">
+    <button data-action="copy" title="${t('copy')} (Ctrl+C)">
         <svg viewBox="0 0 24 24"><path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/></svg>
-        <span>Kopyala</span>
+        <span>${t('copy')}</span>
     </button>
-    <button data-action="duplicate" title="Çoğalt">
+    <button data-action="duplicate" title="${t('duplicate')}">
         <svg viewBox="0 0 24 24"><path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm-2 10h-4v4h-2v-4H7v-2h4V7h2v4h4v2z"/></svg>
-        <span>Çoğalt</span>
+        <span>${t('duplicate')}</span>
     </button>
-    <button data-action="delete" class="delete" title="Sil (Del)">
+    <button data-action="delete" class="delete" title="${t('delete')} (Del)">
         <svg viewBox="0 0 24 24"><path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/></svg>
-        <span>Sil</span>
+        <span>${t('delete')}</span>
     </button>
 `;
     document.body.appendChild(selectionToolbar);
@@ -1707,14 +3723,14 @@
         const action = btn.dataset.action;
         if (action === 'copy') {
             copySelectedAnnotation();
-            showToast('Kopyalandı!');
+            showToast(t('copied'));
         } else if (action === 'duplicate') {
             copySelectedAnnotation();
             pasteAnnotation();
-            showToast('Çoğaltıldı!');
+            showToast(t('duplicated'));
         } else if (action === 'delete') {
             deleteSelectedAnnotation();
-            showToast('Silindi!');
+            showToast(t('deleted'));
         }
     });
 
@@ -1889,32 +3905,15 @@
     }
 
     // Convert screen delta (dx,dy pixels) to viewBox delta
-    // If element is inside a rotated <g>, counter-rotate the delta
-    function screenDeltaToViewBox(svg, dxScreen, dyScreen, element) {
+    function screenDeltaToViewBox(svg, dxScreen, dyScreen) {
         const rect = svg.getBoundingClientRect();
         const vbW = parseFloat(svg.dataset.viewboxWidth);
         const vbH = parseFloat(svg.dataset.viewboxHeight);
 
-        let dx = dxScreen * (vbW / rect.width);
-        let dy = dyScreen * (vbH / rect.height);
-
-        // Check if element is inside a rotated <g> wrapper
-        if (element) {
-            const parentG = element.parentElement;
-            if (parentG && parentG.tagName === 'g' && parentG.getAttribute('transform')) {
-                const t = parentG.getAttribute('transform');
-                const rotMatch = t.match(/rotate\((\d+)\)/);
-                if (rotMatch) {
-                    const rot = parseInt(rotMatch[1]);
-                    // Counter-rotate the delta to match <g>'s local coordinate system
-                    if (rot === 90) { const tmp = dx; dx = dy; dy = -tmp; }
-                    else if (rot === 180) { dx = -dx; dy = -dy; }
-                    else if (rot === 270) { const tmp = dx; dx = -dy; dy = tmp; }
-                }
-            }
-        }
-
-        return { dx, dy };
+        return {
+            dx: dxScreen * (vbW / rect.width),
+            dy: dyScreen * (vbH / rect.height),
+        };
     }
 
     // Handle select tool events (both mouse and touch)
@@ -1945,7 +3944,6 @@
             marqueeRect.setAttribute('height', 0);
             svg.appendChild(marqueeRect);
 
-            let marqueeRAF = null;
             function onMarqueeMove(ev) {
                 if (!marqueeActive || !marqueeRect) return;
                 ev.preventDefault();
@@ -1953,21 +3951,15 @@
                 const moveCoords = getEventCoords(ev);
                 const mpt = screenToViewBox(marqueeSvg, moveCoords.clientX, moveCoords.clientY);
 
-                if (!marqueeRAF) {
-                    marqueeRAF = requestAnimationFrame(() => {
-                        marqueeRAF = null;
-                        if (!marqueeRect) return;
-                        const x = Math.min(marqueeStartX, mpt.x);
-                        const y = Math.min(marqueeStartY, mpt.y);
-                        const w = Math.abs(mpt.x - marqueeStartX);
-                        const h = Math.abs(mpt.y - marqueeStartY);
-
-                        marqueeRect.setAttribute('x', x);
-                        marqueeRect.setAttribute('y', y);
-                        marqueeRect.setAttribute('width', w);
-                        marqueeRect.setAttribute('height', h);
-                    });
-                }
+                const x = Math.min(marqueeStartX, mpt.x);
+                const y = Math.min(marqueeStartY, mpt.y);
+                const w = Math.abs(mpt.x - marqueeStartX);
+                const h = Math.abs(mpt.y - marqueeStartY);
+
+                marqueeRect.setAttribute('x', x);
+                marqueeRect.setAttribute('y', y);
+                marqueeRect.setAttribute('width', w);
+                marqueeRect.setAttribute('height', h);
             }
 
             function onMarqueeEnd(ev) {
@@ -2055,7 +4047,7 @@
                 const dyScreen = moveCoords.clientY - annotationDragStartY;
 
                 // Convert screen delta to viewBox delta (rotation-aware)
-                const vbDelta = screenDeltaToViewBox(svg, dxScreen, dyScreen, target);
+                const vbDelta = screenDeltaToViewBox(svg, dxScreen, dyScreen);
 
                 // Move the element
                 moveAnnotation(target, vbDelta.dx, vbDelta.dy);
@@ -2114,24 +4106,17 @@
 
             multiSelectedAnnotations.forEach(el => el.classList.add('annotation-dragging'));
 
-            let multiDragRAF = null;
-            let accDx = 0, accDy = 0;
             function onMove(ev) {
                 ev.preventDefault();
                 const moveCoords = getEventCoords(ev);
-                accDx += moveCoords.clientX - lastX;
-                accDy += moveCoords.clientY - lastY;
+                const dx = moveCoords.clientX - lastX;
+                const dy = moveCoords.clientY - lastY;
+                const vbDelta = screenDeltaToViewBox(svg, dx, dy);
+
+                multiSelectedAnnotations.forEach(el => moveAnnotation(el, vbDelta.dx, vbDelta.dy));
+
                 lastX = moveCoords.clientX;
                 lastY = moveCoords.clientY;
-
-                if (!multiDragRAF) {
-                    multiDragRAF = requestAnimationFrame(() => {
-                        multiDragRAF = null;
-                        const vbDelta = screenDeltaToViewBox(svg, accDx, accDy, multiSelectedAnnotations[0]);
-                        accDx = 0; accDy = 0;
-                        multiSelectedAnnotations.forEach(el => moveAnnotation(el, vbDelta.dx, vbDelta.dy));
-                    });
-                }
             }
 
             function onEnd() {
@@ -2239,6 +4224,9 @@
 
         const key = e.key.toLowerCase();
 
+        // Compact embeds have no tools - only the paging keys below
+        if (compactMode && !['arrowleft', 'arrowup', 'arrowright', 'arrowdown', 'home', 'end'].includes(key)) return;
+
         // Tool shortcuts
         if (key === 'h') { setTool('highlight'); e.preventDefault(); }
         if (key === 'p') { setTool('pen'); e.preventDefault(); }
@@ -2246,7 +4234,7 @@
         if (key === 't') { setTool('text'); e.preventDefault(); }
         if (key === 'r') { setTool('shape'); e.preventDefault(); }
         if (key === 'v') { setTool('select'); e.preventDefault(); }
-        if (key === 'f') { toggleFullscreen(); e.preventDefault(); }
+        if (key === 'f' && !e.ctrlKey && !e.metaKey) { toggleFullscreen(); e.preventDefault(); }
 
         // Delete selected annotation(s)
         if ((key === 'delete' || key === 'backspace') && (selectedAnnotation || multiSelectedAnnotations.length > 0)) {
@@ -2349,34 +4337,34 @@
     contextMenu.innerHTML = `
     <div class="contextMenuItem" data-action="highlight">
         <svg viewBox="0 0 24 24"><path d="M3 21h18v-2H3v2zM5 16h14l-3-10H8l-3 10z"/></svg>
-        Vurgula
+        ${t('highlight')}
         <span class="shortcutHint">H</span>
     </div>
     <div class="contextMenuItem" data-action="pen">
         <svg viewBox="0 0 24 24"><path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/></svg>
-        Kalem
+        ${t('pen')}
         <span class="shortcutHint">P</span>
     </div>
     <div class="contextMenuItem" data-action="text">
         <svg viewBox="0 0 24 24"><path d="M5 4v3h5.5v12h3V7H19V4H5z"/></svg>
-        Metin Ekle
+        ${t('add-text')}
         <span class="shortcutHint">T</span>
     </div>
     <div class="contextMenuDivider"></div>
     <div class="contextMenuItem" data-action="zoomIn">
         <svg viewBox="0 0 24 24"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/></svg>
-        Yakınlaştır
+        ${t('zoom-in')}
         <span class="shortcutHint">Ctrl++</span>
     </div>
     <div class="contextMenuItem" data-action="zoomOut">
         <svg viewBox="0 0 24 24"><path d="M19 13H5v-2h14v2z"/></svg>
-        Uzaklaştır
+        ${t('zoom-out')}
         <span class="shortcutHint">Ctrl+-</span>
     </div>
     <div class="contextMenuDivider"></div>
     <div class="contextMenuItem" data-action="sepia">
         <svg viewBox="0 0 24 24"><path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5z"/></svg>
-        Okuma Modu
+        ${t('reading-mode')}
         <span class="shortcutHint">M</span>
     </div>
 `;
@@ -2417,12 +4405,16 @@
     // ERGONOMIC FEATURES
     // ==========================================
 
-    // Fullscreen toggle function
+    // Fullscreen toggle function (with webkit fallback for iOS Safari)
     function toggleFullscreen() {
-        if (document.fullscreenElement) {
-            document.exitFullscreen();
+        const fsEl = document.fullscreenElement || document.webkitFullscreenElement;
+        if (fsEl) {
+            if (document.exitFullscreen) document.exitFullscreen();
+            else if (document.webkitExitFullscreen) document.webkitExitFullscreen();
         } else {
-            document.documentElement.requestFullscreen().catch(() => { });
+            const el = document.documentElement;
+            if (el.requestFullscreen) el.requestFullscreen().catch(() => { });
+            else if (el.webkitRequestFullscreen) el.webkitRequestFullscreen();
         }
     }
 
@@ -2430,7 +4422,8 @@
     function updateFullscreenIcon() {
         const icon = document.getElementById('fullscreenIcon');
         const btn = document.getElementById('fullscreenBtn');
-        if (document.fullscreenElement) {
+        const fsEl = document.fullscreenElement || document.webkitFullscreenElement;
+        if (fsEl) {
             icon.innerHTML = '<path d="M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z"/>';
             btn.classList.add('active');
         } else {
@@ -2440,42 +4433,23 @@
     }
 
     document.addEventListener('fullscreenchange', updateFullscreenIcon);
+    document.addEventListener('webkitfullscreenchange', updateFullscreenIcon);
 
     // Fullscreen button click
     document.getElementById('fullscreenBtn').onclick = () => toggleFullscreen();
 
-    // Double-click on page for fullscreen
-    let lastClickTime = 0;
-    container.addEventListener('click', (e) => {
-        const now = Date.now();
-        if (now - lastClickTime < 300) {
-            toggleFullscreen();
-        }
-        lastClickTime = now;
-    });
 
-    // Auto-fullscreen when viewer loads inside iframe
-    if (window.self !== window.top && window.PDF_SECURE_CONFIG) {
-        // We're inside an iframe - request fullscreen on first user interaction
-        const autoFullscreen = () => {
-            document.documentElement.requestFullscreen().catch(() => { });
-            container.removeEventListener('click', autoFullscreen);
-            container.removeEventListener('touchstart', autoFullscreen);
-        };
-        container.addEventListener('click', autoFullscreen, { once: true });
-        container.addEventListener('touchstart', autoFullscreen, { once: true });
-    }
 
-    // Mouse wheel zoom with Ctrl (debounced, clamped 0.5x-5x)
-    let zoomTimeout;
+    // Mouse wheel zoom with Ctrl
     container.addEventListener('wheel', (e) => {
-        if (!e.ctrlKey) return;
-        e.preventDefault();
-        clearTimeout(zoomTimeout);
-        const delta = e.deltaY < 0 ? 0.1 : -0.1;
-        zoomTimeout = setTimeout(() => {
-            pdfViewer.currentScale = Math.max(0.5, Math.min(5, pdfViewer.currentScale + delta));
-        }, 30);
+        if (e.ctrlKey) {
+            e.preventDefault();
+            if (e.deltaY < 0) {
+                pdfViewer.currentScale += 0.1;
+            } else {
+                pdfViewer.currentScale -= 0.1;
+            }
+        }
     }, { passive: false });
 
     console.log('PDF Viewer Ready');
@@ -2548,17 +4522,25 @@
         setupResponsiveToolbar();
     });
 
-    // Also handle resize for orientation changes
+    // Also handle resize for orientation changes (debounced)
+    let resizeTimer;
     window.addEventListener('resize', () => {
-        setupResponsiveToolbar();
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(setupResponsiveToolbar, 150);
     });
 
     // ==========================================
-    // PINCH-TO-ZOOM (Touch devices)
+    // PINCH-TO-ZOOM (Touch devices) - Smooth CSS Transform
     // ==========================================
     let pinchStartDistance = 0;
     let pinchStartScale = 1;
     let isPinching = false;
+    let pinchMidX = 0;
+    let pinchMidY = 0;
+    let pinchVisualRatio = 1;
+
+    // The viewer div that holds PDF pages
+    const viewerDiv = document.getElementById('viewer');
 
     function getTouchDistance(touches) {
         const dx = touches[0].clientX - touches[1].clientX;
@@ -2566,11 +4548,40 @@
         return Math.sqrt(dx * dx + dy * dy);
     }
 
+    function getTouchMidpoint(touches) {
+        return {
+            x: (touches[0].clientX + touches[1].clientX) / 2,
+            y: (touches[0].clientY + touches[1].clientY) / 2,
+        };
+    }
+
     container.addEventListener('touchstart', (e) => {
-        if (e.touches.length === 2 && !currentTool) {
+        if (e.touches.length === 2) {
+            // Cancel any active drawing and clean up
+            if (isDrawing && currentDrawingPage) {
+                if (currentPath && currentPath.parentNode) currentPath.remove();
+                currentPath = null;
+                pathSegments = [];
+                if (drawRAF) { cancelAnimationFrame(drawRAF); drawRAF = null; }
+                isDrawing = false;
+                currentSvg = null;
+                currentDrawingPage = null;
+            }
             isPinching = true;
             pinchStartDistance = getTouchDistance(e.touches);
             pinchStartScale = pdfViewer.currentScale;
+            pinchVisualRatio = 1;
+
+            // Get midpoint relative to container
+            const mid = getTouchMidpoint(e.touches);
+            const rect = container.getBoundingClientRect();
+            pinchMidX = mid.x - rect.left + container.scrollLeft;
+            pinchMidY = mid.y - rect.top + container.scrollTop;
+
+            // Prepare for CSS transform - use will-change for GPU acceleration
+            viewerDiv.style.willChange = 'transform';
+            viewerDiv.style.transformOrigin = pinchMidX + 'px ' + pinchMidY + 'px';
+
             e.preventDefault();
         }
     }, { passive: false });
@@ -2579,23 +4590,84 @@
         if (isPinching && e.touches.length === 2) {
             const dist = getTouchDistance(e.touches);
             const ratio = dist / pinchStartDistance;
-            const newScale = Math.min(Math.max(pinchStartScale * ratio, 0.5), 5.0);
-            pdfViewer.currentScale = newScale;
+            // Clamp the target scale
+            const targetScale = pinchStartScale * ratio;
+            const clampedScale = Math.min(Math.max(targetScale, 0.5), 5.0);
+            pinchVisualRatio = clampedScale / pinchStartScale;
+
+            // Apply CSS transform for instant smooth visual feedback (no re-render)
+            viewerDiv.style.transform = 'scale(' + pinchVisualRatio + ')';
+
             e.preventDefault();
         }
     }, { passive: false });
 
     container.addEventListener('touchend', (e) => {
-        if (e.touches.length < 2) {
+        if (isPinching && e.touches.length < 2) {
             isPinching = false;
+
+            // Remove CSS transform
+            viewerDiv.style.transform = '';
+            viewerDiv.style.willChange = '';
+            viewerDiv.style.transformOrigin = '';
+
+            // Apply actual scale (triggers PDF re-render only once)
+            const finalScale = Math.min(Math.max(pinchStartScale * pinchVisualRatio, 0.5), 5.0);
+            if (Math.abs(finalScale - pdfViewer.currentScale) > 0.01) {
+                pdfViewer.currentScale = finalScale;
+            }
+            pinchVisualRatio = 1;
+        }
+    });
+
+    container.addEventListener('touchcancel', () => {
+        if (isPinching) {
+            isPinching = false;
+            viewerDiv.style.transform = '';
+            viewerDiv.style.willChange = '';
+            viewerDiv.style.transformOrigin = '';
+            pinchVisualRatio = 1;
         }
     });
 
+    // ==========================================
+    // TOUCH SCROLL BOUNDARY (Prevent exit on tablet)
+    // ==========================================
+    // On touch devices, prevent scroll from escaping the container
+    // when at the top/bottom boundary. Only fullscreen button should exit.
+    (function initTouchScrollBoundary() {
+        if (!isTouch()) return;
+
+        let touchStartY = 0;
+
+        container.addEventListener('touchstart', (e) => {
+            if (e.touches.length === 1) {
+                touchStartY = e.touches[0].clientY;
+            }
+        }, { passive: true });
+
+        container.addEventListener('touchmove', (e) => {
+            // Skip if pinching
+            if (isPinching || e.touches.length !== 1) return;
+
+            const touchY = e.touches[0].clientY;
+            const deltaY = touchStartY - touchY; // positive = scrolling down
+
+            const atTop = container.scrollTop <= 0;
+            const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 1;
+
+            // Prevent overscroll at boundaries
+            if ((atTop && deltaY < 0) || (atBottom && deltaY > 0)) {
+                e.preventDefault();
+            }
+        }, { passive: false });
+    })();
+
     // ==========================================
     // CONTEXT MENU TOUCH HANDLING
     // ==========================================
-    // On pure touch devices (no fine pointer), don't show custom context menu
-    if (isTouch() && !window.matchMedia('(pointer: fine)').matches) {
+    // On pure touch devices (no fine pointer) and in compact embeds, don't show custom context menu
+    if (compactMode || (isTouch() && !window.matchMedia('(pointer: fine)').matches)) {
         container.removeEventListener('contextmenu', showCustomContextMenu);
     }
 
@@ -2604,37 +4676,114 @@
     // ==========================================
 
     (function initSecurityFeatures() {
-        // 1. Block dangerous keyboard shortcuts (consolidated)
-        const blockedCtrlKeys = new Set(['s', 'p', 'u']);
-        const blockedCtrlShiftKeys = new Set(['s', 'i', 'j', 'c']);
+        console.log('[Security] Initializing protection features...');
+
+        // 1. Block dangerous keyboard shortcuts
         document.addEventListener('keydown', function (e) {
-            const key = e.key.toLowerCase();
-            if (e.key === 'F12') { e.preventDefault(); return; }
-            if (e.ctrlKey && e.shiftKey && blockedCtrlShiftKeys.has(key)) { e.preventDefault(); return; }
-            if (e.ctrlKey && !e.shiftKey && blockedCtrlKeys.has(key)) { e.preventDefault(); return; }
+            // Ctrl+S (Save)
+            if (e.ctrlKey && e.key === 's') {
+                e.preventDefault();
+                console.log('[Security] Ctrl+S blocked');
+                return false;
+            }
+            // Ctrl+P (Print)
+            if (e.ctrlKey && e.key === 'p') {
+                e.preventDefault();
+                console.log('[Security] Ctrl+P blocked');
+                return false;
+            }
+            // Ctrl+Shift+S (Save As)
+            if (e.ctrlKey && e.shiftKey && e.key === 'S') {
+                e.preventDefault();
+                return false;
+            }
+            // F12 (DevTools)
+            if (e.key === 'F12') {
+                e.preventDefault();
+                console.log('[Security] F12 blocked');
+                return false;
+            }
+            // Ctrl+Shift+I (DevTools)
+            if (e.ctrlKey && e.shiftKey && e.key === 'I') {
+                e.preventDefault();
+                return false;
+            }
+            // Ctrl+Shift+J (Console)
+            if (e.ctrlKey && e.shiftKey && e.key === 'J') {
+                e.preventDefault();
+                return false;
+            }
+            // Ctrl+U (View Source)
+            if (e.ctrlKey && e.key === 'u') {
+                e.preventDefault();
+                return false;
+            }
+            // Ctrl+Shift+C (Inspect Element)
+            if (e.ctrlKey && e.shiftKey && e.key === 'C') {
+                e.preventDefault();
+                return false;
+            }
         }, true);
 
-        // 2. Block context menu (right-click) - skip annotation layer custom menu
+        // 2. Block context menu (right-click) - EVERYWHERE
         document.addEventListener('contextmenu', function (e) {
-            if (e.target.closest('.annotationLayer')) return;
             e.preventDefault();
+            e.stopPropagation();
+            return false;
+        }, true);
+
+        // 3. Block copy/cut/paste
+        document.addEventListener('copy', function (e) {
+            e.preventDefault();
+            console.log('[Security] Copy blocked');
+            return false;
         }, true);
 
-        // 3. Block copy/cut
-        document.addEventListener('copy', (e) => { e.preventDefault(); }, true);
-        document.addEventListener('cut', (e) => { e.preventDefault(); }, true);
+        document.addEventListener('cut', function (e) {
+            e.preventDefault();
+            return false;
+        }, true);
 
-        // 4. Block drag events
-        document.addEventListener('dragstart', (e) => { e.preventDefault(); }, true);
+        // 4. Block drag events (prevent dragging content out)
+        document.addEventListener('dragstart', function (e) {
+            e.preventDefault();
+            return false;
+        }, true);
 
-        // 5. Block Print
+        // 5. Block Print via window.print override
         window.print = function () {
-            alert('Yazdırma bu belgede engellenmiştir.');
+            console.log('[Security] Print function blocked');
+            alert(t('print-blocked'));
+            return false;
         };
 
-        // 6. Print event protection
-        window.addEventListener('beforeprint', () => { document.body.style.display = 'none'; });
-        window.addEventListener('afterprint', () => { document.body.style.display = ''; });
+        // 6. Disable beforeprint event
+        window.addEventListener('beforeprint', function (e) {
+            e.preventDefault();
+            document.body.style.display = 'none';
+        });
+
+        window.addEventListener('afterprint', function () {
+            document.body.style.display = '';
+        });
+
+        // 7. Block screenshot keyboard shortcuts
+        document.addEventListener('keyup', function (e) {
+            // PrintScreen key
+            if (e.key === 'PrintScreen') {
+                navigator.clipboard.writeText('');
+                console.log('[Security] PrintScreen clipboard cleared');
+            }
+        }, true);
+
+        // 8. Visibility change detection (tab switching for screenshots)
+        document.addEventListener('visibilitychange', function () {
+            if (document.hidden) {
+                console.log('[Security] Tab hidden');
+            }
+        });
+
+        console.log('[Security] All protection features initialized');
     })();
 
     // End of main IIFE - pdfDoc, pdfViewer not accessible from console
@@ -38,4 +38,453 @@ describe('nodebb-plugin-pdf-secure', () => {
 		const config = await db.getObject('config');
 		assert(config);
 	});
+
+	describe('viewing policy levels', () => {
+		const policy = require('../lib/policy');
+
+		it('should order levels from blocked to download', () => {
+			assert(policy.allows('download', 'full'));
+			assert(policy.allows('full', 'preview'));
+			assert(!policy.allows('preview', 'full'));
+		});
+
+		it('should pick the most restrictive level', () => {
+			assert.strictEqual(policy.min('download', 'preview'), 'preview');
+			assert.strictEqual(policy.min('full', 'blocked', 'download'), 'blocked');
+		});
+
+		it('should send page images only to users who cannot download', () => {
+			assert.strictEqual(policy.getDeliveryMode({ deliveryMode: 'image' }, 'full'), 'image');
+			assert.strictEqual(policy.getDeliveryMode({ deliveryMode: 'image' }, 'download'), 'pdf');
+			assert.strictEqual(policy.getDeliveryMode({ deliveryMode: 'pdf' }, 'preview'), 'pdf');
+		});
+	});
+
+	describe('preview page specs', () => {
+		const pdfHandler = require('../lib/pdf-handler');
+
+		it('should treat a bare number as the first N pages', () => {
+			assert.deepStrictEqual(pdfHandler.getPageIndices('3', 10), [0, 1, 2]);
+		});
+
+		it('should resolve ranges and clamp them to the page count', () => {
+			assert.deepStrictEqual(pdfHandler.getPageIndices('1-3,10', 5), [0, 1, 2]);
+			assert.deepStrictEqual(pdfHandler.getPageIndices('2,2-4', 10), [1, 2, 3]);
+		});
+
+		it('should fall back to the first page for invalid specs', () => {
+			assert.deepStrictEqual(pdfHandler.getPageIndices('abc', 5), [0]);
+			assert.deepStrictEqual(pdfHandler.getPageIndices('', 5), [0]);
+		});
+
+		it('should keep single pages unambiguous when normalized', () => {
+			const spec = pdfHandler.normalizePageSpec('5-5');
+			assert.deepStrictEqual(pdfHandler.getPageIndices(spec, 10), [4]);
+		});
+	});
+
+	describe('annotation storage', () => {
+		const annotations = require('../lib/annotations');
+
+		it('should accept markup produced by the drawing tools', () => {
+			assert(annotations.isSafeSvg('<g transform="rotate(90)"><path d="M1 2L3 4" stroke="#e81224"></path></g>'));
+			assert(annotations.isSafeSvg('<text x="1" y="2">a &lt;b&gt; href</text>'));
+		});
+
+		it('should reject scripts, event handlers and external references', () => {
+			assert(!annotations.isSafeSvg('<script>alert(1)</script>'));
+			assert(!annotations.isSafeSvg('<path onload="alert(1)"></path>'));
+			assert(!annotations.isSafeSvg('<rect style="fill:url(https://example.com/x)"></rect>'));
+			assert(!annotations.isSafeSvg('<image href="https://example.com/x"></image>'));
+		});
+
+		it('should only keep allowed elements and attribute values', () => {
+			assert.strictEqual(annotations.sanitizeSvg('<script>alert(1)</script><path d="M1 2" onload="alert(1)"></path>'), '<path d="M1 2"></path>');
+			assert.strictEqual(annotations.sanitizeSvg('<text x="a>b" onmouseover="alert(1)">hi</text>'), '<text>hi</text>');
+			assert.strictEqual(annotations.sanitizeSvg('<path d="M0 0>" onload="alert(1)"></path>'), '<path></path>');
+			assert.strictEqual(annotations.sanitizeSvg('<rect x=">" style="fill:u\\72l(x)"></rect>'), '<rect></rect>');
+			assert.strictEqual(annotations.sanitizeSvg('<g><image href="x"><rect></rect></image></g>'), '<g></g>');
+			assert.strictEqual(annotations.sanitizeSvg(42), null);
+		});
+
+		it('should round-trip a page for its owner only', async () => {
+			await annotations.setPage(1, 'test.pdf', 2, { svg: '<rect x="1"></rect>', rotation: 90 });
+			assert.deepStrictEqual(await annotations.get(1, 'test.pdf'), { 2: { svg: '<rect x="1"></rect>', rotation: 90 } });
+			assert.deepStrictEqual(await annotations.get(2, 'test.pdf'), {});
+			await annotations.deletePage(1, 'test.pdf', 2);
+			assert.deepStrictEqual(await annotations.get(1, 'test.pdf'), {});
+		});
+
+		it('should only expose published layers', async () => {
+			await annotations.setPage(1, 'shared.pdf', 1, { svg: '<rect x="1"></rect>', rotation: 0 });
+			assert.strictEqual(await annotations.getSharedLayer(1, 'shared.pdf'), null);
+
+			await annotations.setShared(1, 'shared.pdf', true);
+			assert.deepStrictEqual(await annotations.getSharedLayer(1, 'shared.pdf'), { 1: { svg: '<rect x="1"></rect>', rotation: 0 } });
+
+			await annotations.setShared(1, 'shared.pdf', false);
+			assert.strictEqual(await annotations.getSharedLayer(1, 'shared.pdf'), null);
+		});
+
+		it('should sanitize published layers on the way out', async () => {
+			await db.setObjectField('pdf-secure:annotations:1:unsafe.pdf', '1', JSON.stringify({ svg: '<text x="a>b" onmouseover="alert(1)">hi</text>' }));
+			await annotations.setShared(1, 'unsafe.pdf', true);
+			assert.deepStrictEqual(await annotations.getSharedLayer(1, 'unsafe.pdf'), { 1: { svg: '<text>hi</text>', rotation: 0 } });
+		});
+	});
+
+	describe('annotation export', () => {
+		const { PDFDocument } = require('pdf-lib');
+		const flatten = require('../lib/flatten');
+		const markup = require('../lib/markup');
+
+		it('should parse the markup the viewer saves', () => {
+			const tree = markup.parse('<g transform="rotate(90)"><line x1="1" y1="2" x2="3" y2="4"></line><text x="5">a &amp; b</text></g>');
+			assert.strictEqual(tree.children[0].children[0].attributes.x1, '1');
+			assert.strictEqual(tree.children[0].children[1].children[0].text, 'a & b');
+		});
+
+		it('should only accept colors and fractions for text highlights', () => {
+			assert.deepStrictEqual(flatten.parseColor('#f00'), { r: 1, g: 0, b: 0 });
+			assert.strictEqual(flatten.parseColor('none'), null);
+			assert.deepStrictEqual(flatten.parseHighlights({ 1: [{ x: 0.1, y: 0.2, w: 0.3, h: 0.05, c: '#fff100' }, { x: 2, y: 0, w: 1, h: 1, c: '#000' }] }), {
+				1: [{ x: 0.1, y: 0.2, w: 0.3, h: 0.05, c: '#fff100' }],
+			});
+		});
+
+		it('should burn annotations into a copy of the document', async () => {
+			const doc = await PDFDocument.create();
+			doc.addPage([600, 800]);
+			doc.addPage([600, 800]);
+			const original = Buffer.from(await doc.save());
+
+			const flattened = await flatten.apply(original, {
+				pages: { 2: { svg: '<rect x="10" y="10" width="100" height="50" stroke="#e81224" fill="none"></rect>', rotation: 90 } },
+				highlights: {},
+			});
+			const result = await PDFDocument.load(flattened);
+			assert.strictEqual(result.getPageCount(), 2);
+			assert(flattened.length > original.length);
+		});
+	});
+
+	describe('annotation interchange', () => {
+		const { PDFDocument } = require('pdf-lib');
+		const interchange = require('../lib/interchange');
+
+		const notes = {
+			pages: {
+				1: {
+					svg: '<rect x="100" y="100" width="200" height="100" stroke="#e81224" stroke-width="4" fill="none"></rect>' +
+						'<line x1="50" y1="700" x2="250" y2="650" stroke="#0000ff" stroke-width="3" fill="none"></line>' +
+						'<path d="M250,650 L240,660 M250,650 L238,645" stroke="#0000ff" stroke-width="3" fill="none"></path>' +
+						'<text x="100" y="300" fill="#0000ff" font-size="20">a &amp; b</text>',
+					rotation: 0,
+				},
+			},
+			highlights: { 1: [{ x: 0.5, y: 0.5, w: 0.25, h: 0.05, c: '#fff100' }] },
+		};
+		let original;
+
+		before(async () => {
+			const doc = await PDFDocument.create();
+			doc.addPage([600, 800]);
+			original = Buffer.from(await doc.save());
+		});
+
+		it('should map the drawing tools to standard annotation types', async () => {
+			const doc = await PDFDocument.load(original);
+			const records = interchange.getRecords(doc, notes);
+			assert.deepStrictEqual(records.map(record => record.type), ['highlight', 'square', 'line', 'freetext']);
+			assert.deepStrictEqual(records[2].endings, ['None', 'OpenArrow']);
+			assert.deepStrictEqual(records[1].rect, [98, 598, 302, 702]);
+		});
+
+		it('should round-trip notes through XFDF', async () => {
+			const xfdf = await interchange.toXfdf(original, notes, { filename: 'test.pdf', author: 'tester' });
+			const result = await interchange.importNotes(original, Buffer.from(xfdf), {});
+			assert.strictEqual(result.imported, 4);
+			assert.strictEqual(result.skipped, 0);
+			assert(result.pages[1].svg.startsWith('<rect x="100" y="100" width="200" height="100"'));
+			assert(result.pages[1].svg.includes('>a &amp; b</text>'));
+			assert.strictEqual(result.highlights[1].length, 1);
+		});
+
+		it('should read back native PDF annotations', async () => {
+			const annotated = await interchange.toPdf(original, notes, { author: 'tester' });
+			const { records } = await interchange.readPdf(annotated);
+			assert.deepStrictEqual(records.map(record => record.type), ['highlight', 'square', 'line', 'freetext']);
+			assert.strictEqual(records[3].contents, 'a & b');
+		});
+
+		it('should reject uploads that are neither XFDF nor PDF', async () => {
+			await assert.rejects(interchange.importNotes(original, Buffer.from('<html></html>'), {}), /XFDF/);
+		});
+	});
+
+	describe('pdf text search', () => {
+		const { PDFDocument, StandardFonts } = require('pdf-lib');
+		const search = require('../lib/search');
+
+		it('should match words regardless of case and diacritics', () => {
+			assert.deepStrictEqual(search.getWords('Işık IŞIK işık, ÇAĞ a'), ['isik', 'cag']);
+			assert.strictEqual(search.fold('Ağaç İzmir').length, 'Ağaç İzmir'.length);
+		});
+
+		it('should find PDFs in raw and parsed post content', () => {
+			assert.deepStrictEqual(search.getFilenames('[a](/assets/uploads/files/123-notes%201.pdf) ![b](/assets/uploads/files/x.png)'), ['123-notes 1.pdf']);
+			assert.deepStrictEqual(search.getFilenames('<div class="pdf-secure-placeholder" data-filename="lecture.pdf">'), ['lecture.pdf']);
+		});
+
+		it('should extract the text of every page', async () => {
+			const doc = await PDFDocument.create();
+			const font = await doc.embedFont(StandardFonts.Helvetica);
+			doc.addPage([600, 800]);
+			doc.addPage([600, 800]).drawText('Thermodynamics lecture', { x: 50, y: 700, font: font });
+			const pages = await search.extractPages(Buffer.from(await doc.save()));
+			assert.deepStrictEqual(pages, ['', 'Thermodynamics lecture']);
+		});
+	});
+
+	describe('upload processing', () => {
+		const processing = require('../lib/processing');
+
+		it('should record files that cannot be processed', async () => {
+			await processing.processFile('missing-upload.pdf');
+			const record = await processing.get('missing-upload.pdf');
+			assert.strictEqual(record.status, 'failed');
+			assert.strictEqual(record.error, 'File not found');
+		});
+	});
+
+	describe('upload scanning', () => {
+		const { PDFDocument, PDFName, PDFString } = require('pdf-lib');
+		const scanner = require('../lib/scanner');
+
+		async function createPdf(modify) {
+			const doc = await PDFDocument.create();
+			doc.addPage([600, 800]);
+			await modify(doc);
+			return Buffer.from(await doc.save());
+		}
+
+		it('should accept plain documents and reject files that are not PDFs', async () => {
+			assert.deepStrictEqual((await scanner.scan(await createPdf(() => {}))).reasons, []);
+			assert.deepStrictEqual((await scanner.scan(Buffer.from('<html></html>'))).reasons, ['malformed']);
+		});
+
+		it('should find scripts, launch actions and embedded executables', async () => {
+			const pdf = await createPdf(async (doc) => {
+				doc.catalog.set(PDFName.of('OpenAction'), doc.context.obj({ S: 'JavaScript', JS: PDFString.of('app.alert(1)') }));
+				doc.getPage(0).node.set(PDFName.of('AA'), doc.context.obj({ O: { S: 'Launch', F: PDFString.of('cmd.exe') } }));
+				await doc.attach(Buffer.concat([Buffer.from('MZ'), Buffer.alloc(64)]), 'notes.txt', { mimeType: 'text/plain' });
+			});
+			const result = await scanner.scan(pdf);
+			assert.deepStrictEqual(result.reasons.sort(), ['executable', 'javascript', 'launch-action']);
+			assert(scanner.isStrippable(result));
+			assert.deepStrictEqual((await scanner.scan(await scanner.strip(result.pdfDoc))).reasons, []);
+		});
+
+		it('should reject documents with too many objects', async () => {
+			const pdf = await createPdf(() => {});
+			assert.deepStrictEqual((await scanner.scan(pdf, { maxObjects: 2 })).reasons, ['too-many-objects']);
+		});
+	});
+
+	describe('translations', () => {
+		const fs = require('fs');
+		const path = require('path');
+		const scanner = require('../lib/scanner');
+
+		const languagesDir = path.join(__dirname, '../languages');
+		const readLanguage = language => JSON.parse(fs.readFileSync(path.join(languagesDir, language, 'pdf-secure.json'), 'utf8'));
+		const defaults = readLanguage('en-GB');
+
+		it('should ship every key in every language', () => {
+			fs.readdirSync(languagesDir).forEach((language) => {
+				assert.deepStrictEqual(Object.keys(readLanguage(language)).sort(), Object.keys(defaults).sort(), language);
+			});
+		});
+
+		it('should translate every upload scan reason', () => {
+			scanner.REASONS.forEach(reason => assert(defaults[`scan-${reason}`], reason));
+		});
+	});
+
+	describe('pdf embeds', () => {
+		const plugin = require('../library');
+
+		async function transform(content) {
+			const data = await plugin.transformPdfLinks({ postData: { content } });
+			return data.postData.content;
+		}
+
+		it('should replace pdf links with viewer placeholders', async () => {
+			const html = await transform('<a href="/assets/uploads/files/handout.pdf">Handout</a>');
+			assert(html.includes('data-filename="handout.pdf"'));
+			assert(html.includes('data-mode="full"'));
+			assert(!html.includes('/assets/uploads/files/'));
+		});
+
+		it('should take the viewer mode from the link title', async () => {
+			const compact = await transform('<a href="/assets/uploads/files/handout.pdf" title="compact">Handout</a>');
+			const unknown = await transform('<a href="/assets/uploads/files/handout.pdf" title="tiny">Handout</a>');
+			assert(compact.includes('data-mode="compact"'));
+			assert(unknown.includes('data-mode="full"'));
+		});
+	});
+
+	describe('access audit log', () => {
+		const audit = require('../lib/audit');
+		const req = { uid: 1, ip: '127.0.0.1', headers: { 'user-agent': 'mocha' } };
+
+		before(async () => {
+			await audit.log(req, { event: 'viewer', file: 'audit.pdf', level: 'full', outcome: 'issued' });
+			await audit.log({ ...req, uid: 0 }, { event: 'pdf-data', file: 'audit.pdf', level: 'preview', outcome: 'expired' });
+		});
+
+		it('should filter entries by file, user and outcome', async () => {
+			const { entries } = await audit.query({ file: 'audit.pdf' }, 0, 10);
+			assert.deepStrictEqual(entries.map(entry => entry.outcome).sort(), ['expired', 'issued']);
+
+			const denied = await audit.query({ file: 'audit.pdf', outcome: 'expired' }, 0, 10);
+			assert.strictEqual(denied.entries.length, 1);
+			assert.strictEqual(denied.entries[0].uid, 0);
+			assert.strictEqual(denied.entries[0].userAgent, 'mocha');
+
+			const own = await audit.query({ uid: 1, file: 'audit.pdf' }, 0, 10);
+			assert.deepStrictEqual(own.entries.map(entry => entry.event), ['viewer']);
+		});
+
+		it('should summarize accesses per file', async () => {
+			const { groups } = await audit.summarize({ file: 'audit.pdf' }, 'file');
+			assert.deepStrictEqual(groups.map(({ lastAccess, ...group }) => group), [
+				{ key: 'audit.pdf', total: 2, issued: 1, served: 0, denied: 1, distinct: 2 },
+			]);
+		});
+
+		it('should export entries as CSV without spreadsheet formulas', () => {
+			const csv = audit.toCsv([
+				{ timestamp: 0, event: 'viewer', uid: 2, file: '=cmd().pdf', outcome: 'issued', userAgent: 'a, "b"' },
+			], { 2: 'bob' });
+			const [header, row] = csv.trim().split('\r\n');
+			assert.strictEqual(header, 'time,event,uid,username,file,level,outcome,ip,userAgent');
+			assert.strictEqual(row, '1970-01-01T00:00:00.000Z,viewer,2,bob,\'=cmd().pdf,,issued,,"a, ""b"""');
+		});
+	});
+
+	describe('rate limiting', () => {
+		const rateLimit = require('../lib/rate-limit');
+		const req = { uid: 0, ip: '192.0.2.10' };
+
+		it('should flag names counting through a number', () => {
+			const names = ['report-7.pdf', 'report-8.pdf', 'report-9.pdf', 'report-10.pdf', 'report-12.pdf'];
+			assert.strictEqual(rateLimit.isSequential(names), true);
+			assert.strictEqual(rateLimit.isSequential(names.slice(1)), false);
+			assert.strictEqual(rateLimit.isSequential(['a1.pdf', 'b2.pdf', 'c3.pdf', 'd4.pdf', 'e5.pdf']), false);
+			assert.strictEqual(rateLimit.isSequential(['1-a.pdf', '1000-a.pdf', '2000-a.pdf', '3000-a.pdf', '4000-a.pdf']), false);
+		});
+
+		it('should block an address requesting missing files until unblocked', async () => {
+			let block = null;
+			for (let i = 1; i <= 10 && !block; i += 1) {
+				block = await rateLimit.countDocument(req, `${i}0000-scan.pdf`, false);
+			}
+			assert.strictEqual(block.actor, 'ip:192.0.2.10');
+			assert.strictEqual(block.reason, 'missing-files');
+			assert.strictEqual((await rateLimit.check(req)).reason, 'missing-files');
+			assert((await rateLimit.listBlocks()).some(entry => entry.actor === 'ip:192.0.2.10'));
+
+			await rateLimit.unblock('ip:192.0.2.10');
+			assert.strictEqual(await rateLimit.check(req), null);
+		});
+
+		it('should block guessing names through the viewer route', async () => {
+			const plugin = require('../library');
+			const routes = {};
+			const router = {
+				use: () => {},
+				get: (route, ...handlers) => {
+					routes[route] = handlers[handlers.length - 1];
+				},
+			};
+			await plugin.init({ router: router, middleware: { admin: {} } });
+
+			const statuses = [];
+			for (let i = 1; i <= 5; i += 1) {
+				const res = {
+					set: () => res,
+					type: () => res,
+					send: () => res,
+					status: (status) => {
+						statuses.push(status);
+						return res;
+					},
+				};
+				await routes['/plugins/pdf-secure/viewer']({
+					query: { file: `unpublished-${i}.pdf` },
+					uid: 0,
+					ip: '192.0.2.20',
+					headers: {},
+					app: { get: () => '' },
+				}, res);
+			}
+			assert.deepStrictEqual(statuses, [403, 403, 403, 403, 429]);
+			assert.strictEqual((await rateLimit.getBlock('ip:192.0.2.20')).reason, 'sequential');
+			await rateLimit.unblock('ip:192.0.2.20');
+		});
+
+		it('should refuse streamed ranges once an address is blocked', async () => {
+			const controllers = require('../lib/controllers');
+			const streamSessions = require('../lib/stream-sessions');
+			const session = await streamSessions.create({ uid: 0, file: 'streamed.pdf', level: 'full', key: Buffer.alloc(32), length: 100 });
+			await rateLimit.block('ip:192.0.2.30', 'bytes');
+
+			let status = null;
+			const res = {
+				set: () => res,
+				json: () => res,
+				status: (code) => {
+					status = code;
+					return res;
+				},
+			};
+			await controllers.servePdfRange({ params: { session }, query: { start: '0', end: '10' }, uid: 0, ip: '192.0.2.30', headers: {} }, res);
+			assert.strictEqual(status, 429);
+			await rateLimit.unblock('ip:192.0.2.30');
+		});
+	});
+
+	describe('live sessions', () => {
+		const live = require('../lib/live');
+
+		it('should only relay for sockets that joined the file', async () => {
+			const socket = { uid: 1, rooms: new Set(), data: {} };
+			await assert.rejects(live.stroke(socket, { filename: 'test.pdf', page: 1, id: '1', svg: '' }), /no-privileges/);
+			await assert.rejects(live.join({ uid: 0, rooms: new Set(), data: {} }, { filename: 'test.pdf' }), /not-logged-in/);
+		});
+
+		it('should keep preview viewers out of sessions', async () => {
+			const policy = require('../lib/policy');
+			const { resolve } = policy;
+			policy.resolve = async () => ({ level: 'preview', previewPages: '1' });
+			try {
+				await assert.rejects(live.join({ uid: 1, rooms: new Set(), data: {} }, { filename: 'test.pdf' }), /no-privileges/);
+			} finally {
+				policy.resolve = resolve;
+			}
+		});
+
+		it('should relay sanitized markup only', async () => {
+			const sent = [];
+			const socket = {
+				uid: 1,
+				rooms: new Set(['pdf-secure:live:test.pdf']),
+				to: () => ({ emit: (event, payload) => sent.push(payload) }),
+			};
+			await live.stroke(socket, { filename: 'test.pdf', page: 1, id: '1', svg: '<path d="M0 0>" onload="alert(1)"></path>' });
+			await live.page(socket, { filename: 'test.pdf', page: 1, svg: '<text x="1" onclick="alert(1)">a</text><script></script>' });
+			assert.deepStrictEqual(sent.map(payload => payload.svg), ['<path></path>', '<text x="1">a</text>']);
+		});
+	});
 });